@@ -65,11 +65,9 @@
  *
  * Some notes on the code:
  * - the code uses Promises, underlying Web browser needs to support them
- * - support for custom events is fairly limited. Only the "on" properties
- * are supported to attach to events on exposed objects, no way to use
- * "addEventListener" for the time being.
- * - the code does not properly handle cases where the receiver calls
- *  "connection.close()".
+ * - events are dispatched by a minimal EventTarget implementation. Exposed
+ * objects support both "on" properties and "addEventListener", but events do
+ * not bubble and cannot be cancelled.
  *
  * The code below is divided in 2 parts:
  *  a) a few helper functions and the definition of base classes to be used
@@ -80,15 +78,28 @@
  * not used here not to introduce dependencies to some module loader library.
  */
 (function () {
+  /**********************************************************************
+  Polyfill settings, changed at runtime through
+  navigator.w3cPresentation.configure(). See "configure" for details.
+  **********************************************************************/
+  var settings = {
+    logLevel: null,
+    mechanismOrder: [],
+    mechanisms: {}
+  };
+
+
   /**********************************************************************
   Simple console logger to help with debugging. Caller may change logging
-  level by setting navigator.presentationLogLevel to one of "log", "info",
-  "warn", "error" or "none" (or null which also means "none").
+  level by setting the "logLevel" setting to one of "log", "info", "warn",
+  "error" or "none" (or null which also means "none").
 
-  Note this should be done before that shim is loaded!
+  For backward compatibility, the level may also be set through
+  navigator.presentationLogLevel before that shim is loaded.
   **********************************************************************/
   var log = function () {
-    var presentationLogLevel = navigator.presentationLogLevel || 'none';
+    var presentationLogLevel = settings.logLevel ||
+      navigator.presentationLogLevel || 'none';
     if ((presentationLogLevel === 'none') || (arguments.length === 0)) {
       return;
     }
@@ -128,6 +139,43 @@
   };
 
 
+  /**********************************************************************
+  Generate a random presentation identifier (a version 4 UUID)
+
+  The function uses the Web Crypto API when available. Identifiers are
+  generated with Math.random otherwise, which is not cryptographically
+  secure but still makes collisions unlikely.
+  **********************************************************************/
+  var generatePresentationId = function () {
+    var cryptoObj = window.crypto || window.msCrypto;
+    if (cryptoObj && cryptoObj.randomUUID) {
+      return cryptoObj.randomUUID();
+    }
+
+    var bytes = new Uint8Array(16);
+    if (cryptoObj && cryptoObj.getRandomValues) {
+      cryptoObj.getRandomValues(bytes);
+    }
+    else {
+      log('warn', 'Web Crypto API not available, using Math.random');
+      for (var i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(Math.random() * 256);
+      }
+    }
+
+    // Set the version (4) and variant (10xx) bits
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    var hex = Array.prototype.map.call(bytes, function (b) {
+      return (b < 16 ? '0' : '') + b.toString(16);
+    }).join('');
+    return hex.substring(0, 8) + '-' + hex.substring(8, 12) + '-' +
+      hex.substring(12, 16) + '-' + hex.substring(16, 20) + '-' +
+      hex.substring(20);
+  };
+
+
   /**********************************************************************
   Shim for DOMExceptions (cannot be instantiated in most browsers for
   the time being)
@@ -138,537 +186,2610 @@
   };
 
 
-
-
   /**********************************************************************
-  Global sets of objects that the User Agent must keep track of
+  Shim for Event and EventTarget (EventTarget cannot be inherited from
+  in most browsers for the time being)
   **********************************************************************/
+
   /**
-   * The list of presentation API mechanisms that may be used to connect
-   * to a second screen
+   * Simple event with the basic attributes of the Event interface
    *
-   * @type {Array(PresentationMechanism)}
+   * @constructor
+   * @private
+   * @param {String} type The event type, e.g. "statechange"
    */
-  var registeredMechanisms = [];
+  var _Event = function (type) {
+    var that = this;
+
+    this.type = type;
+    this.target = null;
+    this.currentTarget = null;
+    this.timeStamp = Date.now();
+    this.bubbles = false;
+    this.cancelable = false;
+    this.defaultPrevented = false;
+
+    /**
+     * Whether the remaining listeners should be skipped. Set by
+     * "stopImmediatePropagation".
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._stopped = false;
+
+    this.preventDefault = function () {};
+    this.stopPropagation = function () {};
+    this.stopImmediatePropagation = function () {
+      that._stopped = true;
+    };
+  };
 
 
   /**
-   * Register a new presentation API mechanism
+   * Event fired when a message is received
    *
-   * @function
+   * @constructor
    * @private
-   * @param {PresentationMechanism} mechanism The mechanism to register
+   * @inherits {_Event}
+   * @param {String} type The event type, typically "message"
+   * @param {data:*} eventInitDict The message data
    */
-  var registerPresentationMechanism = function (mechanism) {
-    registeredMechanisms.push(mechanism);
+  var _MessageEvent = function (type, eventInitDict) {
+    _Event.call(this, type);
+    eventInitDict = eventInitDict || {};
+    this.data = eventInitDict.data;
   };
 
 
-
-
-  /**********************************************************************
-  DataChannel / RemoteController / RemoteDisplay internal interfaces
-  **********************************************************************/
-
   /**
-   * Base class for objects that can send and receive messages
+   * Base class for objects that may dispatch events
+   *
+   * Listeners attached with "addEventListener" are called in order, followed
+   * by the "on" + type event handler property of the object, if defined.
+   *
+   * Interfaces that need to dispatch events must call this constructor on
+   * their instances.
    *
    * @constructor
    * @private
+   * @param {function} onlistenerschange Optional function called with the
+   *  event type whenever a listener is attached or detached
    */
-  var DataChannel = function () {
+  var _EventTarget = function (onlistenerschange) {
     var that = this;
 
     /**
-     * The current connection state
+     * Lists of listeners per event type
      *
-     * @type {String}
+     * @type {Object}
+     * @private
      */
-    this.state = 'closed';
-
+    var listeners = {};
 
     /**
-     * Sends a message through the communication channel.
+     * Attach an event listener for the given event type
      *
      * @function
-     * @param {*} message
+     * @param {String} type The event type
+     * @param {function|Object} listener The function or object with a
+     *  "handleEvent" method to call when the event is dispatched
      */
-    this.send = function (message) {
-      if (that.state !== 'connected') {
-        throw new _DOMException('InvalidStateError');
+    this.addEventListener = function (type, listener) {
+      if (!listener) {
+        return;
+      }
+      listeners[type] = listeners[type] || [];
+      if (listeners[type].indexOf(listener) === -1) {
+        listeners[type].push(listener);
+        if (onlistenerschange) {
+          onlistenerschange(type);
+        }
       }
     };
 
-
-    /**
-     * Event handler called when a message is received on the communication
-     * channel.
-     *
-     * @type {EventHandler}
-     */
-    this.onmessage = null;
-
-
     /**
-     * Close the communication channel
+     * Detach an event listener
      *
      * @function
+     * @param {String} type The event type
+     * @param {function|Object} listener The listener to detach
      */
-    this.close = function () {
-      if (that.state !== 'connected') {
+    this.removeEventListener = function (type, listener) {
+      if (!listeners[type]) {
         return;
       }
-      that.state = 'closed';
-      if (that.onstatechange) {
-        that.onstatechange();
+      var idx = listeners[type].indexOf(listener);
+      if (idx !== -1) {
+        listeners[type].splice(idx, 1);
+        if (onlistenerschange) {
+          onlistenerschange(type);
+        }
       }
     };
-  };
 
-
-  /**
-   * A remote controller represents a controlling browsing context as seen
-   * from the receiving browsing context.
-   *
-   * This base class is an empty shell. Presentation mechanisms should provide
-   * their own RemoteController interface that inherits from this one and
-   * retrieves the right data channel.
-   *
-   * @constructor
-   * @private
-   * @param {String} name A human-friendly name to identify the context
-   */
-  var RemoteController = function () {
     /**
-     * The underlying data channel used to communicate with the display
+     * Non-standard method that tells whether listeners are attached for the
+     * given event type, either through "addEventListener" or through the
+     * "on" + type event handler property.
      *
-     * @type {DataChannel}
+     * @function
      * @private
+     * @param {String} type The event type
+     * @return {boolean} true when at least one listener is attached
      */
-    var channel = null;
+    this._hasEventListeners = function (type) {
+      return (typeof that['on' + type] === 'function') ||
+        (!!listeners[type] && (listeners[type].length > 0));
+    };
 
     /**
-     * Retrieve the data channel with the remote browsing context
+     * Dispatch the given event to the listeners and to the event handler
      *
-     * Note the shim only calls that function once (or rather each time the
-     * data channel needs to be re-created), so no need to worry about
-     * returning the same Promise if the function is called multiple times.
+     * Errors thrown by listeners are logged and do not prevent the other
+     * listeners from running.
      *
      * @function
-     * @return {Promise<DataChannel>} The promise to get a data communication
-     * channel ready for exchanging messages with the remote controller
+     * @param {_Event} event The event to dispatch
+     * @return {boolean} Always true as events cannot be cancelled
      */
-    this.createDataChannel = function () {
-      return new Promise(function (resolve, reject) {
-        if (!channel) {
-          channel = new DataChannel();
-          channel.state = 'connected';
+    this.dispatchEvent = function (event) {
+      var handler = that['on' + event.type];
+      var callbacks = (listeners[event.type] || []).slice();
+      if (typeof handler === 'function') {
+        callbacks.push(handler);
+      }
+
+      event.target = that;
+      event.currentTarget = that;
+      callbacks.forEach(function (callback) {
+        if (event._stopped) {
+          return;
+        }
+        try {
+          if (typeof callback === 'function') {
+            callback.call(that, event);
+          }
+          else if (callback && (typeof callback.handleEvent === 'function')) {
+            callback.handleEvent(event);
+          }
+        }
+        catch (err) {
+          log('error', 'uncaught error in "' + event.type + '" listener', err);
         }
-        resolve(channel);
       });
+      event.currentTarget = null;
+      return true;
     };
   };
 
 
+
+
+  /**********************************************************************
+  Helper functions to handle binary messages
+
+  Channels that can only carry strings transport binary messages as
+  base64-encoded strings prefixed with "\u0000b". Strings that start with
+  "\u0000" are escaped with a "\u0000s" prefix so that they cannot be
+  mistaken for binary messages. Other messages are left untouched.
+  **********************************************************************/
+
   /**
-   * Represents a display (or a class of displays in this implementation) as
-   * seen from the controlling browsing context. The display may be navigated
-   * to a given URL, in which case it can also be used to send messages to the
-   * receiving browsing context or receive messages from it.
+   * Whether the given message is a Blob
    *
-   * @constructor
+   * @function
    * @private
-   * @param {String} name A human-friendly name to identify the context
+   * @param {*} message
+   * @return {boolean}
    */
-  var Display = function (name) {
-    /**
-     * A human-friendly name for the display
-     *
-     * @type {String}
-     */
-    this.name = name;
+  var isBlob = function (message) {
+    return (typeof Blob !== 'undefined') && (message instanceof Blob);
+  };
 
 
-    /**
-     * Navigate the display to the given URL, thus creating a receiving
-     * browsing context.
-     *
-     * @function
-     * @param {String} url The URL to navigate to
-     * @return {Promise} The promise to have navigated to the given URL. The
-     * promise is rejected with a DOMException named "OperationError"
-     */
-    this.navigate = function (url) {
-      return new Promise(function (resolve, reject) {
-        reject(new _DOMException('OperationError'));
-      });
-    };
+  /**
+   * Convert ArrayBuffer views such as typed arrays to an ArrayBuffer that
+   * only contains the viewed bytes. Other messages are returned as-is.
+   *
+   * @function
+   * @private
+   * @param {*} message
+   * @return {*} The message, converted to an ArrayBuffer for views
+   */
+  var toArrayBuffer = function (message) {
+    if (ArrayBuffer.isView(message)) {
+      return message.buffer.slice(message.byteOffset,
+        message.byteOffset + message.byteLength);
+    }
+    return message;
+  };
 
 
-    /**
-     * Create a data channel with the remote browsing context
-     *
-     * Note the shim only calls that function once (or rather each time the
-     * data channel needs to be re-created), so no need to worry about
-     * returning the same Promise if the function is called multiple times.
-     *
-     * @function
-     * @return {Promise<DataChannel>} The promise to get a data communication
-     * channel ready for exchanging messages with the remote controller
-     */
-    this.createDataChannel = function () {
-      return new Promise(function (resolve, reject) {
-        if (!channel) {
-          channel = new DataChannel();
-          channel.state = 'connected';
-        }
-        resolve(channel);
-      });
-    };
+  /**
+   * Read the contents of a Blob
+   *
+   * @function
+   * @private
+   * @param {Blob} blob
+   * @return {Promise<ArrayBuffer>} The promise to get the contents of the
+   *  Blob
+   */
+  var readBlob = function (blob) {
+    if (blob.arrayBuffer) {
+      return blob.arrayBuffer();
+    }
+    return new Promise(function (resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function () {
+        resolve(reader.result);
+      };
+      reader.onerror = function () {
+        reject(reader.error);
+      };
+      reader.readAsArrayBuffer(blob);
+    });
+  };
 
 
-    /**
-     * Terminates the presentation with the display
-     */
-    this.terminate = function () {};
+  /**
+   * Encode a message so that it may be sent on a channel that can only
+   * carry strings
+   *
+   * @function
+   * @private
+   * @param {*} message The message to encode
+   * @return {*} The encoded message
+   */
+  var encodeMessage = function (message) {
+    if (message instanceof ArrayBuffer) {
+      var bytes = new Uint8Array(message);
+      var binary = '';
+      var chunkSize = 0x8000;
+      for (var i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null,
+          bytes.subarray(i, i + chunkSize));
+      }
+      return '\u0000b' + btoa(binary);
+    }
+    if ((typeof message === 'string') && (message.charAt(0) === '\u0000')) {
+      return '\u0000s' + message;
+    }
+    return message;
   };
 
 
+  /**
+   * Decode a message received on a channel that can only carry strings
+   *
+   * @function
+   * @private
+   * @param {*} message The message to decode
+   * @return {*} The decoded message, an ArrayBuffer for binary messages
+   */
+  var decodeMessage = function (message) {
+    if ((typeof message !== 'string') || (message.charAt(0) !== '\u0000')) {
+      return message;
+    }
+    if (message.charAt(1) === 's') {
+      return message.substring(2);
+    }
+    var binary = atob(message.substring(2));
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+  };
 
 
-  /**********************************************************************
-  PresentationMechanism internal interface
-  **********************************************************************/
-
   /**
-   * Exposes a mechanism to detect, connect and control a second screen
+   * Compute the number of bytes of a message, as counted in the
+   * "bufferedAmount" of a presentation connection
    *
-   * Concrete mechanisms must inherit from this base class.
-   *
-   * @constructor
+   * @function
    * @private
+   * @param {String|ArrayBuffer|ArrayBufferView|Blob} message
+   * @return {Number} The size of the message in bytes
    */
-  var PresentationMechanism = function () {
-    /**
-     * Some friendly name for the mechanism, mostly for logging purpose
-     *
-     * To be set in derivated classes.
-     *
-     * @type {String}
-     */
-    this.name = 'default presentation mechanism';
+  var getMessageSize = function (message) {
+    if (typeof message === 'string') {
+      // Length of the UTF-8 representation of the string
+      return unescape(encodeURIComponent(message)).length;
+    }
+    if (isBlob(message)) {
+      return message.size;
+    }
+    return message.byteLength || 0;
+  };
 
 
-    /**
-     * Compute the list of available presentation displays that the user may
-     * select to launch a presentation.
-     *
-     * @function
-     * @param {String} url The URL that is to be displayed
-     * @param {Object} options Presentation options such as the possibility to
-     *   include displays and/or mechanisms for which communication channels are
-     *   not available.
-     * @return {Promise<Array(Display)} The promise to get the current list of
-     * available presentation displays
-     */
-    this.getAvailableDisplays = function (url, options) {
-      return new Promise(function (resolve, reject) {
-        resolve([]);
-      });
-    };
 
 
-    /**
-     * Start to monitor incoming presentation connections if code runs on the
-     * receiving side.
-     *
+  /**********************************************************************
+  Global sets of objects that the User Agent must keep track of
+  **********************************************************************/
+  /**
+   * The list of presentation API mechanisms that may be used to connect
+   * to a second screen
+   *
+   * @type {Array(PresentationMechanism)}
+   */
+  var registeredMechanisms = [];
+
+
+  /**
+   * Apply the settings of the given mechanism, as set through "configure".
+   *
+   * Settings are applied to the mechanism properties of the same name.
+   * Unknown settings and settings that would override a function are
+   * ignored.
+   *
+   * @function
+   * @private
+   * @param {PresentationMechanism} mechanism The mechanism to configure
+   */
+  var applyMechanismSettings = function (mechanism) {
+    var mechanismSettings = settings.mechanisms[mechanism.id];
+    if (!mechanismSettings) {
+      return;
+    }
+    var wasEnabled = mechanism.enabled;
+    Object.keys(mechanismSettings).forEach(function (key) {
+      if (!(key in mechanism) || (typeof mechanism[key] === 'function')) {
+        log('warn', 'unknown setting for ' + mechanism.name, key);
+        return;
+      }
+      mechanism[key] = mechanismSettings[key];
+    });
+    if (!wasEnabled && mechanism.enabled) {
+      runMechanismHook(mechanism, 'resume');
+    }
+    else if (wasEnabled && !mechanism.enabled) {
+      runMechanismHook(mechanism, 'suspend');
+    }
+  };
+
+
+  /**
+   * Run a lifecycle hook of the given mechanism, reporting errors that the
+   * hook may throw without propagating them.
+   *
+   * @function
+   * @private
+   * @param {PresentationMechanism} mechanism The mechanism
+   * @param {String} hook The name of the hook, "suspend", "resume" or
+   *   "release"
+   */
+  var runMechanismHook = function (mechanism, hook) {
+    log('info', hook + ' ' + mechanism.name);
+    try {
+      mechanism[hook]();
+    }
+    catch (err) {
+      log('error', 'could not ' + hook + ' ' + mechanism.name, err);
+    }
+  };
+
+
+  /**
+   * Find the registered mechanism that has the given identifier
+   *
+   * @function
+   * @private
+   * @param {String} id The identifier of the mechanism
+   * @return {PresentationMechanism} The mechanism
+   * @throws {DOMException} NotFoundError when no registered mechanism has
+   *   that identifier
+   */
+  var getRegisteredMechanism = function (id) {
+    var mechanism = null;
+    registeredMechanisms.some(function (m) {
+      if (m.id === id) {
+        mechanism = m;
+        return true;
+      }
+      return false;
+    });
+    if (!mechanism) {
+      throw new _DOMException('NotFoundError',
+        'No registered presentation mechanism with identifier ' + id);
+    }
+    return mechanism;
+  };
+
+
+  /**
+   * Register a new presentation API mechanism
+   *
+   * @function
+   * @private
+   * @param {PresentationMechanism} mechanism The mechanism to register
+   */
+  var registerPresentationMechanism = function (mechanism) {
+    if (mechanism.id && registeredMechanisms.some(function (m) {
+          return (m.id === mechanism.id);
+        })) {
+      log('warn', 'replace registered mechanism with identifier', mechanism.id);
+      unregisterMechanism(mechanism.id);
+    }
+    applyMechanismSettings(mechanism);
+    registeredMechanisms.push(mechanism);
+  };
+
+
+  /**
+   * Return the list of registered mechanisms, in the order set by the
+   * "mechanismOrder" setting. Mechanisms that do not appear in that setting
+   * come afterwards, in registration order.
+   *
+   * @function
+   * @private
+   * @return {Array(PresentationMechanism)} The ordered list of mechanisms
+   */
+  var getOrderedMechanisms = function () {
+    var rank = function (mechanism) {
+      var idx = settings.mechanismOrder.indexOf(mechanism.id);
+      return (idx === -1) ? settings.mechanismOrder.length : idx;
+    };
+    return registeredMechanisms
+      .map(function (mechanism, idx) {
+        return { mechanism: mechanism, rank: rank(mechanism), idx: idx };
+      })
+      .sort(function (a, b) {
+        return (a.rank - b.rank) || (a.idx - b.idx);
+      })
+      .map(function (item) {
+        return item.mechanism;
+      });
+  };
+
+
+  /**
+   * Initialization promises of mechanisms, indexed by position in the list
+   * of registered mechanisms
+   */
+  var mechanismInitializations = [];
+
+
+  /**
+   * Initialize the given mechanism, unless that was already done.
+   *
+   * The mechanism is considered not initialized if its initialization does
+   * not complete within its "discoveryTimeout". The initialization is not
+   * started again in that case, but subsequent calls will see the mechanism
+   * as initialized once it eventually is.
+   *
+   * @function
+   * @private
+   * @param {PresentationMechanism} mechanism The mechanism to initialize
+   * @return {Promise<boolean>} The promise to know whether the mechanism
+   *   could be initialized. The promise is never rejected.
+   */
+  var initializeMechanism = function (mechanism) {
+    var idx = registeredMechanisms.indexOf(mechanism);
+    var initialization = (idx !== -1) ? mechanismInitializations[idx] : null;
+    if (!initialization) {
+      initialization = new Promise(function (resolve, reject) {
+        log('initialize ' + mechanism.name);
+        resolve(mechanism.initialize());
+      }).then(function () {
+        log('info', mechanism.name + ' initialized');
+        return true;
+      }, function (err) {
+        log('error', 'could not initialize ' + mechanism.name, err);
+        return false;
+      });
+      if (idx !== -1) {
+        mechanismInitializations[idx] = initialization;
+      }
+    }
+
+    return new Promise(function (resolve, reject) {
+      var timeout = setTimeout(function () {
+        log('warn', mechanism.name + ' did not initialize in time');
+        resolve(false);
+      }, mechanism.discoveryTimeout);
+      initialization.then(function (initialized) {
+        clearTimeout(timeout);
+        resolve(initialized);
+      });
+    });
+  };
+
+
+  /**
+   * Initialize enabled mechanisms. The function is called when the
+   * application first needs displays, so that mechanisms do not do anything
+   * on pages that never present.
+   *
+   * Mechanisms are only initialized once, but the returned promise covers
+   * the mechanisms that are enabled when the function is called, including
+   * those registered or enabled since a previous call.
+   *
+   * @function
+   * @private
+   * @return {Promise} The promise that all enabled mechanisms are
+   *   initialized or timed out. The promise is never rejected.
+   */
+  var initializeMechanisms = function () {
+    return Promise.all(getEnabledMechanisms().map(initializeMechanism))
+      .then(function () {});
+  };
+
+
+  /**
+   * Return the list of enabled mechanisms, in the order set by the
+   * "mechanismOrder" setting.
+   *
+   * @function
+   * @private
+   * @return {Array(PresentationMechanism)} The list of enabled mechanisms
+   */
+  var getEnabledMechanisms = function () {
+    return getOrderedMechanisms().filter(function (mechanism) {
+      return mechanism.enabled;
+    });
+  };
+
+
+  /**
+   * Update the settings of the polyfill. The function may be called at any
+   * time, settings apply to subsequent operations.
+   *
+   * Recognized settings are:
+   * - "logLevel": one of "log", "info", "warn", "error" or "none"
+   * - "mechanismOrder": the list of mechanism identifiers (e.g. "cast",
+   * "dial", "native", "physicalweb", "qrcode", "window") in order of
+   * preference. Displays are reported in that order.
+   * - "mechanisms": settings of each mechanism, indexed by mechanism
+   * identifier. All mechanisms understand "enabled" and "discoveryTimeout"
+   * (in milliseconds). Some mechanisms have additional settings, such as
+   * "proxyUrl" and "proxyTimeout" for the DIAL and Physical Web mechanisms.
+   *
+   * Settings that are not given are left unchanged.
+   *
+   * @function
+   * @param {Object} options The settings to update
+   * @return {Object} The resulting settings
+   */
+  var configure = function (options) {
+    options = options || {};
+    if (options.logLevel !== undefined) {
+      settings.logLevel = options.logLevel;
+    }
+    if (options.mechanismOrder !== undefined) {
+      settings.mechanismOrder = (options.mechanismOrder || []).slice();
+    }
+    if (options.mechanisms) {
+      Object.keys(options.mechanisms).forEach(function (id) {
+        var mechanismSettings = settings.mechanisms[id] || {};
+        var updates = options.mechanisms[id] || {};
+        Object.keys(updates).forEach(function (key) {
+          mechanismSettings[key] = updates[key];
+        });
+        settings.mechanisms[id] = mechanismSettings;
+      });
+      registeredMechanisms.forEach(function (mechanism) {
+        if (options.mechanisms[mechanism.id]) {
+          applyMechanismSettings(mechanism);
+        }
+      });
+    }
+    return JSON.parse(JSON.stringify(settings));
+  };
+
+
+  /**
+   * Return a description of the registered mechanisms, in order of
+   * preference. Each item has the "id", "name", "enabled" and
+   * "capabilities" properties of the mechanism.
+   *
+   * @function
+   * @return {Array(Object)} The list of registered mechanisms
+   */
+  var getMechanisms = function () {
+    return getOrderedMechanisms().map(function (mechanism) {
+      return {
+        id: mechanism.id,
+        name: mechanism.name,
+        enabled: !!mechanism.enabled,
+        capabilities: JSON.parse(JSON.stringify(mechanism.capabilities))
+      };
+    });
+  };
+
+
+  /**
+   * Enable the registered mechanism that has the given identifier. The
+   * setting is recorded so that it also applies if a mechanism with the same
+   * identifier gets registered afterwards.
+   *
+   * @function
+   * @param {String} id The identifier of the mechanism
+   */
+  var enableMechanism = function (id) {
+    getRegisteredMechanism(id);
+    var options = { mechanisms: {} };
+    options.mechanisms[id] = { enabled: true };
+    configure(options);
+  };
+
+
+  /**
+   * Disable the registered mechanism that has the given identifier. Disabled
+   * mechanisms no longer report displays. Presentations that were started
+   * with the mechanism keep running.
+   *
+   * @function
+   * @param {String} id The identifier of the mechanism
+   */
+  var disableMechanism = function (id) {
+    getRegisteredMechanism(id);
+    var options = { mechanisms: {} };
+    options.mechanisms[id] = { enabled: false };
+    configure(options);
+  };
+
+
+  /**
+   * Unregister the mechanism that has the given identifier. The mechanism is
+   * suspended if it was enabled, and then released so that it frees the
+   * resources it holds.
+   *
+   * @function
+   * @param {String} id The identifier of the mechanism
+   */
+  var unregisterMechanism = function (id) {
+    var mechanism = getRegisteredMechanism(id);
+    var idx = registeredMechanisms.indexOf(mechanism);
+    registeredMechanisms.splice(idx, 1);
+    mechanismInitializations.splice(idx, 1);
+    if (mechanism.enabled) {
+      runMechanismHook(mechanism, 'suspend');
+    }
+    runMechanismHook(mechanism, 'release');
+  };
+
+
+  /**
+   * Set the order of preference of mechanisms. Shortcut for the
+   * "mechanismOrder" setting of "configure".
+   *
+   * @function
+   * @param {Array(String)} ids The list of mechanism identifiers, in order
+   *   of preference
+   */
+  var setMechanismOrder = function (ids) {
+    configure({ mechanismOrder: ids });
+  };
+
+
+
+
+  /**********************************************************************
+  DataChannel / RemoteController / RemoteDisplay internal interfaces
+  **********************************************************************/
+
+  /**
+   * Base class for objects that can send and receive messages
+   *
+   * @constructor
+   * @private
+   */
+  var DataChannel = function () {
+    var that = this;
+
+    /**
+     * The current connection state, one of "connected", "closed" or
+     * "terminated".
+     *
+     * Mechanisms should set the state to "terminated" when the remote peer
+     * tells them that it terminated the presentation.
+     *
+     * @type {String}
+     */
+    this.state = 'closed';
+
+
+    /**
+     * The reason why the channel was closed, one of "closed" (closed on
+     * purpose by one of the peers), "wentaway" (the remote browsing context
+     * went away) or "error" (unrecoverable error).
+     *
+     * Mechanisms should set that property before they change the state to
+     * "closed". The reason defaults to "closed".
+     *
+     * @type {String}
+     */
+    this.closeReason = null;
+
+
+    /**
+     * Human-readable message that describes why the channel was closed
+     *
+     * @type {String}
+     */
+    this.closeMessage = '';
+
+
+    /**
+     * Whether the channel can carry ArrayBuffer messages. When it cannot,
+     * binary messages are transparently encoded as strings.
+     *
+     * @type {boolean}
+     */
+    this.supportsBinary = false;
+
+
+    /**
+     * Sends a message through the communication channel.
+     *
+     * Channels that cannot transfer objects ignore the "transfer" parameter,
+     * the objects are copied in that case.
+     *
+     * @function
+     * @param {*} message
+     * @param {Array} transfer Optional list of transferable objects
+     */
+    this.send = function (message, transfer) {
+      if (that.state !== 'connected') {
+        throw new _DOMException('InvalidStateError');
+      }
+    };
+
+
+    /**
+     * Event handler called when a message is received on the communication
+     * channel.
+     *
+     * @type {EventHandler}
+     */
+    this.onmessage = null;
+
+
+    /**
+     * Close the communication channel.
+     *
+     * Mechanisms should tell the remote peer that the channel was closed on
+     * purpose, so that it may close its end of the channel with a "closed"
+     * reason as well.
+     *
+     * @function
+     */
+    this.close = function () {
+      if (that.state !== 'connected') {
+        return;
+      }
+      that.state = 'closed';
+      if (that.onstatechange) {
+        that.onstatechange();
+      }
+    };
+  };
+
+
+  /**
+   * A remote controller represents a controlling browsing context as seen
+   * from the receiving browsing context.
+   *
+   * This base class is an empty shell. Presentation mechanisms should provide
+   * their own RemoteController interface that inherits from this one and
+   * retrieves the right data channel.
+   *
+   * @constructor
+   * @private
+   * @param {String} name A human-friendly name to identify the context
+   */
+  var RemoteController = function () {
+    /**
+     * The underlying data channel used to communicate with the display
+     *
+     * @type {DataChannel}
+     * @private
+     */
+    var channel = null;
+
+    /**
+     * The identifier of the presentation, as set by the controlling side.
+     *
+     * Mechanisms should set that property when they know the identifier that
+     * the controlling side generated so that both sides use the same
+     * presentation identifier. A new identifier is generated otherwise.
+     *
+     * @type {String}
+     */
+    this.presentationId = null;
+
+    /**
+     * Retrieve the data channel with the remote browsing context
+     *
+     * Note the shim only calls that function once (or rather each time the
+     * data channel needs to be re-created), so no need to worry about
+     * returning the same Promise if the function is called multiple times.
+     *
+     * @function
+     * @return {Promise<DataChannel>} The promise to get a data communication
+     * channel ready for exchanging messages with the remote controller
+     */
+    this.createDataChannel = function () {
+      return new Promise(function (resolve, reject) {
+        if (!channel) {
+          channel = new DataChannel();
+          channel.state = 'connected';
+        }
+        resolve(channel);
+      });
+    };
+
+
+    /**
+     * Terminate the presentation from the receiving side.
+     *
+     * Mechanisms should tell the controlling side that the presentation was
+     * terminated, so that it may move its presentation connection to the
+     * "terminated" state, and close the receiving browsing context
+     * afterwards.
+     *
+     * @function
+     */
+    this.terminate = function () {
+      log('info', 'presentation mechanism cannot notify controlling side ' +
+        'about presentation termination');
+    };
+  };
+
+
+  /**
+   * Represents a display (or a class of displays in this implementation) as
+   * seen from the controlling browsing context. The display may be navigated
+   * to a given URL, in which case it can also be used to send messages to the
+   * receiving browsing context or receive messages from it.
+   *
+   * @constructor
+   * @private
+   * @param {String} name A human-friendly name to identify the context
+   */
+  var Display = function (name) {
+    /**
+     * A human-friendly name for the display
+     *
+     * @type {String}
+     */
+    this.name = name;
+
+
+    /**
+     * Capabilities of the display that differ from those of its mechanism,
+     * e.g. { binary: false }, or null if the display has the capabilities of
+     * its mechanism.
+     *
+     * The core replaces that property with the complete list of capabilities
+     * of the display when the mechanism reports it as available.
+     *
+     * @type {Object}
+     */
+    this.capabilities = null;
+
+
+    /**
+     * Navigate the display to the given URL, thus creating a receiving
+     * browsing context.
+     *
+     * Mechanisms should pass the presentation identifier over to the receiving
+     * side when they can. Mechanisms that have to use an identifier of their
+     * own (e.g. a session ID created by the device) may resolve the promise
+     * with that identifier, which then replaces the given one.
+     *
+     * @function
+     * @param {String} url The URL to navigate to
+     * @param {String} presentationId The identifier of the presentation
+     * @return {Promise<String>} The promise to have navigated to the given URL.
+     * The promise is rejected with a DOMException named "OperationError"
+     */
+    this.navigate = function (url, presentationId) {
+      return new Promise(function (resolve, reject) {
+        reject(new _DOMException('OperationError'));
+      });
+    };
+
+
+    /**
+     * Create a data channel with the remote browsing context
+     *
+     * Note the shim only calls that function once (or rather each time the
+     * data channel needs to be re-created), so no need to worry about
+     * returning the same Promise if the function is called multiple times.
+     *
+     * @function
+     * @return {Promise<DataChannel>} The promise to get a data communication
+     * channel ready for exchanging messages with the remote controller
+     */
+    this.createDataChannel = function () {
+      return new Promise(function (resolve, reject) {
+        if (!channel) {
+          channel = new DataChannel();
+          channel.state = 'connected';
+        }
+        resolve(channel);
+      });
+    };
+
+
+    /**
+     * Whether the display can present the given URL
+     *
+     * Displays that can only render specific receiver applications (e.g. a
+     * registered Cast application) should override this method.
+     *
+     * @function
+     * @param {String} url The URL to present
+     * @return {boolean} true if the display can be navigated to the URL
+     */
+    this.canPresent = function (url) {
+      return true;
+    };
+
+
+    /**
+     * Return the data that the mechanism needs to re-attach to the
+     * presentation running on the display, e.g. after a reload of the
+     * controlling page. The data must be serializable in JSON.
+     *
+     * Presentations are only persisted when that function returns some data.
+     *
+     * @function
+     * @return {Object} The data to persist, null if the mechanism cannot
+     *  re-attach to the presentation
+     */
+    this.getReconnectData = function () {
+      return null;
+    };
+
+
+    /**
+     * Terminates the presentation with the display
+     */
+    this.terminate = function () {};
+  };
+
+
+
+
+  /**********************************************************************
+  PresentationMechanism internal interface
+  **********************************************************************/
+
+  /**
+   * Exposes a mechanism to detect, connect and control a second screen
+   *
+   * Concrete mechanisms must inherit from this base class.
+   *
+   * @constructor
+   * @private
+   */
+  var PresentationMechanism = function () {
+    /**
+     * Some friendly name for the mechanism, mostly for logging purpose
+     *
+     * To be set in derivated classes.
+     *
+     * @type {String}
+     */
+    this.name = 'default presentation mechanism';
+
+
+    /**
+     * Short identifier of the mechanism, used to refer to the mechanism in
+     * the polyfill settings
+     *
+     * To be set in derivated classes.
+     *
+     * @type {String}
+     */
+    this.id = null;
+
+
+    /**
+     * Whether the mechanism is enabled. Disabled mechanisms do not report
+     * displays and do not monitor incoming controllers.
+     *
+     * @type {boolean}
+     */
+    this.enabled = true;
+
+
+    /**
+     * Maximum time, in milliseconds, that the mechanism may take to report
+     * available displays. Displays reported after that delay are ignored.
+     *
+     * Derivated classes that rely on slow discovery protocols may increase
+     * that value.
+     *
+     * @type {Number}
+     */
+    this.discoveryTimeout = 2000;
+
+
+    /**
+     * Capabilities of the displays that the mechanism reports, see
+     * "capabilityLabels" for the list of capabilities. Displays may
+     * override some of them.
+     *
+     * Derivated classes should set the capabilities they support.
+     *
+     * @type {Object}
+     */
+    this.capabilities = {
+      messaging: false,
+      reconnect: false,
+      terminate: false,
+      binary: false,
+      multipleControllers: false,
+      launchConfirmation: false
+    };
+
+
+    /**
+     * Compute the list of available presentation displays that the user may
+     * select to launch a presentation.
+     *
+     * @function
+     * @param {Array(String)} urls The list of URLs that may be displayed, in
+     *   order of preference
+     * @param {Object} options Presentation options such as the possibility to
+     *   include displays and/or mechanisms for which communication channels are
+     *   not available.
+     * @return {Promise<Array(Display)} The promise to get the current list of
+     * available presentation displays
+     */
+    this.getAvailableDisplays = function (urls, options) {
+      return new Promise(function (resolve, reject) {
+        resolve([]);
+      });
+    };
+
+
+    /**
+     * Whether the given display, reported by this mechanism, can present the
+     * given URL.
+     *
+     * The default implementation defers to the display. Mechanisms may
+     * override that method to apply mechanism-wide restrictions.
+     *
+     * @function
+     * @param {Display} display The display to check
+     * @param {String} url The URL that is to be displayed
+     * @return {boolean} true if the display is compatible with the URL
+     */
+    this.canPresent = function (display, url) {
+      return display.canPresent(url);
+    };
+
+
+    /**
+     * Select the URL that the given display should present among the list of
+     * URLs of a presentation request.
+     *
+     * The default implementation picks the first URL that the display can
+     * present.
+     *
+     * @function
+     * @param {Display} display The display to check
+     * @param {Array(String)} urls The list of presentation request URLs, in
+     *   order of preference
+     * @return {String} The URL to present, null if the display cannot present
+     *   any of the URLs
+     */
+    this.selectUrl = function (display, urls) {
+      var that = this;
+      var selectedUrl = null;
+      urls.some(function (url) {
+        if (that.canPresent(display, url)) {
+          selectedUrl = url;
+          return true;
+        }
+        return false;
+      });
+      return selectedUrl;
+    };
+
+
+    /**
+     * Re-attach to a presentation that was started from a previous
+     * controlling browsing context, e.g. before the controlling page was
+     * reloaded.
+     *
+     * @function
+     * @param {Object} data The data returned by the display's
+     *   "getReconnectData" function when the presentation was started
+     * @param {String} url The URL of the presentation
+     * @param {String} presentationId The identifier of the presentation
+     * @return {Promise<Display>} The promise to get the display that runs the
+     *   presentation. The promise is rejected with a DOMException named
+     *   "NotFoundError" if the presentation is no longer running.
+     */
+    this.reconnectDisplay = function (data, url, presentationId) {
+      return new Promise(function (resolve, reject) {
+        reject(new _DOMException('NotFoundError'));
+      });
+    };
+
+
+    /**
+     * Start to monitor incoming presentation connections if code runs on the
+     * receiving side.
+     *
      * The function should not do anything if the code is not running on the
      * receiving side.
      *
      * @function
      */
-    this.monitorIncomingControllers = function () {
-      queueTask(function () {
-      });
+    this.monitorIncomingControllers = function () {
+      queueTask(function () {
+      });
+    };
+
+
+    /**
+     * Lifecycle hook called before the mechanism is first used to look for
+     * displays or to re-attach to a presentation.
+     *
+     * Mechanisms should defer costly operations such as probing of remote
+     * servers to that function, so that pages that never present do not pay
+     * for them. Displays are not requested until the returned promise is
+     * resolved. The mechanism is considered unavailable if the promise is
+     * rejected, or not resolved within the "discoveryTimeout".
+     *
+     * @function
+     * @return {Promise} The promise that the mechanism is initialized
+     */
+    this.initialize = function () {
+      return Promise.resolve();
+    };
+
+
+    /**
+     * Lifecycle hook called when the mechanism gets disabled.
+     *
+     * Mechanisms should stop background activities such as availability
+     * monitoring or probing of remote servers. Running presentations should
+     * not be affected.
+     *
+     * @function
+     */
+    this.suspend = function () {};
+
+
+    /**
+     * Lifecycle hook called when the mechanism gets enabled again after it
+     * was disabled.
+     *
+     * @function
+     */
+    this.resume = function () {};
+
+
+    /**
+     * Lifecycle hook called when the mechanism gets unregistered, after
+     * "suspend" if the mechanism was enabled. The mechanism should release
+     * all the resources it holds, including event listeners.
+     *
+     * @function
+     */
+    this.release = function () {};
+
+
+    /**
+     * Event handler called when an incoming controller is detected
+     *
+     * The "controller" attribute of the event that is given to the handler is set
+     * to the remote controller that connected to this browsing context
+     *
+     * @type {EventHandler}
+     */
+    this.onincomingcontroller = null; 
+  };
+
+
+  /**
+   * Human-friendly labels of the capabilities that mechanisms and displays
+   * may declare:
+   * - "messaging": a communication channel can be established with the
+   * receiving side
+   * - "reconnect": the presentation can be reconnected to, including after
+   * a reload of the controlling page
+   * - "terminate": the presentation can be terminated
+   * - "binary": binary messages are carried as is, instead of being encoded
+   * as strings
+   * - "multipleControllers": more than one controller may connect to the
+   * presentation
+   * - "launchConfirmation": the mechanism knows when the receiving side was
+   * actually launched
+   *
+   * @private
+   * @type {Object}
+   */
+  var capabilityLabels = {
+    messaging: 'Messaging',
+    reconnect: 'Reconnect',
+    terminate: 'Terminate',
+    binary: 'Binary messages',
+    multipleControllers: 'Multiple controllers',
+    launchConfirmation: 'Launch confirmation'
+  };
+
+
+  /**
+   * Compute the complete list of capabilities of a display, based on the
+   * capabilities of its mechanism and on those that the display overrides
+   *
+   * @function
+   * @private
+   * @param {Display} display The display, with its "mechanism" property set
+   * @return {Object} The capabilities of the display
+   */
+  var getDisplayCapabilities = function (display) {
+    var mechanismCapabilities = (display.mechanism &&
+      display.mechanism.capabilities) || {};
+    var displayCapabilities = display.capabilities || {};
+    var capabilities = {};
+    Object.keys(capabilityLabels).forEach(function (name) {
+      capabilities[name] = (name in displayCapabilities) ?
+        !!displayCapabilities[name] :
+        !!mechanismCapabilities[name];
+    });
+    return capabilities;
+  };
+
+
+
+
+  /**********************************************************************
+  PresentationConnectionCloseEvent interface
+  **********************************************************************/
+
+  /**
+   * Event fired when a presentation connection enters the "closed" state.
+   *
+   * @constructor
+   * @inherits {_Event}
+   * @param {String} type The event type, typically "close"
+   * @param {reason:String, message:String} eventInitDict The reason why the
+   * connection was closed ("error", "closed" or "wentaway") and a
+   * human-readable message
+   */
+  var PresentationConnectionCloseEvent = function (type, eventInitDict) {
+    _Event.call(this, type);
+    this.reason = eventInitDict.reason;
+    this.message = eventInitDict.message || '';
+  };
+
+
+
+
+  /**********************************************************************
+  PresentationConnection interface
+  **********************************************************************/
+
+  /**
+   * Implements the PresentationConnection interface that is merely a wrapper
+   * around a specified connection. 
+   *
+   * @constructor
+   * @param {RemoteController|Display} remotePeer An object that represents the
+   * remote peer with wich the presentation connection is associated.
+   */
+  var PresentationConnection = function (remotePeer) {
+    _EventTarget.call(this);
+    var that = this;
+
+    /**
+     * The presentation connection identifier
+     *
+     * @type {String}
+     */
+    this.id = null;
+
+    /**
+     * The URL of the presentation, among the URLs of the presentation
+     * request, that the remote peer actually presents
+     *
+     * @type {String}
+     */
+    this.url = null;
+
+    /**
+     * The current connection state, one of "connecting", "connected",
+     * "closed" or "terminated"
+     *
+     * @type {String}
+     */
+    this.state = 'closed';
+
+    /**
+     * Non-standard flag to buffer messages sent while the connection is in
+     * the "connecting" state. Buffered messages are sent as soon as the
+     * connection is connected, and dropped if it gets closed or terminated
+     * in the meantime. When the flag is false, calling "send" before the
+     * connection is connected throws an "InvalidStateError".
+     *
+     * @type {boolean}
+     */
+    this.bufferMessages = false;
+
+    /**
+     * The number of bytes of buffered messages that have not been sent yet
+     *
+     * @type {Number}
+     */
+    var bufferedAmount = 0;
+    Object.defineProperty(this, 'bufferedAmount', {
+      enumerable: true,
+      get: function () {
+        return bufferedAmount;
+      }
+    });
+
+    /**
+     * Event handler called when connection state changes
+     *
+     * @type {EventHandler}
+     */
+    this.onstatechange = null;
+
+    /**
+     * Event handler called when the connection enters the "connected" state
+     *
+     * @type {EventHandler}
+     */
+    this.onconnect = null;
+
+    /**
+     * Event handler called when the connection enters the "closed" state.
+     * The handler receives a PresentationConnectionCloseEvent.
+     *
+     * @type {EventHandler}
+     */
+    this.onclose = null;
+
+    /**
+     * Event handler called when the connection enters the "terminated" state
+     *
+     * @type {EventHandler}
+     */
+    this.onterminate = null;
+
+    /**
+     * Event handler called when a message is received on the communication
+     * channel.
+     *
+     * @type {EventHandler}
+     */
+    this.onmessage = null;
+
+    /**
+     * The type of binary messages that "message" events carry, either
+     * "arraybuffer" or "blob". Other values are ignored.
+     *
+     * @type {String}
+     */
+    var binaryType = 'arraybuffer';
+    Object.defineProperty(this, 'binaryType', {
+      enumerable: true,
+      get: function () {
+        return binaryType;
+      },
+      set: function (type) {
+        if ((type === 'arraybuffer') || (type === 'blob')) {
+          binaryType = type;
+        }
+      }
+    });
+
+    /**
+     * The underlying data channel
+     *
+     * @type {DataChannel}
+     * @private
+     */
+    var channel = null;
+
+    /**
+     * The promise that pending messages will have been sent. Set while some
+     * Blob is being read to preserve the order of messages.
+     *
+     * @type {Promise}
+     * @private
+     */
+    var pendingSend = null;
+
+    /**
+     * Messages sent while the connection was connecting, with their size
+     *
+     * @type {Array({message:*, size:Number})}
+     * @private
+     */
+    var bufferedMessages = [];
+
+
+    /**
+     * The promise to get the data channel that is being created, reset when
+     * the connection gets closed or terminated while connecting
+     *
+     * @type {Promise<DataChannel>}
+     * @private
+     */
+    var pendingChannel = null;
+
+
+    /**
+     * Send a message on the underlying channel, encoding it if needed
+     *
+     * @function
+     * @private
+     * @param {*} message The message, with binary data as an ArrayBuffer
+     * @param {Array} transfer Optional list of transferable objects
+     */
+    var sendOnChannel = function (message, transfer) {
+      if (channel.supportsBinary) {
+        channel.send(message, transfer);
+      }
+      else {
+        channel.send(encodeMessage(message));
+      }
+    };
+
+
+    /**
+     * Convert a message received on the underlying channel to the data that
+     * the "message" event should carry, based on the binary type
+     *
+     * @function
+     * @private
+     * @param {DataChannel} dataChannel The channel that received the message
+     * @param {*} message The received message
+     * @return {*} The data of the message event
+     */
+    var toEventData = function (dataChannel, message) {
+      var data = dataChannel.supportsBinary ?
+        toArrayBuffer(message) :
+        decodeMessage(message);
+      if ((data instanceof ArrayBuffer) && (binaryType === 'blob')) {
+        return new Blob([data]);
+      }
+      return data;
+    };
+
+
+    /**
+     * Change the connection state and fire the relevant events
+     *
+     * @function
+     * @private
+     * @param {String} state The new state
+     * @param {String} reason The reason for closing, for the "closed" state
+     * @param {String} message The close message, for the "closed" state
+     */
+    var setState = function (state, reason, message) {
+      if (that.state === state) {
+        return;
+      }
+      that.state = state;
+      if (state === 'connected') {
+        flushBufferedMessages();
+      }
+      else if ((state !== 'connecting') && (bufferedMessages.length > 0)) {
+        log('warn', 'presentation connection ' + state + ', ' +
+          bufferedMessages.length + ' buffered message(s) dropped');
+        bufferedMessages = [];
+        bufferedAmount = 0;
+      }
+      that.dispatchEvent(new _Event('statechange'));
+      if (state === 'connected') {
+        that.dispatchEvent(new _Event('connect'));
+      }
+      else if (state === 'closed') {
+        log('info', 'presentation connection closed', reason, message);
+        that.dispatchEvent(new PresentationConnectionCloseEvent('close', {
+          reason: reason || 'closed',
+          message: message
+        }));
+      }
+      else if (state === 'terminated') {
+        that.dispatchEvent(new _Event('terminate'));
+      }
+    };
+
+
+    /**
+     * Send the messages that were buffered while the connection was
+     * connecting
+     *
+     * @function
+     * @private
+     */
+    var flushBufferedMessages = function () {
+      var messages = bufferedMessages;
+      bufferedMessages = [];
+      messages.forEach(function (buffered) {
+        bufferedAmount -= buffered.size;
+        sendMessage(buffered.message, buffered.transfer);
+      });
+    };
+
+
+    /**
+     * Send a message on the underlying channel, once previous messages have
+     * been sent
+     *
+     * @function
+     * @private
+     * @param {String|ArrayBuffer|ArrayBufferView|Blob} message
+     * @param {Array} transfer Optional list of transferable objects
+     */
+    var sendMessage = function (message, transfer) {
+      if (!isBlob(message) && !pendingSend) {
+        sendOnChannel(toArrayBuffer(message), transfer);
+        return;
+      }
+
+      var data = isBlob(message) ? readBlob(message) : toArrayBuffer(message);
+      var thisSend = (pendingSend || Promise.resolve())
+        .then(function () {
+          return data;
+        })
+        .then(function (data) {
+          if (!channel || (that.state !== 'connected')) {
+            log('warn', 'presentation connection closed, message dropped');
+            return;
+          }
+          sendOnChannel(data, transfer);
+        })
+        .catch(function (err) {
+          log('error', 'could not send message', err);
+        })
+        .then(function () {
+          if (pendingSend === thisSend) {
+            pendingSend = null;
+          }
+        });
+      pendingSend = thisSend;
+    };
+
+
+    /**
+     * Non-standard method to create a data channel with the remote browsing
+     * context.
+     *
+     * The application that uses the Presentation API may override that method
+     * right after the call to start returns the PresentationConnection
+     * instance to associate the presentation connection with a data channel
+     * of its own.
+     *
+     * @function
+     * @return {Promise<DataChannel>} The promise to get a data communication
+     * channel ready for exchanging messages with the remote peer. The
+     * connection is in the "connecting" state until then. The promise is
+     * rejected with a DOMException named "AbortError" if the connection gets
+     * closed or terminated in the meantime.
+     */
+    this.createDataChannel = function () {
+      if (pendingChannel) {
+        return pendingChannel;
+      }
+      if (channel) {
+        return new Promise(function (resolve, reject) {
+          resolve(channel);
+        });
+      }
+      var thisChannel = remotePeer.createDataChannel().then(function (dataChannel) {
+        if (pendingChannel !== thisChannel) {
+          // The connection was closed or terminated in the meantime
+          log('info', 'presentation connection no longer connecting, ' +
+            'close data channel');
+          dataChannel.onstatechange = null;
+          dataChannel.close();
+          throw new _DOMException('AbortError',
+            'Presentation connection closed while connecting');
+        }
+        pendingChannel = null;
+        channel = dataChannel;
+        channel.onstatechange = function () {
+          var closedChannel = channel;
+          if (channel.state !== 'connected') {
+            // Channel will have to be re-created
+            channel = null;
+          }
+          setState(closedChannel.state,
+            closedChannel.closeReason, closedChannel.closeMessage);
+        };
+        channel.onmessage = function (message) {
+          that.dispatchEvent(new _MessageEvent('message', {
+            data: message ? toEventData(dataChannel, message.data) : undefined
+          }));
+        };
+        setState(channel.state);
+      }, function (err) {
+        if (pendingChannel === thisChannel) {
+          pendingChannel = null;
+        }
+        log('warn', 'could not create data channel', err);
+        that._closeOnError(err);
+        throw err;
+      });
+      pendingChannel = thisChannel;
+      setState('connecting');
+      return pendingChannel;
+    };
+
+
+    /**
+     * Move the connection to the "closed" state with an "error" reason,
+     * unless it is already closed or terminated
+     *
+     * @function
+     * @private
+     * @param {Error} err The error that caused the connection to close
+     */
+    this._closeOnError = function (err) {
+      if ((this.state === 'closed') || (this.state === 'terminated')) {
+        return;
+      }
+      setState('closed', 'error', (err && err.message) || '');
+    };
+
+
+    /**
+     * Sends a message through the communication channel.
+     *
+     * Binary messages may be given as an ArrayBuffer, an ArrayBuffer view
+     * (e.g. a typed array) or a Blob. Blobs need to be read before they can be
+     * sent, subsequent messages are queued in the meantime to preserve order.
+     *
+     * Messages sent while the connection is connecting are buffered if the
+     * "bufferMessages" flag is set.
+     *
+     * The non-standard "transfer" parameter lists objects whose ownership
+     * should be transferred rather than copied, e.g. large ArrayBuffers, when
+     * the underlying channel supports it (Window mechanism). The objects are
+     * no longer usable on the sending side afterwards.
+     *
+     * @function
+     * @param {String|ArrayBuffer|ArrayBufferView|Blob} message
+     * @param {Array} transfer Optional list of transferable objects
+     */
+    this.send = function (message, transfer) {
+      if ((this.state === 'connecting') && this.bufferMessages) {
+        var size = getMessageSize(message);
+        bufferedMessages.push({
+          message: message,
+          size: size,
+          transfer: transfer
+        });
+        bufferedAmount += size;
+        return;
+      }
+      if (this.state === 'connecting') {
+        throw new _DOMException('InvalidStateError', 'Presentation connection is connecting, cannot send message');
+      }
+      if (!channel || (this.state !== 'connected')) {
+        throw new _DOMException('InvalidStateError', 'Presentation connection is closed, cannot send message');
+      }
+      sendMessage(message, transfer);
+    };
+
+
+    /**
+     * Close the connection
+     *
+     * @function
+     */
+    this.close = function () {
+      if (pendingChannel) {
+        // The data channel will be closed as soon as it is created
+        pendingChannel = null;
+        setState('closed', 'closed');
+        return;
+      }
+      if (!channel) {
+        return;
+      }
+      channel.closeReason = 'closed';
+      channel.close();
+      channel = null;
+    };
+
+
+    /**
+     * Terminate the presentation connection
+     *
+     * @function
+     */
+    this.terminate = function () {
+      // The remote peer is told about the termination before the channel
+      // gets closed, so that it does not see the channel as merely closed
+      remotePeer.terminate();
+      pendingChannel = null;
+      if (channel) {
+        // Terminating the connection should not fire a "close" event
+        var closingChannel = channel;
+        channel = null;
+        closingChannel.onstatechange = null;
+        closingChannel.close();
+      }
+      setState('terminated');
     };
+  };
+
 
 
+
+  /**********************************************************************
+  PresentationAvailability interface
+  **********************************************************************/
+
+  /**
+   * Information about the current results of the presentation display
+   * availability monitoring.
+   *
+   * An instance of this class is returned by PresentationRequest's
+   * getAvailability method if monitoring is supported by the user agent.
+   *
+   * Controlling app may listen to the "change" event to be notified about
+   * availability changes. The user agent keeps monitoring available displays
+   * in the background as long as there are listeners for that event.
+   *
+   * @constructor
+   * @param {function} onlistenerschange Private function called whenever a
+   *  "change" listener is attached or detached
+   */
+  var PresentationAvailability = function (onlistenerschange) {
+    var notify = function (type) {
+      if ((type === 'change') && onlistenerschange) {
+        onlistenerschange();
+      }
+    };
+    _EventTarget.call(this, notify);
+
     /**
-     * Event handler called when an incoming controller is detected
+     * Whether there are presentation displays available
      *
-     * The "controller" attribute of the event that is given to the handler is set
-     * to the remote controller that connected to this browsing context
+     * @type {boolean}
+     */
+    this.value = false;
+
+    /**
+     * Event handler called when availability flag changes
      *
      * @type {EventHandler}
      */
-    this.onincomingcontroller = null; 
+    var onchange = null;
+    Object.defineProperty(this, 'onchange', {
+      enumerable: true,
+      get: function () {
+        return onchange;
+      },
+      set: function (handler) {
+        onchange = handler;
+        notify('change');
+      }
+    });
   };
 
 
 
 
   /**********************************************************************
-  PresentationConnection interface
+  PresentationConnectionAvailableEvent interface
   **********************************************************************/
 
   /**
-   * Implements the PresentationConnection interface that is merely a wrapper
-   * around a specified connection. 
+   * Event fired with a pointer to a presentation connection once a
+   * presentation request is properly started.
    *
    * @constructor
-   * @param {RemoteController|Display} remotePeer An object that represents the
-   * remote peer with wich the presentation connection is associated.
+   * @inherits {_Event}
+   * @param {String} type The event type, typically "connectionavailable"
+   * @param {connection:PresentationConnection} eventInitDict An object that
+   * points to the presentation connection to associate with the event
    */
-  var PresentationConnection = function (remotePeer) {
+  var PresentationConnectionAvailableEvent = function (type, eventInitDict) {
+    _Event.call(this, type);
+    this.connection = eventInitDict.connection;
+  };
+
+
+
+
+  /**********************************************************************
+  Display picker
+  **********************************************************************/
+
+  /**
+   * Progress of the discovery of available displays, as given to display
+   * pickers.
+   *
+   * The "displays" list grows as presentation mechanisms report displays. A
+   * "change" event is fired each time the list grows and when the discovery
+   * is over, meaning when all mechanisms answered or timed out.
+   *
+   * @constructor
+   * @private
+   */
+  var DisplayDiscovery = function () {
+    _EventTarget.call(this);
     var that = this;
 
     /**
-     * The presentation connection identifier
+     * The displays found so far
      *
-     * @type {String}
+     * @type {Array(Display)}
      */
-    this.id = null;
+    this.displays = [];
 
     /**
-     * The current connection state
+     * Whether some mechanisms have not yet reported their displays
      *
-     * @type {String}
+     * @type {boolean}
      */
-    this.state = 'closed';
+    this.searching = true;
 
     /**
-     * Event handler called when connection state changes
+     * Event handler called when the list of displays or the "searching" flag
+     * changes
      *
      * @type {EventHandler}
      */
-    this.onstatechange = null;
+    this.onchange = null;
+
+    /**
+     * Add displays reported by a mechanism
+     *
+     * @function
+     * @private
+     * @param {Array(Display)} displays
+     */
+    this._addDisplays = function (displays) {
+      if (!that.searching || (displays.length === 0)) {
+        return;
+      }
+
+      // Keep displays in mechanism order
+      var mechanisms = getEnabledMechanisms();
+      displays.forEach(function (display) {
+        var rank = mechanisms.indexOf(display.mechanism);
+        var idx = 0;
+        while ((idx < that.displays.length) &&
+            (mechanisms.indexOf(that.displays[idx].mechanism) <= rank)) {
+          idx++;
+        }
+        that.displays.splice(idx, 0, display);
+      });
+      that.dispatchEvent(new _Event('change'));
+    };
+
+    /**
+     * Signal the end of the discovery
+     *
+     * @function
+     * @private
+     */
+    this._end = function () {
+      if (!that.searching) {
+        return;
+      }
+      that.searching = false;
+      that.dispatchEvent(new _Event('change'));
+    };
+  };
+
+
+  /**
+   * Built-in display picker that renders a modal dialog with the list of
+   * available displays and lets the user select one of them.
+   *
+   * Displays are added to the dialog as they are found. The dialog can be
+   * operated with the mouse or with the keyboard: arrow keys move the focus
+   * among displays and "Escape" closes the dialog. The elements it creates
+   * use "presentation-api-polyfill-picker" class names that apps may target
+   * to style the dialog.
+   *
+   * @function
+   * @private
+   * @param {Array(Display)} displays The list of available displays
+   * @param {DisplayDiscovery} discovery Optional progress of the discovery
+   *  of displays. When given, the dialog shows a "searching" state until the
+   *  discovery is over.
+   * @return {Promise<Display>} The promise to get the display that the user
+   *  selected. The promise is rejected if the user closes the dialog, or with
+   *  a DOMException named "NotFoundError" if no display could be found.
+   */
+  var showDisplayPicker = function (displays, discovery) {
+    return new Promise(function (resolve, reject) {
+      var prefix = 'presentation-api-polyfill-picker';
+      var previouslyFocused = document.activeElement;
+      var buttons = [];
+      var items = [];
+      var renderedDisplays = [];
+
+      var close = function () {
+        if (discovery) {
+          discovery.removeEventListener('change', discoveryListener);
+        }
+        document.removeEventListener('keydown', keydownListener, true);
+        if (container.parentNode) {
+          container.parentNode.removeChild(container);
+        }
+        if (previouslyFocused && previouslyFocused.focus) {
+          previouslyFocused.focus();
+        }
+      };
+
+      var keydownListener = function (event) {
+        var idx = buttons.indexOf(document.activeElement);
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          close();
+          reject(new _DOMException('AbortError'));
+        }
+        else if ((event.key === 'ArrowDown') || (event.key === 'ArrowUp')) {
+          event.preventDefault();
+          idx += (event.key === 'ArrowDown') ? 1 : -1;
+          idx = (idx + buttons.length) % buttons.length;
+          buttons[idx].focus();
+        }
+        else if (event.key === 'Tab') {
+          // Keep the focus within the dialog
+          event.preventDefault();
+          idx += event.shiftKey ? -1 : 1;
+          idx = (idx + buttons.length) % buttons.length;
+          buttons[idx].focus();
+        }
+      };
+
+      var title = document.createElement('h2');
+      title.id = prefix + '-title';
+      title.className = prefix + '-title';
+      title.textContent = 'Select a display';
+      title.style.margin = '0 0 0.5em 0';
+      title.style['font-size'] = 'larger';
+
+      var list = document.createElement('ul');
+      list.className = prefix + '-list';
+      list.style.margin = 0;
+      list.style.padding = 0;
+      list.style['list-style'] = 'none';
+
+      var status = document.createElement('p');
+      status.className = prefix + '-status';
+      status.setAttribute('role', 'status');
+      status.setAttribute('aria-live', 'polite');
+      status.style.margin = '0.5em 0';
+      status.style['font-style'] = 'italic';
+
+      var addDisplay = function (display, nextDisplay) {
+        var button = document.createElement('button');
+        button.className = prefix + '-display';
+        button.style.display = 'block';
+        button.style.width = '100%';
+        button.style.margin = '0.25em 0';
+        button.style.padding = '0.5em';
+        button.style['text-align'] = 'left';
+        button.style['font-size'] = 'larger';
+
+        var name = document.createElement('span');
+        name.className = prefix + '-display-name';
+        name.textContent = display.name;
+        button.appendChild(name);
+
+        if (display.mechanism) {
+          var mechanism = document.createElement('span');
+          mechanism.className = prefix + '-display-mechanism';
+          mechanism.textContent = display.mechanism.name;
+          mechanism.style.display = 'block';
+          mechanism.style['font-size'] = 'smaller';
+          mechanism.style.opacity = 0.7;
+          button.appendChild(mechanism);
+        }
+
+        var supported = Object.keys(capabilityLabels).filter(function (name) {
+          return display.capabilities && display.capabilities[name];
+        });
+        if (supported.length > 0) {
+          var capabilities = document.createElement('span');
+          capabilities.className = prefix + '-display-capabilities';
+          capabilities.textContent = supported.map(function (name) {
+            return capabilityLabels[name];
+          }).join(', ');
+          capabilities.style.display = 'block';
+          capabilities.style['font-size'] = 'smaller';
+          capabilities.style.opacity = 0.7;
+          button.appendChild(capabilities);
+        }
+
+        button.addEventListener('click', function (event) {
+          event.preventDefault();
+          close();
+          resolve(display);
+        });
+
+        var item = document.createElement('li');
+        item.appendChild(button);
+
+        // Displays are rendered in the order of the list of displays, and
+        // the cancel button remains the last focusable button
+        var idx = nextDisplay ?
+          renderedDisplays.indexOf(nextDisplay) :
+          renderedDisplays.length;
+        list.insertBefore(item, items[idx] || null);
+        items.splice(idx, 0, item);
+        buttons.splice(idx, 0, button);
+        renderedDisplays.splice(idx, 0, display);
+      };
+
+      var render = function () {
+        var available = discovery ? discovery.displays : displays;
+        var wasEmpty = (renderedDisplays.length === 0);
+        available.forEach(function (display, idx) {
+          if (renderedDisplays.indexOf(display) !== -1) {
+            return;
+          }
+          var nextDisplay = null;
+          available.slice(idx + 1).some(function (next) {
+            if (renderedDisplays.indexOf(next) !== -1) {
+              nextDisplay = next;
+              return true;
+            }
+            return false;
+          });
+          addDisplay(display, nextDisplay);
+        });
+        if (wasEmpty && (renderedDisplays.length > 0) &&
+            (document.activeElement === cancelButton)) {
+          buttons[0].focus();
+        }
+
+        if (discovery && discovery.searching) {
+          status.textContent = 'Searching for displays…';
+          status.style.display = 'block';
+        }
+        else {
+          status.textContent = '';
+          status.style.display = 'none';
+        }
+      };
+
+      var discoveryListener = function () {
+        render();
+        if (!discovery.searching && (renderedDisplays.length === 0)) {
+          close();
+          reject(new _DOMException('NotFoundError'));
+        }
+      };
+
+      var cancelButton = document.createElement('button');
+      cancelButton.className = prefix + '-cancel';
+      cancelButton.textContent = 'Cancel';
+      cancelButton.style.width = '100%';
+      cancelButton.style.marginTop = '1em';
+      cancelButton.addEventListener('click', function (event) {
+        event.preventDefault();
+        close();
+        reject(new _DOMException('AbortError'));
+      });
+      buttons.push(cancelButton);
+      render();
+
+      var dialog = document.createElement('div');
+      dialog.className = prefix;
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', title.id);
+      dialog.style.width = '300px';
+      dialog.style['max-width'] = '90%';
+      dialog.style.margin = '10vh auto';
+      dialog.style.padding = '1em';
+      dialog.style['background-color'] = '#ffffff';
+      dialog.style.color = '#000000';
+      dialog.appendChild(title);
+      dialog.appendChild(list);
+      dialog.appendChild(status);
+      dialog.appendChild(cancelButton);
+
+      var container = document.createElement('div');
+      container.className = prefix + '-backdrop';
+      container.style.position = 'fixed';
+      container.style.top = 0;
+      container.style.left = 0;
+      container.style.height = '100%';
+      container.style.width = '100%';
+      container.style['z-index'] = 10;
+      container.style['background-color'] = 'rgba(0,0,0,0.5)';
+      container.appendChild(dialog);
+
+      document.body.appendChild(container);
+      document.addEventListener('keydown', keydownListener, true);
+      buttons[0].focus();
+      if (discovery) {
+        discovery.addEventListener('change', discoveryListener);
+        discoveryListener();
+      }
+    });
+  };
+
+
+  /**
+   * The display picker function registered by the app, if any. The built-in
+   * display picker is used when that function is null.
+   *
+   * @private
+   * @type {function}
+   */
+  var registeredDisplayPicker = null;
+
+
+  /**
+   * Register the function to call to let the user select a display.
+   *
+   * The function is called as soon as the user starts a presentation, while
+   * the discovery of displays is still running. It receives the list of
+   * available displays, which grows as displays are found, and a discovery
+   * object whose "searching" flag tells whether discovery is still running
+   * and which fires "change" events when the list or the flag changes. Each
+   * display has a "name" and a "mechanism" property that points to the
+   * presentation mechanism that reported it.
+   *
+   * The function must return a Promise resolved with the selected display,
+   * or rejected if the user did not select any display. The presentation
+   * request is rejected with a "NotFoundError" if discovery ends without
+   * finding any display.
+   *
+   * @function
+   * @param {function} picker The display picker function, or null to restore
+   *  the built-in display picker
+   */
+  var registerDisplayPicker = function (picker) {
+    registeredDisplayPicker = picker || null;
+  };
+
+
+
+
+  /**********************************************************************
+  PresentationRequest interface
+  **********************************************************************/
+
+  /**
+   * The PresentationRequest interface represents an intent to start a
+   * presentation at one of a list of URLs.
+   *
+   * This shim implements both the controlling side and the receiving side.
+   * However, note that this interface is useless on the receiving side.
+   *
+   * @constructor
+   * @param {String|Array(String)} urls The URL or list of URLs to present
+   *  when the intent is to be started, in order of preference. Each
+   *  presentation mechanism presents the first URL it can handle.
+   * @param {Object} options Request options. The polyfill understands the
+   *  non-standard "isChannelOptional" flag, which defaults to "false" and may
+   *  be set to "true" to also include second screens for which it cannot
+   *  establish a communication channel all by itself, the non-standard
+   *  "requiredCapabilities" list of display capabilities that the app needs
+   *  (e.g. ["terminate", "binary"]), and the non-standard "bufferMessages"
+   *  flag, which sets the flag of the same name on the presentation
+   *  connections that the request creates
+   */
+  var PresentationRequest = (function () {
+    /**
+     * The set of presentation connections known to the controlling context
+     *
+     * @private
+     * @type {Array({url:String, id:String, connection:PresentationConnection,
+     *   display:Display})}
+     */
+    var setOfPresentations = [];
+
+
+    /**
+     * The set of availability objects requested through the getAvailability
+     * method.
+     *
+     * @private
+     * @type {Array({A:PresentationAvailability, availabilityUrls:Array(String), requiredCapabilities:Array(String), options:Object})}
+     */
+    var setOfAvailabilityObjects = [];
+
+
+    /**
+     * The set of available presentation displays
+     *
+     * @private
+     * @type {Array(Display)}
+     */
+    var listOfAvailablePresentationDisplays = [];
+
+
+    /**
+     * Interval between two rounds of background monitoring of available
+     * presentation displays, in milliseconds
+     *
+     * @private
+     * @type {Number}
+     */
+    var availabilityMonitoringInterval = 5000;
+
+
+    /**
+     * Whether background monitoring of available presentation displays is
+     * running (either waiting for the next round or running one)
+     *
+     * @private
+     * @type {boolean}
+     */
+    var isMonitoringAvailability = false;
+
+
+    /**
+     * Whether the two given lists of strings (e.g. URLs) are the same
+     *
+     * @function
+     * @private
+     * @param {Array(String)} a
+     * @param {Array(String)} b
+     * @return {boolean}
+     */
+    var sameLists = function (a, b) {
+      return (a.length === b.length) && a.every(function (item, idx) {
+        return (item === b[idx]);
+      });
+    };
+
+
+    /**
+     * Compute the list of capabilities that displays must have to be used
+     * with the given presentation request options
+     *
+     * Messaging is required unless the "isChannelOptional" option is set.
+     *
+     * @function
+     * @private
+     * @param {Object} options Presentation request options
+     * @return {Array(String)} The sorted list of required capabilities
+     */
+    var getRequiredCapabilities = function (options) {
+      var required = ((options && options.requiredCapabilities) || []).slice();
+      if (!(options && options.isChannelOptional) &&
+          (required.indexOf('messaging') === -1)) {
+        required.push('messaging');
+      }
+      return required.sort();
+    };
+
+
+    /**
+     * Retrieve the list of displays that the given mechanism reports as
+     * available, compatible with at least one of the given URLs and that
+     * have the capabilities that the request needs
+     *
+     * Each display gets a "mechanism" property that points to the mechanism,
+     * and a "capabilities" property that lists its capabilities.
+     *
+     * The mechanism is initialized first if needed. Its discovery timeout
+     * applies to the initialization, and then to the discovery itself.
+     *
+     * Errors are isolated: if the mechanism fails or does not answer within
+     * its discovery timeout, it is considered to have no available display.
+     *
+     * @function
+     * @private
+     * @param {PresentationMechanism} mechanism The mechanism to query
+     * @param {Array(String)} urls The URLs to present, in order of preference
+     * @param {Object} options Presentation request options
+     * @return {Promise<Array(Display)>} The promise to get the list of
+     *  displays. The promise is never rejected.
+     */
+    var getMechanismDisplays = function (mechanism, urls, options) {
+      return initializeMechanism(mechanism).then(function (initialized) {
+        if (!initialized) {
+          return [];
+        }
+        return discoverMechanismDisplays(mechanism, urls, options);
+      });
+    };
+
 
     /**
-     * Event handler called when a message is received on the communication
-     * channel.
+     * Query an initialized mechanism for available displays.
+     * See "getMechanismDisplays" for details.
      *
-     * @type {EventHandler}
+     * @function
+     * @private
+     * @param {PresentationMechanism} mechanism The mechanism to query
+     * @param {Array(String)} urls The URLs to present, in order of preference
+     * @param {Object} options Presentation request options
+     * @return {Promise<Array(Display)>} The promise to get the list of
+     *  displays. The promise is never rejected.
      */
-    this.onmessage = null;
+    var discoverMechanismDisplays = function (mechanism, urls, options) {
+      return new Promise(function (resolve, reject) {
+        var timeout = setTimeout(function () {
+          log('warn', mechanism.name + ' did not report displays in time');
+          timeout = null;
+          resolve([]);
+        }, mechanism.discoveryTimeout);
+
+        new Promise(function (resolve, reject) {
+          resolve(mechanism.getAvailableDisplays(urls, options));
+        }).then(function (displays) {
+          var required = getRequiredCapabilities(options);
+          return (displays || []).filter(function (display) {
+            display.mechanism = mechanism;
+            display.capabilities = getDisplayCapabilities(display);
+            var missing = required.filter(function (name) {
+              return !display.capabilities[name];
+            });
+            if (missing.length > 0) {
+              log('display "' + display.name + '" lacks capabilities', missing);
+              return false;
+            }
+            if (mechanism.selectUrl(display, urls)) {
+              return true;
+            }
+            log('display "' + display.name + '" cannot present', urls);
+            return false;
+          });
+        }).catch(function (err) {
+          log('error', mechanism.name + ' could not report displays', err);
+          return [];
+        }).then(function (displays) {
+          if (!timeout) {
+            return;
+          }
+          clearTimeout(timeout);
+          resolve(displays);
+        });
+      });
+    };
+
 
     /**
-     * The underlying data channel
+     * Retrieve the list of displays that registered mechanisms report as
+     * available and compatible with at least one of the given URLs
      *
-     * @type {DataChannel}
+     * Mechanisms are queried in parallel, the optional "ondisplays" callback
+     * is called as soon as one of them reports displays.
+     *
+     * @function
      * @private
+     * @param {Array(String)} urls The URLs to present, in order of preference
+     * @param {Object} options Presentation request options
+     * @param {function} ondisplays Optional function called with the list of
+     *  displays each mechanism reports, as they arrive
+     * @return {Promise<Array(Display)>} The promise to get the flattened list
+     *  of available displays once all mechanisms answered or timed out. The
+     *  promise is never rejected.
      */
-    var channel = null;
+    var getAvailableDisplays = function (urls, options, ondisplays) {
+      initializeMechanisms();
+      return Promise.all(getEnabledMechanisms().map(function (mechanism) {
+        return getMechanismDisplays(mechanism, urls, options)
+          .then(function (displays) {
+            if (ondisplays && (displays.length > 0)) {
+              ondisplays(displays);
+            }
+            return displays;
+          });
+      })).then(function (lists) {
+        // Flattten the lists of displays
+        return lists.reduce(function (a, b) {
+          return a.concat(b);
+        }, []);
+      });
+    };
 
 
     /**
-     * Non-standard method to create a data channel with the remote browsing
-     * context.
-     *
-     * The application that uses the Presentation API may override that method
-     * right after the call to start returns the PresentationConnection
-     * instance to associate the presentation connection with a data channel
-     * of its own.
+     * Update the value of the availability objects that monitor the given
+     * URLs and options, based on the given list of compatible displays, firing
+     * a "change" event when the value changes.
      *
      * @function
-     * @return {Promise<DataChannel>} The promise to get a data communication
-     * channel ready for exchanging messages with the remote peer
+     * @private
+     * @param {Array(String)} urls The URLs for which displays were computed
+     * @param {Object} options The presentation request options used
+     * @param {Array(Display)} displays The list of available displays
      */
-    this.createDataChannel = (function () {
-      var pendingPromise = null;
-      return function () {
-        if (pendingPromise) {
-          return pendingPromise();
+    var updateAvailabilityObjects = function (urls, options, displays) {
+      setOfAvailabilityObjects.forEach(function (availabilityObject) {
+        if (!sameLists(availabilityObject.availabilityUrls, urls) ||
+            !sameLists(availabilityObject.requiredCapabilities,
+              getRequiredCapabilities(options))) {
+          return;
         }
-        if (channel) {
-          return new Promise(function (resolve, reject) {
-            resolve(channel);
+        var previousAvailability = availabilityObject.A.value;
+        var newAvailability = (displays.length > 0);
+        if (previousAvailability !== newAvailability) {
+          queueTask(function () {
+            availabilityObject.A.value = newAvailability;
+            availabilityObject.A.dispatchEvent(new _Event('change'));
           });
         }
-        pendingPromise = remotePeer.createDataChannel().then(function (dataChannel) {
-          pendingPromise = null;
-          channel = dataChannel;
-          channel.onstatechange = function () {
-            if (channel.state !== that.state) {
-              that.state = channel.state;
-              if (that.onstatechange) {
-                that.onstatechange();
-              }
-            }
-            if (channel.state !== 'connected') {
-              // Channel will have to be re-created
-              channel = null;
-            }
-          };
-          channel.onmessage = function (message) {
-            if (that.onmessage) {
-              that.onmessage(message);
-            }
-          };
-          if (that.state !== channel.state) {
-            that.state = channel.state;
-            if (that.onstatechange) {
-              that.onstatechange();
-            }
-          }
-        });
-        return pendingPromise;
-      };
-    })();
+      });
+    };
 
 
     /**
-     * Sends a message through the communication channel.
+     * Whether the given availability object needs to be monitored, meaning
+     * that the app listens to "change" events on it.
      *
      * @function
-     * @param {*} message
+     * @private
+     * @param {{A:PresentationAvailability}} availabilityObject
+     * @return {boolean}
      */
-    this.send = function (message) {
-      if (!channel) {
-        throw new _DOMException('InvalidStateError', 'Presentation connection not available, cannot send message');
-      }
-      if (this.state !== 'connected') {
-        throw new _DOMException('InvalidStateError', 'Presentation connection is closed, cannot send message');
-      }
-      channel.send(message);
+    var isAvailabilityObjectInUse = function (availabilityObject) {
+      return availabilityObject.A._hasEventListeners('change');
     };
 
 
     /**
-     * Close the connection
+     * Run one round of background monitoring for the availability objects
+     * that are in use and schedule the next round.
+     *
+     * Monitoring stops when no availability object is in use anymore. It gets
+     * restarted as soon as some app listens to "change" events again.
      *
      * @function
+     * @private
      */
-    this.close = function () {
-      if (!channel) {
+    var monitorAvailability = function () {
+      var availabilityObjects = setOfAvailabilityObjects.filter(
+        isAvailabilityObjectInUse);
+      if (availabilityObjects.length === 0) {
+        log('info', 'no availability object in use, stop monitoring displays');
+        isMonitoringAvailability = false;
         return;
       }
-      channel.close();
-      that.channel = null;
+
+      log('monitor available displays in the background');
+      Promise.all(availabilityObjects.map(function (availabilityObject) {
+        var options = availabilityObject.options;
+        return getAvailableDisplays(availabilityObject.availabilityUrls, options)
+          .then(function (displays) {
+            updateAvailabilityObjects(
+              availabilityObject.availabilityUrls, options, displays);
+          }, function (err) {
+            log('warn', 'could not monitor available displays', err);
+          });
+      })).then(function () {
+        setTimeout(monitorAvailability, availabilityMonitoringInterval);
+      });
     };
 
 
     /**
-     * Terminate the presentation connection
+     * Start background monitoring of available displays if needed and if
+     * not already running.
      *
      * @function
+     * @private
      */
-    this.terminate = function () {
-      if (channel) {
-        channel.close();
-      }
-      remotePeer.terminate();
-      if (that.state !== 'terminated') {
-        that.state = 'terminated';
-        if (that.onstatechange) {
-          that.onstatechange();
-        }
+    var startAvailabilityMonitoring = function () {
+      if (isMonitoringAvailability ||
+          !setOfAvailabilityObjects.some(isAvailabilityObjectInUse)) {
+        return;
       }
+      log('info', 'start monitoring displays in the background');
+      isMonitoringAvailability = true;
+      setTimeout(monitorAvailability, availabilityMonitoringInterval);
     };
-  };
-
-
 
 
-  /**********************************************************************
-  PresentationAvailability interface
-  **********************************************************************/
-
-  /**
-   * Information about the current results of the presentation display
-   * availability monitoring.
-   *
-   * An instance of this class is returned by PresentationRequest's
-   * getAvailability method if monitoring is supported by the user agent.
-   *
-   * Controlling app may listen to the "change" event to be notified about
-   * availability changes.
-   *
-   * @constructor
-   */
-  var PresentationAvailability = function () {
     /**
-     * Whether there are presentation displays available
+     * Key of the presentation records in the local storage
      *
-     * @type {boolean}
+     * @private
+     * @type {String}
      */
-    this.value = false;
+    var presentationRecordsKey = 'presentation-api-polyfill-presentations';
+
 
     /**
-     * Event handler called when availability flag changes
+     * Lifetime of persisted presentation records, in milliseconds. Records
+     * are refreshed each time the app reconnects to the presentation.
      *
-     * @type {EventHandler}
+     * @private
+     * @type {Number}
      */
-    this.onchange = null;
-  };
-
-
-
-
-  /**********************************************************************
-  PresentationConnectionAvailableEvent interface
-  **********************************************************************/
-
-  /**
-   * Event fired with a pointer to a presentation connection once a
-   * presentation request is properly started.
-   *
-   * @constructor
-   * @inherits {Event}
-   * @param {connection:PresentationConnection} eventInitDict An object that
-   * points to the presentation connection to associate with the event
-   */
-  var PresentationConnectionAvailableEvent = function (eventInitDict) {
-    this.connection = eventInitDict.connection;
-  };
-
+    var presentationRecordLifetime = 24 * 60 * 60 * 1000;
 
 
+    /**
+     * Load the list of presentation records that have not yet expired from
+     * the local storage
+     *
+     * @function
+     * @private
+     * @return {Array({url:String, id:String, mechanism:String, data:Object, expires:Number})}
+     *  The list of presentation records, where "mechanism" is the identifier
+     *  of the mechanism that runs the presentation
+     */
+    var loadPresentationRecords = function () {
+      var records = [];
+      try {
+        records = JSON.parse(
+          window.localStorage.getItem(presentationRecordsKey)) || [];
+      }
+      catch (err) {
+        log('warn', 'could not load presentations from local storage', err);
+      }
+      var now = Date.now();
+      return records.filter(function (record) {
+        return (record.expires > now);
+      });
+    };
 
-  /**********************************************************************
-  PresentationRequest interface
-  **********************************************************************/
 
-  /**
-   * The PresentationRequest interface represents an intent to start a
-   * presentation at a given URL.
-   *
-   * This shim implements both the controlling side and the receiving side.
-   * However, note that this interface is useless on the receiving side.
-   *
-   * @constructor
-   * @param {String} url The URL to present when the intent is to be started
-   * @param {Object} options Request options. The polyfill understands the
-   *  non-standard "isChannelOptional" flag, which defaults to "false" and may
-   *  be set to "true" to also include second screens for which it cannot
-   *  establish a communication channel all by itself
-   */
-  var PresentationRequest = (function () {
     /**
-     * The set of presentation connections known to the controlling context
+     * Save the list of presentation records to the local storage
      *
+     * @function
      * @private
-     * @type {Array({url:String, id:String, connection:PresentationConnection})}
+     * @param {Array(Object)} records The list of presentation records
      */
-    var setOfPresentations = [];
+    var savePresentationRecords = function (records) {
+      try {
+        window.localStorage.setItem(presentationRecordsKey,
+          JSON.stringify(records));
+      }
+      catch (err) {
+        log('warn', 'could not save presentations to local storage', err);
+      }
+    };
 
 
     /**
-     * The set of availability objects requested through the getAvailability
-     * method.
+     * Persist the presentation that runs on the given display, provided the
+     * display's mechanism can re-attach to it later on.
      *
+     * @function
      * @private
-     * @type {Array({A:PresentationAvailability, availabilityUrl:String})}
+     * @param {PresentationConnection} connection The presentation connection
+     * @param {Display} display The display that runs the presentation
      */
-    var setOfAvailabilityObjects = [];
+    var persistPresentation = function (connection, display) {
+      var data = display.getReconnectData();
+      if (!data) {
+        return;
+      }
+      var records = loadPresentationRecords().filter(function (record) {
+        return (record.id !== connection.id);
+      });
+      records.push({
+        url: connection.url,
+        id: connection.id,
+        mechanism: display.mechanism.id,
+        data: data,
+        expires: Date.now() + presentationRecordLifetime
+      });
+      savePresentationRecords(records);
+    };
 
 
     /**
-     * The set of available presentation displays
+     * Remove the record of the given presentation from the local storage
      *
+     * @function
      * @private
-     * @type {Array(Display)}
+     * @param {String} presentationId The presentation identifier
      */
-    var listOfAvailablePresentationDisplays = [];
+    var forgetPresentation = function (presentationId) {
+      savePresentationRecords(
+        loadPresentationRecords().filter(function (record) {
+          return (record.id !== presentationId);
+        }));
+    };
 
 
     /**
@@ -680,14 +2801,30 @@
      * @return {String} unique presentation connection id
      */
     var getNewValidPresentationConnectionIdentifier = function () {
-      return setOfPresentations.length;
+      var id = null;
+      var isUsed = function (presentation) {
+        return (presentation.id === id);
+      };
+      do {
+        id = generatePresentationId();
+      } while (setOfPresentations.some(isUsed));
+      return id;
     };
 
 
     /**
      * The actual PresentationRequest interface
      */
-    var PresentationRequest = function (url, options) {
+    var PresentationRequest = function (urls, options) {
+      _EventTarget.call(this);
+
+      // Note the URLs are copied to prevent the caller from changing the list
+      urls = Array.isArray(urls) ? urls.slice() : [urls];
+      if (urls.length === 0) {
+        throw new _DOMException('NotSupportedError',
+          'At least one presentation URL is required');
+      }
+
       /**
        * Fired when the presentation connection associated with the object is
        * created, following a call to start, reconnect or, for the default
@@ -698,6 +2835,15 @@
       this.onconnectionavailable = null;
 
 
+      /**
+       * Fired together with "connectionavailable". Kept for applications
+       * written against earlier versions of the specification.
+       *
+       * @type {EventHandler}
+       */
+      this.onconnection = null;
+
+
       /**
        * Start a presentation connection
        *
@@ -715,17 +2861,16 @@
       this.start = function () {
         return isAllowedToShowPopup()
           .then(monitorAvailablePresentationDisplays)
-          .then(function () {
-            if (listOfAvailablePresentationDisplays.length === 0) {
-              throw new _DOMException('NotFoundError');
-            }
-          })
           .then(requestUserToSelectPresentationDisplay)
-          .then(navigateDisplayToPresentationUrl)
           .then(function (display) {
-            var connection = createPresentationConnection(display);
-            establishPresentationConnection(connection);
-            return connection;
+            var presentationId = getNewValidPresentationConnectionIdentifier();
+            return navigateDisplayToPresentationUrl(display, presentationId)
+              .then(function (presentationId) {
+                var connection = createPresentationConnection(
+                  display, presentationId);
+                establishPresentationConnection(connection);
+                return connection;
+              });
           });
       };
 
@@ -735,12 +2880,12 @@
        *
        * The presentation connection must be known to the underlying user agent. In
        * other words, there should have been a call to "start" performed on that
-       * user agent at some point in the past for the exact same presentation
-       * request URL.
+       * user agent at some point in the past for one of the presentation request
+       * URLs.
        *
-       * TODO: the polyfill could perhaps save the set of presentations using the
-       * the local storage. This probably won't be enough to avoid permission
-       * prompts though.
+       * Presentations are persisted in the local storage when the underlying
+       * mechanism can re-attach to them, so reconnection also works after the
+       * controlling page was reloaded, until the presentation record expires.
        * 
        * @function
        * @param {String} presentationId The identifier of the presentation 
@@ -758,18 +2903,26 @@
               if (connection) {
                 return;
               }
-              if ((presentation.url === url) &&
-                  (presentation.id === presentationId)) {
+              if ((urls.indexOf(presentation.url) !== -1) &&
+                  (presentation.id === presentationId) &&
+                  (presentation.connection.state !== 'terminated')) {
                 connection = presentation.connection;
               }
             });
             if (connection) {
               resolve(connection);
               establishPresentationConnection(connection);
+              return;
             }
-            else {
-              reject(new _DOMException('NotFoundError'));
-            }
+
+            reconnectPersistedPresentation(presentationId)
+              .then(function (connection) {
+                resolve(connection);
+                establishPresentationConnection(connection);
+              }, function (err) {
+                log('info', 'could not reconnect to presentation', err);
+                reject(new _DOMException('NotFoundError'));
+              });
           });
         });
       };
@@ -787,10 +2940,43 @@
        *  support that feature.
        */
       this.getAvailability = function () {
-        return new Promise(function (resolve, reject) {
-          log('warn', 'getAvailability is not supported');
-          reject(new _DOMException('NotSupportedError'));
+        if (availabilityPromise) {
+          return availabilityPromise;
+        }
+        availabilityPromise = new Promise(function (resolve, reject) {
+          queueTask(function () {
+            var requiredCapabilities = getRequiredCapabilities(options);
+            var availabilityObject = null;
+            setOfAvailabilityObjects.forEach(function (obj) {
+              if (sameLists(obj.availabilityUrls, urls) &&
+                  sameLists(obj.requiredCapabilities, requiredCapabilities)) {
+                availabilityObject = obj;
+              }
+            });
+            if (availabilityObject) {
+              resolve(availabilityObject.A);
+              return;
+            }
+
+            availabilityObject = {
+              A: new PresentationAvailability(startAvailabilityMonitoring),
+              availabilityUrls: urls,
+              requiredCapabilities: requiredCapabilities,
+              options: options
+            };
+            getAvailableDisplays(urls, options).then(function (displays) {
+              // Initial value is set without firing a "change" event
+              availabilityObject.A.value = (displays.length > 0);
+              setOfAvailabilityObjects.push(availabilityObject);
+              resolve(availabilityObject.A);
+            }, function (err) {
+              log('warn', 'could not monitor available displays', err);
+              availabilityPromise = null;
+              reject(new _DOMException('NotSupportedError'));
+            });
+          });
         });
+        return availabilityPromise;
       };
 
 
@@ -804,6 +2990,14 @@
       var thisPresentationRequest = this;
 
 
+      /**
+       * The promise returned by getAvailability, set on first call
+       *
+       * @type {Promise<PresentationAvailability>}
+       */
+      var availabilityPromise = null;
+
+
       /**
        * Determine whether the algorithm is allowed to show a popup
        *
@@ -825,46 +3019,28 @@
 
 
       /**
-       * Monitor the list of presentation displays that are available and return
-       * that list
+       * Start to monitor the list of presentation displays that are available
+       *
+       * The list of presentation displays is refreshed once all mechanisms
+       * have answered or timed out. In the meantime, the returned discovery
+       * object reports displays as they are found.
        *
        * @function
        * @private
-       * @return {Promise} The Promise that the list of presentation displays
-       * will have been refreshed. The promise is never rejected.
+       * @return {DisplayDiscovery} The progress of the discovery
        */
-       var monitorAvailablePresentationDisplays = function () {
-        return new Promise(function (resolve, reject) {
-          queueTask(function () {
-            log('get list of available displays from registered mechanisms');
-            Promise.all(registeredMechanisms.map(function (mechanism) {
-              return mechanism.getAvailableDisplays(url, options);
-            })).then(function (lists) {
-              // Flattten the lists of displays
-              var newDisplays = lists.reduce(function (a, b) {
-                return a.concat(b);
-              });
-
-              setOfAvailabilityObjects.forEach(function (availabilityObject) {
-                var previousAvailability = availabilityObject.A.value;
-                var newAvailability = newDisplays.some(function (display) {
-                  log('warn', 'TODO: is display compatible with availabilityUrl?');
-                  return true;
-                });
-                if (previousAvailability !== newAvailability) {
-                  queueTask(function () {
-                    availabilityObject.A.value = newAvailability;
-                    if (availabilityObject.A.onchange) {
-                      availabilityObject.A.onchange();
-                    }
-                  });
-                }
-              });
+      var monitorAvailablePresentationDisplays = function () {
+        var discovery = new DisplayDiscovery();
+        queueTask(function () {
+          log('get list of available displays from registered mechanisms');
+          getAvailableDisplays(urls, options, discovery._addDisplays)
+            .then(function (newDisplays) {
+              updateAvailabilityObjects(urls, options, newDisplays);
               listOfAvailablePresentationDisplays = newDisplays;
-              resolve();
+              discovery._end();
             });
-          });
         });
+        return discovery;
       };
 
 
@@ -874,59 +3050,77 @@
        *
        * @function
        * @private
+       * @param {DisplayDiscovery} discovery The progress of the discovery of
+       * available displays
        * @return {Promise} The promise to get the presentation display that the
        * user will have selected. The promise is rejected with a DOMException
-       * named "AbortError" if the user does not select any display.
+       * named "NotFoundError" if no display could be found, and "AbortError"
+       * if the user does not select any display.
        */
-      var requestUserToSelectPresentationDisplay = function () {
+      var requestUserToSelectPresentationDisplay = function (discovery) {
+        var picker = registeredDisplayPicker || showDisplayPicker;
+        var noDisplayFound = function () {
+          return !discovery.searching && (discovery.displays.length === 0);
+        };
         return new Promise(function (resolve, reject) {
-          var msg = 'Select a display:\n\n';
-          var idx = 0;
-          listOfAvailablePresentationDisplays.forEach(function (display) {
-            idx += 1;
-            msg += '[' + idx + '] ' + display.name + '\n';
-          });
-          var choice = window.prompt(msg, '1');
-          var display = null;
-          try {
-            choice = parseInt(choice, 10);
-            choice -= 1;
-          }
-          catch (e) {
-            reject(new _DOMException('AbortError'));
-            return;
-          }
-          display = listOfAvailablePresentationDisplays[choice];
-          if (display) {
-            resolve(display);
+          resolve(picker(discovery.displays, discovery));
+        }).then(function (display) {
+          if (!display || (discovery.displays.indexOf(display) === -1)) {
+            throw new _DOMException(
+              noDisplayFound() ? 'NotFoundError' : 'AbortError');
           }
-          else {
-            reject(new _DOMException('AbortError'));
+          return display;
+        }, function (err) {
+          if (noDisplayFound()) {
+            log('info', 'no display found');
+            throw new _DOMException('NotFoundError');
           }
+          log('info', 'user did not select any display', err);
+          throw new _DOMException('AbortError');
         });
       };
 
 
+      /**
+       * Return the URL that the given display is to present, in other words
+       * the first request URL that the display's mechanism can handle
+       *
+       * @function
+       * @private
+       * @param {Display} display The user-selected display
+       * @return {String} The URL to present
+       */
+      var getPresentationUrl = function (display) {
+        return display.mechanism.selectUrl(display, urls);
+      };
+
+
       /**
        * Create a new receiving browsing context on the given display and
        * navigate to the requested URL
        *
+       * The display is navigated right away, without queueing a task, so that
+       * mechanisms run within the task of the user's selection in the display
+       * picker. Opening a window or calling the native "start" method requires
+       * that transient user activation.
+       *
        * @function
        * @private
        * @param {Display} display The user-selected display
-       * @return {Promise} The promise that the display will have nagivated to
-       * the requested URL. The promise is rejected with a DOMException named
+       * @param {String} presentationId The new presentation identifier
+       * @return {Promise<String>} The promise that the display will have
+       * nagivated to the requested URL, resolved with the presentation
+       * identifier to use. The promise is rejected with a DOMException named
        * "OperationError" if the presentation display cannot be navigated to the
        * requested URL.
        */ 
-      var navigateDisplayToPresentationUrl = function (display) {
+      var navigateDisplayToPresentationUrl = function (display, presentationId) {
         return new Promise(function (resolve, reject) {
-          queueTask(function () {
-            log('navigate display to requested url');
-            display.navigate(url).then(function () {
-              resolve(display);
-            }, reject);
-          });
+          var url = getPresentationUrl(display);
+          log('navigate display to requested url', url, presentationId);
+          display.navigate(url, presentationId).then(function (id) {
+            resolve(id || presentationId);
+          }, reject);
         });
       };
 
@@ -939,20 +3133,84 @@
        *
        * @function
        * @private
-       * @return PresentationConnection A new presentation connection with a
-       * valid connection id. The presentation connection is automatically
-       * added to the set of presentations.
+       * @param {Display} display The display that presents the URL
+       * @param {String} presentationId The presentation identifier
+       * @return PresentationConnection A new presentation connection with a
+       * valid connection id. The presentation connection is automatically
+       * added to the set of presentations.
+       */
+      var createPresentationConnection = function (display, presentationId, url) {
+        var connection = new PresentationConnection(display);
+        connection.id = presentationId;
+        connection.url = url || getPresentationUrl(display);
+        connection.state = getDisplayCapabilities(display).messaging ?
+          'connecting' :
+          'closed';
+        connection.bufferMessages = !!(options && options.bufferMessages);
+        setOfPresentations.push({
+          url: connection.url,
+          id: connection.id,
+          connection: connection,
+          display: display
+        });
+        persistPresentation(connection, display);
+        connection.addEventListener('terminate', function () {
+          forgetPresentation(connection.id);
+        });
+        return connection;
+      };
+
+
+      /**
+       * Re-attach to a presentation persisted in the local storage, typically
+       * started before the controlling page was reloaded
+       *
+       * @function
+       * @private
+       * @param {String} presentationId The identifier of the presentation
+       * @return {Promise<PresentationConnection>} The promise to get a new
+       * presentation connection attached to the presentation. The promise is
+       * rejected if the presentation is unknown or no longer running.
        */
-      var createPresentationConnection = function (display) {
-        var connection = new PresentationConnection(display);
-        connection.id = getNewValidPresentationConnectionIdentifier();
-        connection.state = 'closed';
-        setOfPresentations.push({
-          url: url,
-          id: connection.id,
-          connection: connection
+      var reconnectPersistedPresentation = function (presentationId) {
+        var record = null;
+        loadPresentationRecords().forEach(function (presentation) {
+          if ((presentation.id === presentationId) &&
+              (urls.indexOf(presentation.url) !== -1)) {
+            record = presentation;
+          }
+        });
+        if (!record) {
+          return Promise.reject(new _DOMException('NotFoundError'));
+        }
+
+        var mechanism = null;
+        getEnabledMechanisms().forEach(function (registeredMechanism) {
+          if (registeredMechanism.id === record.mechanism) {
+            mechanism = registeredMechanism;
+          }
+        });
+        if (!mechanism) {
+          return Promise.reject(new _DOMException('NotFoundError',
+            'Presentation mechanism not available: ' + record.mechanism));
+        }
+
+        log('re-attach to presentation', record.id, 'with', mechanism.name);
+        return initializeMechanism(mechanism).then(function (initialized) {
+          if (!initialized) {
+            throw new _DOMException('NotFoundError',
+              'Presentation mechanism not available: ' + record.mechanism);
+          }
+          return mechanism.reconnectDisplay(record.data, record.url, record.id)
+            .then(function (display) {
+              display.mechanism = mechanism;
+              return createPresentationConnection(display, record.id,
+                record.url);
+            }, function (err) {
+              forgetPresentation(record.id);
+              throw err;
+            });
         });
-        return connection;
       };
 
 
@@ -969,21 +3227,34 @@
        * to create a connection for
        */
       var establishPresentationConnection = function (connection) {
-        // Queue a task to fire an event named "connection" at
-        // presentationRequest with S as its connection attribute. 
+        // Queue a task to fire an event named "connectionavailable" at
+        // presentationRequest with S as its connection attribute, along with
+        // the "connection" event that earlier versions of the spec used
         queueTask(function () {
-          var connectEvent = new PresentationConnectionAvailableEvent({
-            connection: connection
-          });
-          if (thisPresentationRequest.onconnection) {
-            thisPresentationRequest.onconnection(connectEvent);
-          }
+          thisPresentationRequest.dispatchEvent(
+            new PresentationConnectionAvailableEvent(
+              'connectionavailable', { connection: connection }));
+          thisPresentationRequest.dispatchEvent(
+            new PresentationConnectionAvailableEvent(
+              'connection', { connection: connection }));
         });
 
         if (connection.state === 'connected') {
           return;
         }
 
+        // Displays that cannot exchange messages, which requests only get
+        // with the "isChannelOptional" option, never get a channel and their
+        // connection remains "closed"
+        var presentation = setOfPresentations.filter(function (presentation) {
+          return presentation.connection === connection;
+        })[0];
+        if (presentation &&
+            !getDisplayCapabilities(presentation.display).messaging) {
+          log('info', 'display cannot exchange messages, no channel created');
+          return;
+        }
+
         queueTask(function () {
           connection.createDataChannel().then(function () {
             queueTask(function () {
@@ -991,13 +3262,19 @@
                 if ((connection !== presentation.connection) &&
                     (presentation.id === connection.id)) {
                   queueTask(function () {
-                    if (presentation.connection.onstatechange) {
-                      presentation.connection.onstatechange();
-                    }
+                    presentation.connection.dispatchEvent(
+                      new _Event('statechange'));
                   });
                 }
               });
             });
+          }).catch(function (err) {
+            if (err && (err.name === 'AbortError')) {
+              // Connection closed or terminated while connecting
+              return;
+            }
+            log('error', 'could not establish presentation connection', err);
+            connection._closeOnError(err);
           });
         });
       };
@@ -1009,6 +3286,41 @@
 
 
 
+  /**********************************************************************
+  PresentationConnectionList interface
+  **********************************************************************/
+
+  /**
+   * The list of incoming presentation connections on the receiving side.
+   *
+   * Terminated connections are removed from the list. A
+   * "connectionavailable" event is fired each time a new controlling
+   * browsing context connects to the receiving application.
+   *
+   * @constructor
+   */
+  var PresentationConnectionList = function () {
+    _EventTarget.call(this);
+
+    /**
+     * The non-terminated incoming presentation connections
+     *
+     * @type {Array(PresentationConnection)}
+     */
+    this.connections = [];
+
+    /**
+     * Fired when a new incoming presentation connection is available. The
+     * event's "connection" property is the new presentation connection.
+     *
+     * @type {EventHandler}
+     */
+    this.onconnectionavailable = null;
+  };
+
+
+
+
   /**********************************************************************
   PresentationReceiver interface
   **********************************************************************/
@@ -1022,6 +3334,8 @@
    * @constructor
    */
   var PresentationReceiver = function () {
+    _EventTarget.call(this);
+
     /**
      * Fired when a new incoming presentation connection is detected.
      * A call to "getConnections" will return the list of presentations.
@@ -1031,6 +3345,19 @@
     this.onconnectionavailable = null;
 
 
+    /**
+     * The promise to get the list of incoming presentation connections.
+     *
+     * The promise is resolved as soon as the first controlling browsing
+     * context connects to this receiving application. Controllers that
+     * connect afterwards get added to the list, which fires a
+     * "connectionavailable" event for each of them.
+     *
+     * @type {Promise<PresentationConnectionList>}
+     */
+    this.connectionList = null;
+
+
     /**
      * Retrieve the first connected presentation connection as it becomes
      * available
@@ -1128,6 +3455,82 @@
     var pendingResolveFunction = null;
 
 
+    /**
+     * The list of incoming presentation connections that the
+     * "connectionList" promise resolves to
+     *
+     * @private
+     * @type {PresentationConnectionList}
+     */
+    var connectionList = new PresentationConnectionList();
+
+    /**
+     * Resolve function of the "connectionList" promise, reset once the
+     * promise has been resolved.
+     *
+     * @private
+     * @type {function}
+     */
+    var resolveConnectionList = null;
+
+    this.connectionList = new Promise(function (resolve, reject) {
+      resolveConnectionList = resolve;
+    });
+
+
+    /**
+     * Add the incoming presentation connection to the list of connections
+     * and notify the receiving application.
+     *
+     * @function
+     * @private
+     * @param {PresentationConnection} connection The new incoming connection
+     */
+    var addIncomingPresentationConnection = function (connection) {
+      setOfIncomingPresentations.push({
+        url: connection.url,
+        id: connection.id,
+        connection: connection
+      });
+
+      connectionList.connections.push(connection);
+      connection.addEventListener('terminate', function () {
+        var idx = connectionList.connections.indexOf(connection);
+        if (idx !== -1) {
+          connectionList.connections.splice(idx, 1);
+        }
+
+        // Terminating the presentation terminates all connections to the
+        // receiving application, so that all controllers get notified
+        setOfIncomingPresentations.forEach(function (presentation) {
+          if (presentation.connection.state !== 'terminated') {
+            presentation.connection.terminate();
+          }
+        });
+      });
+
+      thisPresentationReceiver.dispatchEvent(
+        new PresentationConnectionAvailableEvent(
+          'connectionavailable', { connection: connection }));
+      if (resolveConnectionList) {
+        // The first connection is part of the list that the promise
+        // resolves to, no need to fire an event on the list for it
+        resolveConnectionList(connectionList);
+        resolveConnectionList = null;
+      }
+      else {
+        connectionList.dispatchEvent(
+          new PresentationConnectionAvailableEvent(
+            'connectionavailable', { connection: connection }));
+      }
+      if (pendingResolveFunction) {
+        pendingResolveFunction(connection);
+        pendingResolveFunction = null;
+        pendingPromise = null;
+      }
+    };
+
+
     /**
      * Monitor incoming presentation connections
      *
@@ -1136,27 +3539,23 @@
      */
     var monitorIncomingPresentationConnections = function () {
       queueTask(function () {
-        var connection = null;
-        registeredMechanisms.forEach(function (mechanism) {
+        getEnabledMechanisms().forEach(function (mechanism) {
           mechanism.monitorIncomingControllers();
           mechanism.onincomingcontroller = function (controller) {
             log('new incoming presentation connection');
-            connection = new PresentationConnection(controller);
+            var connection = new PresentationConnection(controller);
             connection.createDataChannel().then(function () {
-              connection.id = 'connection-' + setOfIncomingPresentations.length;
-              setOfIncomingPresentations.push({
-                url: null,
-                id: connection.id,
-                connection: connection
-              });
-              if (thisPresentationReceiver.onconnectionavailable) {
-                thisPresentationReceiver.onconnectionavailable();
-              }
-              if (pendingResolveFunction) {
-                pendingResolveFunction(connection);
-                pendingResolveFunction = null;
-                pendingPromise = null;
+              connection.id = controller.presentationId ||
+                generatePresentationId();
+              connection.url = window.location.href;
+              addIncomingPresentationConnection(connection);
+            }).catch(function (err) {
+              if (err && (err.name === 'AbortError')) {
+                // Connection closed or terminated while connecting
+                return;
               }
+              log('error', 'could not establish incoming connection', err);
+              connection._closeOnError(err);
             });
           };
         });
@@ -1178,23 +3577,119 @@
 
 
   /**********************************************************************
-  Presentation interface
+  Default presentation request trigger
   **********************************************************************/
 
   /**
-   * Implements the main Presentation interface, exposed on navigator
+   * Floating "present" button that plays the role of the browser chrome for
+   * the default presentation request.
+   *
+   * The button is only shown while the availability of displays for the
+   * request is true. Activating it starts the request, which fires a
+   * "connection" event, along with a "connectionavailable" event, on the
+   * request once the presentation connection is created. The button uses a
+   * "presentation-api-polyfill-trigger" class name that apps may target to
+   * style it.
    *
+   * @constructor
+   * @private
+   * @param {PresentationRequest} request The default presentation request
    */
-  var Presentation = {
+  var DefaultRequestTrigger = function (request) {
+    var availability = null;
+    var detached = false;
+    var starting = false;
+    var waitingForBody = false;
+
+    var button = document.createElement('button');
+    button.className = 'presentation-api-polyfill-trigger';
+    button.textContent = 'Present';
+    button.setAttribute('title', 'Present to a display');
+    button.setAttribute('aria-label', 'Present to a display');
+    button.style.position = 'fixed';
+    button.style.bottom = '1em';
+    button.style.right = '1em';
+    button.style['z-index'] = 9;
+    button.style.padding = '0.5em 1em';
+    button.style['font-size'] = 'larger';
+    button.style.cursor = 'pointer';
+
+    var update = function () {
+      var visible = !detached && availability && availability.value;
+      if (visible && !button.parentNode) {
+        if (!document.body) {
+          // Script run before the document's body got parsed
+          if (!waitingForBody) {
+            waitingForBody = true;
+            document.addEventListener('DOMContentLoaded', function () {
+              waitingForBody = false;
+              update();
+            });
+          }
+          return;
+        }
+        document.body.appendChild(button);
+      }
+      else if (!visible && button.parentNode) {
+        button.parentNode.removeChild(button);
+      }
+    };
+
+    button.addEventListener('click', function (event) {
+      event.preventDefault();
+      if (starting) {
+        return;
+      }
+      log('start default presentation request');
+      starting = true;
+      button.disabled = true;
+      request.start().then(function () {
+        starting = false;
+        button.disabled = false;
+      }, function (err) {
+        log('info', 'default presentation request not started', err);
+        starting = false;
+        button.disabled = false;
+      });
+    });
+
+    request.getAvailability().then(function (result) {
+      if (detached) {
+        return;
+      }
+      availability = result;
+      availability.addEventListener('change', update);
+      update();
+    }, function (err) {
+      log('info', 'no availability for the default presentation request', err);
+    });
+
     /**
-     * The default presentation request that the user-agent should use
-     * when user chooses to start the presentation from the user-agent
-     * chrome.
+     * Remove the button and stop monitoring the availability of displays
      *
-     * @type {PresentationRequest}
+     * @function
      */
-    defaultRequest: null,
+    this.detach = function () {
+      detached = true;
+      if (availability) {
+        availability.removeEventListener('change', update);
+      }
+      update();
+    };
+  };
 
+
+
+
+  /**********************************************************************
+  Presentation interface
+  **********************************************************************/
+
+  /**
+   * Implements the main Presentation interface, exposed on navigator
+   *
+   */
+  var Presentation = {
     /**
      * The main receiving interface
      * (only defined in the receiving browsing context)
@@ -1205,6 +3700,144 @@
   };
 
 
+  /**
+   * The default presentation request that the user-agent should use
+   * when user chooses to start the presentation from the user-agent
+   * chrome.
+   *
+   * The polyfill renders a floating "present" button in place of the
+   * user-agent chrome while displays are available for that request.
+   *
+   * @type {PresentationRequest}
+   */
+  var defaultRequest = null;
+  var defaultRequestTrigger = null;
+  Object.defineProperty(Presentation, 'defaultRequest', {
+    enumerable: true,
+    get: function () {
+      return defaultRequest;
+    },
+    set: function (request) {
+      if (request && !(request instanceof PresentationRequest)) {
+        throw new TypeError('defaultRequest must be a PresentationRequest');
+      }
+      if (request === defaultRequest) {
+        return;
+      }
+      if (defaultRequestTrigger) {
+        defaultRequestTrigger.detach();
+        defaultRequestTrigger = null;
+      }
+      defaultRequest = request || null;
+      if (defaultRequest) {
+        defaultRequestTrigger = new DefaultRequestTrigger(defaultRequest);
+      }
+    }
+  });
+
+
+
+
+  /**********************************************************************
+  Optional installation as the unprefixed Presentation API
+  **********************************************************************/
+
+  /**
+   * The interfaces that the polyfill installs in the global scope, under
+   * their unprefixed names
+   *
+   * @private
+   * @type {Object}
+   */
+  var unprefixedInterfaces = {
+    PresentationRequest: PresentationRequest,
+    PresentationAvailability: PresentationAvailability,
+    PresentationConnection: PresentationConnection,
+    PresentationConnectionAvailableEvent: PresentationConnectionAvailableEvent,
+    PresentationConnectionCloseEvent: PresentationConnectionCloseEvent,
+    PresentationConnectionList: PresentationConnectionList,
+    PresentationReceiver: PresentationReceiver
+  };
+
+
+  /**
+   * The native implementation of the Presentation API, if the browser has
+   * one, captured when the polyfill is loaded.
+   *
+   * @private
+   * @type {Object}
+   */
+  var nativeImplementation = null;
+  if (navigator.presentation && window.PresentationRequest) {
+    nativeImplementation = {
+      presentation: navigator.presentation
+    };
+    Object.keys(unprefixedInterfaces).forEach(function (name) {
+      nativeImplementation[name] = window[name];
+    });
+  }
+
+
+  /**
+   * Whether the polyfill has been installed as the unprefixed API
+   *
+   * @private
+   * @type {boolean}
+   */
+  var installed = false;
+
+
+  /**
+   * Install the polyfill as "navigator.presentation" and expose the
+   * "PresentationRequest" constructor and related interfaces under their
+   * unprefixed names, so that apps may use the same code with or without a
+   * native implementation of the Presentation API.
+   *
+   * When the browser has a native implementation, the polyfill either steps
+   * aside (the default) or replaces it, depending on the "native" option:
+   * - "preserve": keep the native implementation, the polyfill remains
+   * available under its prefixed names.
+   * - "wrap": install the polyfill anyway. The native implementation remains
+   * available as "navigator.w3cPresentation.native".
+   *
+   * @function
+   * @param {Object} options Installation options
+   * @return {boolean} true if the polyfill is installed as the unprefixed
+   *  API, false if the native implementation was preserved
+   */
+  var install = function (options) {
+    var mode = (options && options.native) || 'preserve';
+    if ((mode !== 'preserve') && (mode !== 'wrap')) {
+      throw new TypeError('Unknown native installation mode: ' + mode);
+    }
+    if (installed) {
+      return true;
+    }
+    if (nativeImplementation && (mode === 'preserve')) {
+      log('info', 'native Presentation API found, polyfill not installed');
+      return false;
+    }
+
+    log('info', 'install polyfill as navigator.presentation',
+      nativeImplementation ? '(wraps native implementation)' : '');
+    Object.defineProperty(navigator, 'presentation', {
+      configurable: true,
+      enumerable: true,
+      value: Presentation
+    });
+    Object.keys(unprefixedInterfaces).forEach(function (name) {
+      Object.defineProperty(window, name, {
+        configurable: true,
+        enumerable: false,
+        writable: true,
+        value: unprefixedInterfaces[name]
+      });
+    });
+    installed = true;
+    return true;
+  };
+
+
 
 
   /**********************************************************************
@@ -1218,16 +3851,49 @@
   // Expose the PresentationRequest constructor to the window object
   window.w3cPresentationRequest = PresentationRequest;
 
+  // Non-standard function to let apps provide their own display picker
+  navigator.w3cPresentation.registerDisplayPicker = registerDisplayPicker;
+
+  // Non-standard function to update the settings of the polyfill
+  navigator.w3cPresentation.configure = configure;
+
+  // Non-standard promise resolved when enabled mechanisms are initialized,
+  // or did not initialize within their discovery timeout. Mechanisms are
+  // initialized when the application first needs displays, or when the
+  // promise is first accessed. Each access returns a new promise that covers
+  // the mechanisms enabled at that time.
+  Object.defineProperty(navigator.w3cPresentation, 'ready', {
+    get: initializeMechanisms,
+    enumerable: true
+  });
+
+  // Non-standard functions to manage presentation mechanisms at runtime
+  navigator.w3cPresentation.getMechanisms = getMechanisms;
+  navigator.w3cPresentation.enableMechanism = enableMechanism;
+  navigator.w3cPresentation.disableMechanism = disableMechanism;
+  navigator.w3cPresentation.unregisterMechanism = unregisterMechanism;
+  navigator.w3cPresentation.setMechanismOrder = setMechanismOrder;
+
+  // Non-standard function to install the polyfill as navigator.presentation,
+  // and the native implementation that the polyfill may wrap, if any
+  navigator.w3cPresentation.install = install;
+  navigator.w3cPresentation.native = nativeImplementation;
+
   // Also expose the interfaces and method required to extend the shim with
   // new presentation mechanisms defined in some external JS file
   navigator.w3cPresentation.extend = {
     log: log,
     _DOMException: _DOMException,
+    _Event: _Event,
+    _MessageEvent: _MessageEvent,
+    PresentationConnectionCloseEvent: PresentationConnectionCloseEvent,
+    _EventTarget: _EventTarget,
     PresentationMechanism: PresentationMechanism,
     RemoteController: RemoteController,
     Display: Display,
     DataChannel: DataChannel,
-    registerPresentationMechanism: registerPresentationMechanism
+    registerPresentationMechanism: registerPresentationMechanism,
+    showDisplayPicker: showDisplayPicker
   };
 })();
 
@@ -1315,6 +3981,31 @@
   var castApplications = {};
 
 
+  /**
+   * Functions to call when the Cast API library reports a session through
+   * the session listener set at initialization time, e.g. when a session is
+   * joined through "chrome.cast.requestSessionById".
+   *
+   * That indirection is needed because the Cast API library may only be
+   * initialized once.
+   */
+  var castSessionListeners = [];
+  var dispatchCastSession = function (session) {
+    castSessionListeners.slice().forEach(function (listener) {
+      listener(session);
+    });
+  };
+
+
+  /**
+   * Cast namespace used to exchange app messages between the sender and the
+   * receiver, and Cast namespace used to exchange control messages, e.g. to
+   * tell the other side that the connection was closed
+   */
+  var castNamespace = 'urn:x-cast:org.w3c.webscreens.presentationapi.shim';
+  var castControlNamespace = castNamespace + '.control';
+
+
   /**
    * Remote controller from the perspective of the Cast device
    *
@@ -1327,7 +4018,10 @@
     RemoteController.call(this);
 
     var customMessageBus = castReceiverManager.getCastMessageBus(
-      'urn:x-cast:org.w3c.webscreens.presentationapi.shim',
+      castNamespace,
+      cast.receiver.CastMessageBus.MessageType.JSON);
+    var controlMessageBus = castReceiverManager.getCastMessageBus(
+      castControlNamespace,
       cast.receiver.CastMessageBus.MessageType.JSON);
 
     this.createDataChannel = function () {
@@ -1342,6 +4036,39 @@
           }
         });
 
+        castReceiverManager.onSenderDisconnected = function (event) {
+          if ((channel.state !== 'connected') ||
+              (castReceiverManager.getSenders().length > 0)) {
+            return;
+          }
+          log('last Cast sender disconnected');
+          channel.state = 'closed';
+          channel.closeReason = 'wentaway';
+          channel.closeMessage = 'Cast sender disconnected';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        };
+
+        // The receiver shares one channel among all Cast senders, so the
+        // channel is only closed when the last sender closes it
+        controlMessageBus.addEventListener('message', function (event) {
+          if ((channel.state !== 'connected') ||
+              !event.data || (event.data.type !== 'close')) {
+            return;
+          }
+          log('Cast sender closed the connection', event.senderId);
+          if (castReceiverManager.getSenders().length > 1) {
+            return;
+          }
+          channel.state = 'closed';
+          channel.closeReason = 'closed';
+          channel.closeMessage = 'Controlling side closed the connection';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        });
+
         channel.send = function (message) {
           if (channel.state !== 'connected') {
             throw new _DOMException('InvalidStateError');
@@ -1354,6 +4081,8 @@
           if (channel.state !== 'connected') {
             return;
           }
+          log('tell Cast senders that the connection was closed');
+          controlMessageBus.broadcast({ type: 'close' });
           channel.state = 'closed';
           if (channel.onstatechange) {
             channel.onstatechange();
@@ -1364,6 +4093,8 @@
       });
     };
 
+    // Cast senders see the Cast session as stopped, which they report as
+    // a terminated presentation
     this.terminate = function () {
       log('stop Cast receiver manager');
       castReceiverManager.stop();
@@ -1388,7 +4119,13 @@
 
     var castSession = null;
 
-    this.navigate = function (url) {
+    this.canPresent = function (url) {
+      return !!castApplications[url];
+    };
+
+    // Note the Cast session ID is used as presentation identifier as the
+    // receiving side can retrieve it too
+    this.navigate = function (url, presentationId) {
       return new Promise(function (resolve, reject) {
         if (!castApiAvailable) {
           log('cannot create Cast session',
@@ -1412,7 +4149,7 @@
           chrome.cast.requestSession(function (session) {
             log('got a new Cast session');
             castSession = session;
-            resolve();
+            resolve(session.sessionId);
           }, function (error) {
             if (castSession) {
               return;
@@ -1434,10 +4171,15 @@
           sessionRequest,
           function sessionListener(session) {
             // Method called at most once after initialization if a running
-            // Cast session may be resumed
+            // Cast session may be resumed, and then each time a session is
+            // joined by ID
+            dispatchCastSession(session);
+            if (castSession) {
+              return;
+            }
             log('found existing Cast session, reusing');
             castSession = session;
-            resolve();
+            resolve(session.sessionId);
           },
           function receiverListener(available) {
             // Method called whenever the number of Cast devices available in
@@ -1495,16 +4237,44 @@
         var channel = new DataChannel();
         channel.state = 'connected';
 
+        var hasControlNamespace = castSession.namespaces.some(function (item) {
+          return (item.name === castControlNamespace);
+        });
+        var namespace = castSession.namespaces.filter(function (item) {
+          return (item.name !== castControlNamespace);
+        })[0];
+
+        var stopListening = function () {
+          castSession.removeMessageListener(namespace.name, messageListener);
+          castSession.removeUpdateListener(updateListener);
+          if (hasControlNamespace) {
+            castSession.removeMessageListener(
+              castControlNamespace, controlMessageListener);
+          }
+        };
+
         var updateListener = function () {
-          channel.state = (castSession === chrome.cast.SessionStatus.CONNECTED) ?
-            'connected' : 'closed';
-          log('received Cast session state update', 'isAlive=' + isAlive);
-          if (channel.onstatechange) {
-            channel.onstatechange();
+          var status = castSession.status;
+          log('received Cast session state update', 'status=' + status);
+          if (status === chrome.cast.SessionStatus.CONNECTED) {
+            channel.state = 'connected';
+          }
+          else if (status === chrome.cast.SessionStatus.STOPPED) {
+            // The receiver application stopped, the presentation is over
+            channel.state = 'terminated';
+          }
+          else {
+            channel.state = 'closed';
+          }
+          if (status === chrome.cast.SessionStatus.DISCONNECTED) {
+            channel.closeReason = 'error';
+            channel.closeMessage = 'Cast session disconnected';
           }
           if (channel.state !== 'connected') {
-            castSession.removeMessageListener(messageListener);
-            castSession.removeUpdateListener(updateListener);
+            stopListening();
+          }
+          if (channel.onstatechange) {
+            channel.onstatechange();
           }
         };
 
@@ -1515,16 +4285,40 @@
           }
         };
 
-        var namespace = castSession.namespaces[0];
+        var controlMessageListener = function (namespace, message) {
+          var control = null;
+          try {
+            control = JSON.parse(message);
+          }
+          catch (err) {
+            log('warn', 'invalid control message from Cast receiver', message);
+            return;
+          }
+          if ((channel.state !== 'connected') || (control.type !== 'close')) {
+            return;
+          }
+          log('Cast receiver closed the connection');
+          stopListening();
+          channel.state = 'closed';
+          channel.closeReason = 'closed';
+          channel.closeMessage = 'Receiving side closed the connection';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        };
+
         castSession.addUpdateListener(updateListener);
         castSession.addMessageListener(namespace.name, messageListener);
+        if (hasControlNamespace) {
+          castSession.addMessageListener(
+            castControlNamespace, controlMessageListener);
+        }
 
         channel.send = function (message) {
           if (channel.state !== 'connected') {
             throw new _DOMException('InvalidStateError');
           }
           log('send message to Cast receiver', message);
-          var namespace = castSession.namespaces[0];
           castSession.sendMessage(namespace.name, message);
         };
 
@@ -1532,8 +4326,12 @@
           if (channel.state !== 'connected') {
             return;
           }
-          castSession.removeMessageListener(messageListener);
-          castSession.removeUpdateListener(updateListener);
+          stopListening();
+          if (hasControlNamespace &&
+              (castSession.status === chrome.cast.SessionStatus.CONNECTED)) {
+            log('tell Cast receiver that the connection was closed');
+            castSession.sendMessage(castControlNamespace, { type: 'close' });
+          }
           channel.state = 'closed';
           if (channel.onstatechange) {
             channel.onstatechange();
@@ -1545,6 +4343,88 @@
     };
 
 
+    /**
+     * Re-attach to the Cast session with the given ID
+     *
+     * @function
+     * @param {String} url The URL of the presentation
+     * @param {String} sessionId The ID of the Cast session to join
+     * @param {Number} resumeTimeout Maximum time to wait for the Cast API library
+     *  to report the session, in milliseconds
+     * @return {Promise} The promise to have joined the Cast session. The
+     *  promise is rejected with a DOMException named "NotFoundError" if the
+     *  session cannot be joined.
+     */
+    this.resume = function (url, sessionId, resumeTimeout) {
+      return new Promise(function (resolve, reject) {
+        if (!castApiAvailable || !castApplications[url]) {
+          log('cannot join Cast session',
+            'Cast API library not available or no receiver app for url', url);
+          reject(new _DOMException('NotFoundError'));
+          return;
+        }
+
+        var timeout = null;
+        var sessionListener = function (session) {
+          if (session.sessionId !== sessionId) {
+            return;
+          }
+          log('joined existing Cast session', sessionId);
+          clearTimeout(timeout);
+          castSessionListeners.splice(
+            castSessionListeners.indexOf(sessionListener), 1);
+          castSession = session;
+          resolve();
+        };
+        // Called when the mechanism gets suspended
+        sessionListener.cancel = function () {
+          log('info', 'stop waiting for Cast session', sessionId);
+          clearTimeout(timeout);
+          castSessionListeners.splice(
+            castSessionListeners.indexOf(sessionListener), 1);
+          reject(new _DOMException('AbortError'));
+        };
+        castSessionListeners.push(sessionListener);
+        timeout = setTimeout(function () {
+          log('info', 'Cast session not found', sessionId);
+          castSessionListeners.splice(
+            castSessionListeners.indexOf(sessionListener), 1);
+          reject(new _DOMException('NotFoundError'));
+        }, resumeTimeout);
+
+        var requestSessionById = function () {
+          log('request Cast session', sessionId);
+          chrome.cast.requestSessionById(sessionId);
+        };
+
+        if (castApiInitialized) {
+          requestSessionById();
+          return;
+        }
+
+        // Note the Cast API library may report the session on its own upon
+        // initialization if it is running in the same tab and origin
+        var sessionRequest = new chrome.cast.SessionRequest(
+          castApplications[url]);
+        var apiConfig = new chrome.cast.ApiConfig(
+          sessionRequest, dispatchCastSession, function () {});
+        chrome.cast.initialize(apiConfig, function () {
+          log('Google Cast API library initialized');
+          castApiInitialized = true;
+          requestSessionById();
+        }, function (err) {
+          log('error',
+            'Google Cast API library could not be initialized', err);
+        });
+      });
+    };
+
+
+    this.getReconnectData = function () {
+      return castSession ? { sessionId: castSession.sessionId } : null;
+    };
+
+
     this.terminate = function () {
       log('close Cast session');
       castSession.stop();
@@ -1567,6 +4447,24 @@
   var CastPresentationMechanism = function () {
     PresentationMechanism.call(this);
     this.name = 'cast presentation mechanism';
+    this.id = 'cast';
+
+    /**
+     * Maximum time to wait for the Cast API library to report a session that
+     * the mechanism tries to re-attach to, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.resumeTimeout = 5000;
+
+    this.capabilities = {
+      messaging: true,
+      reconnect: true,
+      terminate: true,
+      binary: false,
+      multipleControllers: true,
+      launchConfirmation: true
+    };
 
     var that = this;
 
@@ -1581,6 +4479,26 @@
       });
     };
 
+    // Stop waiting for Cast sessions to resume. Note the listeners given to
+    // the Cast API library at initialization time cannot be removed.
+    this.suspend = function () {
+      castSessionListeners.slice().forEach(function (listener) {
+        if (listener.cancel) {
+          listener.cancel();
+        }
+      });
+    };
+
+    this.release = this.suspend;
+
+    this.reconnectDisplay = function (data, url, presentationId) {
+      var display = new CastDisplay('A chromecast device');
+      return display.resume(url, data.sessionId, that.resumeTimeout)
+        .then(function () {
+          return display;
+        });
+    };
+
     this.monitorIncomingControllers = function () {
       // Detect whether the code is running on a Google Cast device. If it is,
       // it means the code is used within a Receiver application and was
@@ -1606,6 +4524,8 @@
       castReceiverManager.start();
       castReceiverManager.onReady = function () {
         log('Google Cast receiver manager started');
+        controller.presentationId =
+          castReceiverManager.getApplicationData().sessionId;
         if (that.onincomingcontroller) {
           that.onincomingcontroller(controller);
         }
@@ -1652,10 +4572,13 @@
  *
  * This mechanism relays the discovery part of DIAL, which uses SSDP and cannot
  * be implemented in a regular Web application, through a backend HTTP proxy
- * that needs to run on localhost on port 3001:
+ * that needs to run on localhost on port 3001 by default:
  *
  * node Server/dial-proxy.js
  *
+ * The URL of the proxy may be changed through the "proxyUrl" setting of the
+ * "dial" mechanism, see navigator.w3cPresentation.configure.
+ *
  * The main problem that this mechanism faces is that DIAL does not mandate the
  * presence or even the name of a DIAL app that would serve as a browser app.
  * The list of DIAL applications that this mechanism may use must first be
@@ -1753,6 +4676,19 @@
     this.getStartData = function (url) {
       return urlParam + '=' + encodeURIComponent(url);
     };
+
+    /**
+     * Whether the DIAL application can load the provided URL. The base DIAL
+     * application accepts all URLs. More specific DIAL applications may
+     * override that method.
+     *
+     * @function
+     * @param {String} url The absolute URL to navigate to
+     * @return {boolean} true if the application can load the URL
+     */
+    this.canPresent = function (url) {
+      return true;
+    };
   };
 
 
@@ -1848,9 +4784,12 @@
    *
    * @class
    * @inherits {RemoteController}
+   * @param {String} presentationId The presentation identifier passed in the
+   * URL by the controlling side
    */
-  var DialRemoteController = function () {
+  var DialRemoteController = function (presentationId) {
     RemoteController.call(this);
+    this.presentationId = presentationId;
 
     this.createDataChannel = function () {
       return new Promise(function (resolve, reject) {
@@ -1858,8 +4797,11 @@
       });
     };
 
+    // There is no communication channel with the controlling side to notify
+    // it, stopping the DIAL app is all that can be done
     this.terminate = function () {
-      // TODO: figure out how to notify remote controller
+      log('stop DIAL app');
+      window.close();
     };
   };
 
@@ -1871,17 +4813,28 @@
    * @inherits {Display}
    * @param {String} device The DIAL device's name and REST service URL
    * @param {DialApplication} app The DIAL app to use on that device
+   * @param {String} appInstanceUrl The URL of the running DIAL app instance,
+   * when the display is created to re-attach to a running presentation
    */
-  var DialDisplay = function (device, app) {
+  var DialDisplay = function (device, app, appInstanceUrl) {
     Display.call(this, device);
     this.state = 'closed';
 
-    var appInstanceUrl = null;
+    var that = this;
+    appInstanceUrl = appInstanceUrl || null;
+
+    this.canPresent = function (url) {
+      // The DIAL app must still be registered, the list of DIAL applications
+      // may have changed since the display was found.
+      return !!app &&
+        (dialApplications[app.name] === app) &&
+        app.canPresent(toAbsolute(url));
+    };
 
-    this.navigate = function (url) {
+    this.navigate = function (url, presentationId) {
       return new Promise(function (resolve, reject) {
         var xhr = new XMLHttpRequest();
-        xhr.open('POST', 'http://localhost:3001/dial');
+        xhr.open('POST', that.mechanism.proxyUrl + '/dial');
         xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
         xhr.onload = function () {
           // TODO: monitor effective app launch and resolve when started
@@ -1892,7 +4845,7 @@
         };
         var presentationUrl = toAbsolute(url) +
           ((url.indexOf('?') === -1) ? '?' : '&') +
-          '__dial__';
+          '__dial__=' + encodeURIComponent(presentationId);
         xhr.onerror = function (e) {
           reject(new _DOMException('OperationError',
             'Unable to start DIAL app: ' + JSON.stringify(e)));
@@ -1913,6 +4866,15 @@
     };
 
 
+    this.getReconnectData = function () {
+      return {
+        device: device,
+        app: app.name,
+        appInstanceUrl: appInstanceUrl
+      };
+    };
+
+
     this.terminate = function () {
       log('close DIAL app');
       if (!appInstanceUrl) {
@@ -1921,12 +4883,10 @@
       var xhr = new XMLHttpRequest();
       xhr.open('DELETE', appInstanceUrl);
       xhr.onload = function () {
-        // TODO: only resolve when DIAL app actually stopped
-        resolve();
+        log('DIAL app stopped');
       };
       xhr.onerror = function (e) {
-        reject(new _DOMException('OperationError',
-          'Unable to stop DIAL app: ' + JSON.stringify(e)));
+        log('error', 'Unable to stop DIAL app', e);
       };
       xhr.send();
     };
@@ -1944,53 +4904,108 @@
   var DialPresentationMechanism = function () {
     PresentationMechanism.call(this);
     this.name = 'DIAL presentation mechanism';
+    this.id = 'dial';
+
+    /**
+     * Base URL of the local DIAL proxy
+     *
+     * @type {String}
+     */
+    this.proxyUrl = 'http://localhost:3001';
+
+    /**
+     * Maximum time to wait for the local DIAL proxy to answer when displays
+     * are requested, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.proxyTimeout = 500;
+
+    // DIAL apps are not confirmed to have started and there is no
+    // communication channel with them
+    this.capabilities = {
+      messaging: false,
+      reconnect: true,
+      terminate: true,
+      binary: false,
+      multipleControllers: false,
+      launchConfirmation: false
+    };
 
     var that = this;
 
-    var checkLocalProxyPresence = (function () {
-      var promise = null;
-      var enabled = false;
-      return function (timeout) {
-        if (promise) {
-          return promise;
-        }
-        timeout = timeout || 0;
-        promise = new Promise(function (resolve, reject) {
-          var enable = function () {
-            log('info', 'DIAL local proxy detected, enable mechanism');
-            resolve();
-          };
-          var disable = function () {
-            log('info', 'DIAL local proxy not available, disable mechanism');
-            reject();
-            promise = null;
-          };
-          var xhr = new XMLHttpRequest();
-          xhr.timeout = timeout;
-          xhr.onload = enable;
-          xhr.onerror = disable;
-          xhr.ontimeout = disable;
-          xhr.open('GET', 'http://localhost:3001/');
-          xhr.send();
-        });
-        return promise;
+    /**
+     * Requests to the local DIAL proxy that are in progress, aborted when
+     * the mechanism gets suspended
+     */
+    var pendingRequests = [];
+
+    /**
+     * Create a request to the local DIAL proxy, tracked until it completes
+     *
+     * @function
+     * @private
+     * @return {XMLHttpRequest} The request
+     */
+    var createProxyRequest = function () {
+      var xhr = new XMLHttpRequest();
+      pendingRequests.push(xhr);
+      xhr.onloadend = function () {
+        var idx = pendingRequests.indexOf(xhr);
+        if (idx !== -1) {
+          pendingRequests.splice(idx, 1);
+        }
       };
-    })();
-    checkLocalProxyPresence(2000).catch(function () {});
+      return xhr;
+    };
 
-    this.getAvailableDisplays = function (url, options) {
-      options = options || {};
-      if (!options.isChannelOptional) {
-        return new Promise(function (resolve, reject) {
-          resolve([]);
-        });
+    // The presence of the proxy is checked again when its URL changes
+    var proxyPromise = null;
+    var probedUrl = null;
+    var checkLocalProxyPresence = function (timeout) {
+      if (proxyPromise && (probedUrl === that.proxyUrl)) {
+        return proxyPromise;
       }
-      return checkLocalProxyPresence(500)
+      probedUrl = that.proxyUrl;
+      timeout = timeout || 0;
+      var promise = new Promise(function (resolve, reject) {
+        var enable = function () {
+          log('info', 'DIAL local proxy detected, enable mechanism');
+          resolve();
+        };
+        var disable = function () {
+          log('info', 'DIAL local proxy not available, disable mechanism');
+          reject();
+          if (proxyPromise === promise) {
+            proxyPromise = null;
+          }
+        };
+        var xhr = createProxyRequest();
+        xhr.timeout = timeout;
+        xhr.onload = enable;
+        xhr.onerror = disable;
+        xhr.ontimeout = disable;
+        xhr.onabort = disable;
+        xhr.open('GET', probedUrl + '/');
+        xhr.send();
+      });
+      proxyPromise = promise;
+      return promise;
+    };
+
+    // The absence of the proxy is not an error, it may be started later on
+    this.initialize = function () {
+      return checkLocalProxyPresence(that.discoveryTimeout)
+        .catch(function () {});
+    };
+
+    this.getAvailableDisplays = function (urls, options) {
+      return checkLocalProxyPresence(that.proxyTimeout)
         .then(function () {
           return new Promise(function (resolve, reject) {
-            var xhr = new XMLHttpRequest();
+            var xhr = createProxyRequest();
             xhr.responseType = 'json';
-            xhr.open('GET', 'http://localhost:3001/dial?apps=' +
+            xhr.open('GET', that.proxyUrl + '/dial?apps=' +
               Object.keys(dialApplications).join(','));
             xhr.onload = function () {
               var devices = xhr.response || [];
@@ -2004,6 +5019,9 @@
               log('warn', 'could not establish the list of DIAL devices');
               resolve([]);
             };
+            xhr.onabort = function () {
+              resolve([]);
+            };
             xhr.send();
           });
         })
@@ -2012,57 +5030,446 @@
         });
     };
 
-    this.monitorIncomingControllers = function () {
-      // Detect whether the code is running in a DIAL application. If it is,
-      // it means the code is used within a Receiver application and was
-      // launched as the result of a call to:
-      //   navigator.presentation.requestSession
-      // NB: there is no good way to tell whether the app is running on a DIAL
-      // device, we'll just use a querystring parameter.
-      if (window.location.search.indexOf('__dial__') === -1) {
-        return;
-      }
+    // Abort requests in progress and forget about the proxy, its presence
+    // is checked again when the mechanism is enabled again
+    this.suspend = function () {
+      pendingRequests.slice().forEach(function (xhr) {
+        xhr.abort();
+      });
+      pendingRequests = [];
+      proxyPromise = null;
+    };
+
+    this.release = this.suspend;
+
+    // The DIAL device must still be around and still support the DIAL app
+    this.reconnectDisplay = function (data, url, presentationId) {
+      var app = dialApplications[data.app];
+      if (!app) {
+        return Promise.reject(new _DOMException('NotFoundError',
+          'DIAL application no longer registered: ' + data.app));
+      }
+      return that.getAvailableDisplays([url])
+        .then(function (displays) {
+          var found = displays.some(function (display) {
+            return (display.name === data.device);
+          });
+          if (!found) {
+            throw new _DOMException('NotFoundError',
+              'DIAL device no longer available: ' + data.device);
+          }
+          return new DialDisplay(data.device, app, data.appInstanceUrl);
+        });
+    };
+
+    this.monitorIncomingControllers = function () {
+      // Detect whether the code is running in a DIAL application. If it is,
+      // it means the code is used within a Receiver application and was
+      // launched as the result of a call to:
+      //   navigator.presentation.requestSession
+      // NB: there is no good way to tell whether the app is running on a DIAL
+      // device, we'll just use a querystring parameter.
+      var match = window.location.search.match(/[?&]__dial__(=([^&]*))?/);
+      if (!match) {
+        return;
+      }
+
+      // TODO: setup communication channel one way or the other
+      log('code is running on a DIAL device');
+      var controller = new DialRemoteController(
+        match[2] ? decodeURIComponent(match[2]) : null);
+      if (that.onincomingcontroller) {
+        that.onincomingcontroller(controller);
+      }
+    };
+  };
+
+
+
+
+  /**
+   * Non-standard function exposed so that this mechanism can tell which DIAL
+   * applications it should be looking for to load the requested URL
+   *
+   * @function
+   * @param {DialApplication} app The DIAL application to register
+   */
+  navigator.w3cPresentation.registerDialApplication = function (app) {
+    dialApplications[app.name] = app;
+  };
+
+
+
+
+  // Expose the non-standard DialApplication class to the external world
+  // in the same namespace as the other classes
+  navigator.w3cPresentation.extend.DialApplication = DialApplication;
+
+
+
+
+  // Register the presentation mechanism
+  registerPresentationMechanism(new DialPresentationMechanism());
+
+
+  // Register supported DIAL applications
+  navigator.w3cPresentation.registerDialApplication(new HbbTVDialApplication());
+  navigator.w3cPresentation.registerDialApplication(new IRTFireTVDialApplication());
+})();
+
+
+
+
+/**
+ * @file Native presentation mechanism for the Presentation API polyfill
+ * @copyright 2015 W3C (MIT, ERCIM, Keio, Beihang)
+ * @license W3C Software and Document License
+ * @author François Daoust <fd@w3.org>
+ *
+ * The native presentation mechanism lets the polyfill use the native
+ * implementation of the Presentation API that the browser may ship, so that
+ * displays that the browser knows about appear in the polyfill's display
+ * picker next to displays reported by other mechanisms.
+ *
+ * The native API does not expose the list of displays it knows about. As
+ * with the Cast mechanism, this mechanism reports one display that
+ * represents the displays of the browser when the native implementation
+ * reports that some display is available for the requested URLs. Selecting
+ * that display starts a native presentation request, which lets the user
+ * pick the actual display in the browser's own picker.
+ *
+ * Native presentation connections are mapped onto the DataChannel interface
+ * of the polyfill, on the controlling side and on the receiving side.
+ *
+ * The mechanism uses the native implementation captured by the polyfill when
+ * it was loaded, so it still works after the polyfill got installed as
+ * "navigator.presentation".
+ */
+(function () {
+  // Retrieve classes that the core of the Presentation API polyfill exposes
+  // to defined and register this presentation mechanism
+  var ns = navigator.w3cPresentation.extend;
+  var log = ns.log;
+  var _DOMException = ns._DOMException;
+  var DataChannel = ns.DataChannel;
+  var RemoteController = ns.RemoteController;
+  var Display = ns.Display;
+  var PresentationMechanism = ns.PresentationMechanism;
+  var registerPresentationMechanism = ns.registerPresentationMechanism;
+
+  var nativeImplementation = navigator.w3cPresentation.native;
+
+
+  /**
+   * Create a data channel on top of a native presentation connection
+   *
+   * The returned promise is resolved when the native connection is
+   * connected.
+   *
+   * @function
+   * @private
+   * @param {PresentationConnection} connection The native connection
+   * @return {Promise<DataChannel>} The promise to get a data channel that
+   *  wraps the native connection
+   */
+  var createNativeDataChannel = function (connection) {
+    return new Promise(function (resolve, reject) {
+      var channel = new DataChannel();
+      channel.supportsBinary = true;
+      connection.binaryType = 'arraybuffer';
+
+      var stopListening = function () {
+        connection.removeEventListener('connect', connectListener);
+        connection.removeEventListener('message', messageListener);
+        connection.removeEventListener('close', closeListener);
+        connection.removeEventListener('terminate', terminateListener);
+      };
+
+      var connectListener = function () {
+        log('native presentation connection connected');
+        channel.state = 'connected';
+        resolve(channel);
+      };
+
+      var messageListener = function (event) {
+        log('received message from native presentation connection');
+        if (channel.onmessage) {
+          channel.onmessage({ data: event.data });
+        }
+      };
+
+      var closeListener = function (event) {
+        log('info', 'native presentation connection closed',
+          event.reason, event.message);
+        stopListening();
+        if (channel.state !== 'connected') {
+          reject(new _DOMException('OperationError',
+            'Native presentation connection closed: ' + event.message));
+          return;
+        }
+        channel.state = 'closed';
+        channel.closeReason = event.reason;
+        channel.closeMessage = event.message || '';
+        if (channel.onstatechange) {
+          channel.onstatechange();
+        }
+      };
+
+      var terminateListener = function () {
+        log('info', 'native presentation terminated');
+        stopListening();
+        if (channel.state !== 'connected') {
+          reject(new _DOMException('OperationError',
+            'Native presentation terminated'));
+          return;
+        }
+        channel.state = 'terminated';
+        if (channel.onstatechange) {
+          channel.onstatechange();
+        }
+      };
+
+      channel.send = function (message) {
+        if (channel.state !== 'connected') {
+          throw new _DOMException('InvalidStateError');
+        }
+        log('send message to native presentation connection');
+        connection.send(message);
+      };
+
+      channel.close = function () {
+        if (channel.state !== 'connected') {
+          return;
+        }
+        stopListening();
+        connection.close();
+        channel.state = 'closed';
+        if (channel.onstatechange) {
+          channel.onstatechange();
+        }
+      };
+
+      connection.addEventListener('message', messageListener);
+      connection.addEventListener('close', closeListener);
+      connection.addEventListener('terminate', terminateListener);
+      if (connection.state === 'connected') {
+        connectListener();
+      }
+      else {
+        connection.addEventListener('connect', connectListener);
+      }
+    });
+  };
+
+
+  /**
+   * Remote controller that wraps an incoming native presentation connection
+   *
+   * @constructor
+   * @private
+   * @inherits {RemoteController}
+   * @param {PresentationConnection} connection The native connection
+   */
+  var NativeRemoteController = function (connection) {
+    RemoteController.call(this);
+    this.presentationId = connection.id;
+
+    this.createDataChannel = function () {
+      return createNativeDataChannel(connection);
+    };
+
+    this.terminate = function () {
+      log('terminate native presentation');
+      connection.terminate();
+    };
+  };
+
+
+  /**
+   * Represents the displays that the native implementation knows about
+   *
+   * @constructor
+   * @private
+   * @inherits {Display}
+   * @param {String} name A human-friendly name for the displays
+   * @param {Array(String)} urls The URLs that the displays can present
+   * @param {PresentationConnection} connection The native connection, when
+   *  the display is created to re-attach to a running presentation
+   */
+  var NativeDisplay = function (name, urls, connection) {
+    Display.call(this, name);
+
+    var request = null;
+    connection = connection || null;
+
+    this.canPresent = function (url) {
+      return (urls.indexOf(url) !== -1);
+    };
+
+    // Note the native presentation identifier is used as presentation
+    // identifier as the native receiving side gets it too. The native "start"
+    // method must be called synchronously: the browser only shows its picker
+    // while the user's selection in the polyfill's picker is still active.
+    this.navigate = function (url, presentationId) {
+      log('start native presentation request for url', url);
+      request = new nativeImplementation.PresentationRequest(url);
+      return request.start().then(function (nativeConnection) {
+        log('native presentation started', nativeConnection.id);
+        connection = nativeConnection;
+        return connection.id;
+      }, function (err) {
+        log('info', 'native presentation request failed', err);
+        throw new _DOMException('OperationError', err.message);
+      });
+    };
 
-      // TODO: setup communication channel one way or the other
-      log('code is running on a DIAL device');
-      var controller = new DialRemoteController();
-      if (that.onincomingcontroller) {
-        that.onincomingcontroller(controller);
+    this.createDataChannel = function () {
+      if (!connection) {
+        return Promise.reject(new _DOMException('OperationError',
+          'No native presentation connection'));
       }
+      if ((connection.state === 'connected') ||
+          (connection.state === 'connecting')) {
+        return createNativeDataChannel(connection);
+      }
+
+      // The native connection needs to be re-connected
+      log('reconnect native presentation connection', connection.id);
+      request = request ||
+        new nativeImplementation.PresentationRequest(connection.url);
+      return request.reconnect(connection.id).then(function (nativeConnection) {
+        connection = nativeConnection;
+        return createNativeDataChannel(connection);
+      });
     };
-  };
 
+    this.getReconnectData = function () {
+      return connection ? { url: connection.url } : null;
+    };
 
+    this.terminate = function () {
+      if (!connection) {
+        return;
+      }
+      log('terminate native presentation');
+      connection.terminate();
+    };
+  };
 
 
   /**
-   * Non-standard function exposed so that this mechanism can tell which DIAL
-   * applications it should be looking for to load the requested URL
+   * Presentation API mechanism that passes presentation requests through to
+   * the native implementation of the Presentation API
    *
-   * @function
-   * @param {DialApplication} app The DIAL application to register
+   * @constructor
+   * @inherits {PresentationMechanism}
    */
-  navigator.w3cPresentation.registerDialApplication = function (app) {
-    dialApplications[app.name] = app;
-  };
+  var NativePresentationMechanism = function () {
+    PresentationMechanism.call(this);
+    this.name = 'native presentation mechanism';
+    this.id = 'native';
+
+    this.capabilities = {
+      messaging: true,
+      reconnect: true,
+      terminate: true,
+      binary: true,
+      multipleControllers: true,
+      launchConfirmation: true
+    };
+
+    var that = this;
+
+    /**
+     * Native availability objects, indexed by URL, kept so that the native
+     * implementation can monitor availability in the background
+     */
+    var availabilities = {};
 
+    /**
+     * Tell whether the native implementation knows about a display that can
+     * present the given URL
+     *
+     * @function
+     * @private
+     * @param {String} url
+     * @return {Promise<boolean>}
+     */
+    var isAvailable = function (url) {
+      if (availabilities[url]) {
+        return Promise.resolve(availabilities[url].value);
+      }
+      var request = new nativeImplementation.PresentationRequest(url);
+      return request.getAvailability().then(function (availability) {
+        availabilities[url] = availability;
+        return availability.value;
+      }, function (err) {
+        // Availability monitoring may not be supported, the native picker
+        // will tell whether a display can present the URL
+        return (err.name === 'NotSupportedError');
+      });
+    };
 
+    this.getAvailableDisplays = function (urls, options) {
+      if (!nativeImplementation) {
+        return Promise.resolve([]);
+      }
+      return Promise.all(urls.map(isAvailable)).then(function (results) {
+        var availableUrls = urls.filter(function (url, idx) {
+          return results[idx];
+        });
+        if (availableUrls.length === 0) {
+          return [];
+        }
+        return [new NativeDisplay('Displays of your browser', availableUrls)];
+      });
+    };
 
+    // Drop native availability objects so that the native implementation
+    // may stop monitoring availability in the background
+    this.suspend = function () {
+      availabilities = {};
+    };
 
-  // Expose the non-standard DialApplication class to the external world
-  // in the same namespace as the other classes
-  navigator.w3cPresentation.extend.DialApplication = DialApplication;
+    this.reconnectDisplay = function (data, url, presentationId) {
+      if (!nativeImplementation) {
+        return Promise.reject(new _DOMException('NotFoundError'));
+      }
+      var request = new nativeImplementation.PresentationRequest(data.url);
+      return request.reconnect(presentationId).then(function (connection) {
+        return new NativeDisplay('Displays of your browser', [url], connection);
+      });
+    };
 
+    this.monitorIncomingControllers = function () {
+      var receiver = nativeImplementation &&
+        nativeImplementation.presentation.receiver;
+      if (!receiver) {
+        log('code is not running in a native receiving browsing context');
+        return;
+      }
 
+      log('code is running in a native receiving browsing context');
+      var addConnection = function (connection) {
+        if (that.onincomingcontroller) {
+          that.onincomingcontroller(new NativeRemoteController(connection));
+        }
+      };
+      receiver.connectionList.then(function (list) {
+        list.connections.forEach(addConnection);
+        list.addEventListener('connectionavailable', function (event) {
+          addConnection(event.connection);
+        });
+      });
+    };
+  };
+  NativePresentationMechanism.prototype = new PresentationMechanism();
 
 
-  // Register the presentation mechanism
-  registerPresentationMechanism(new DialPresentationMechanism());
 
 
-  // Register supported DIAL applications
-  navigator.w3cPresentation.registerDialApplication(new HbbTVDialApplication());
-  navigator.w3cPresentation.registerDialApplication(new IRTFireTVDialApplication());
+  // Register the presentation mechanism
+  registerPresentationMechanism(new NativePresentationMechanism());
 })();
 
 
@@ -2082,7 +5489,8 @@
  * Since a browser cannot broadcast the URL itself, the presentation mechanism
  * goes through a Node.js server that must run on localhost:3000 to have the
  * URL broadcasted. Ideally, that part would be natively supported by Web
- * browsers.
+ * browsers. The URL of the server may be changed through the "proxyUrl"
+ * setting of the "physicalweb" mechanism.
  *
  * To run the Node.js server from the root folder of the Presentation API
  * polyfill repository:
@@ -2167,6 +5575,7 @@
    */
   var PhysicalWebDisplay = function (name) {
     Display.call(this, name);
+    var that = this;
 
     /**
      * "Navigate" the "display" to the given URL, thus creating a receiving
@@ -2185,7 +5594,7 @@
     this.navigate = function (url) {
       return new Promise(function (resolve, reject) {
         var xhr = new XMLHttpRequest();
-        xhr.open('POST', 'http://localhost:3000/api/beacon');
+        xhr.open('POST', that.mechanism.proxyUrl + '/api/beacon');
         xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
         xhr.onload = function () {
           resolve();
@@ -2221,7 +5630,7 @@
      */
     this.terminate = function () {
       var xhr = new XMLHttpRequest();
-      xhr.open('POST', 'http://localhost:3000/api/beacon');
+      xhr.open('POST', that.mechanism.proxyUrl + '/api/beacon');
       xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
       xhr.send('action=stop');
     };
@@ -2235,10 +5644,40 @@
    * The mechanism relies on the presence of a local backend server running
    * on port 3000. The mechanism sends a "status" command to that server to
    * detect whether it is up and running and only report a display if it is.
+   * The command is sent again when the URL of the server changes.
    */
   var PhysicalWebPresentationMechanism = function () {
     PresentationMechanism.call(this);
     this.name = 'Physical Web presentation mechanism';
+    this.id = 'physicalweb';
+
+    /**
+     * Base URL of the local backend server
+     *
+     * @type {String}
+     */
+    this.proxyUrl = 'http://localhost:3000';
+
+    /**
+     * Maximum time to wait for the local backend server to answer the
+     * "status" command, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.proxyTimeout = 500;
+
+    // Broadcasting the URL is merely an invitation, all that can be done
+    // afterwards is to stop broadcasting it
+    this.capabilities = {
+      messaging: false,
+      reconnect: false,
+      terminate: true,
+      binary: false,
+      multipleControllers: false,
+      launchConfirmation: false
+    };
+
+    var that = this;
 
     var enable = function () {
       log('info', 'Physical Web backend detected, enable mechanism');
@@ -2259,36 +5698,52 @@
       }
     };
     var promiseResolve = null;
-    var pending = true;
+    var pending = false;
     var enabled = false;
+    var probedUrl = null;
     var xhr = new XMLHttpRequest();
-    xhr.timeout = 500;
     xhr.onload = enable;
     xhr.onerror = disable;
     xhr.ontimeout = disable;
-    xhr.open('POST', 'http://localhost:3000/api/beacon');
-    xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
-    xhr.send('action=status');
+    xhr.onabort = disable;
+    var sendStatusCommand = function () {
+      pending = true;
+      probedUrl = that.proxyUrl;
+      xhr.open('POST', probedUrl + '/api/beacon');
+      xhr.timeout = that.proxyTimeout;
+      xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
+      xhr.send('action=status');
+    };
+
+    // Abort the probe in progress, if any. The backend is probed again when
+    // displays are requested once the mechanism is enabled again.
+    this.suspend = function () {
+      if (pending) {
+        xhr.abort();
+      }
+      enabled = false;
+    };
+
+    this.release = this.suspend;
+
+    // Probe the backend. Its absence is not an error, it may be started
+    // later on.
+    this.initialize = function () {
+      return that.getAvailableDisplays().then(function () {});
+    };
 
     // TODO: can the backend return the list of beacons available by any
     // chance? This could be used to populate the list instead of providing
     // a generic class of displays
-    this.getAvailableDisplays = function (url, options) {
-      options = options || {};
+    this.getAvailableDisplays = function (urls, options) {
       return new Promise(function (resolve, reject) {
-        if (!options.isChannelOptional) {
-          resolve([]);
-          return;
-        }
-        if (enabled) {
+        if (enabled && (probedUrl === that.proxyUrl)) {
           resolve([new PhysicalWebDisplay('Physical Web beacon')]);
           return;
         }
         promiseResolve = resolve;
         if (!pending) {
-          xhr.open('POST', 'http://localhost:3000/api/beacon');
-          xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
-          xhr.send('action=status');
+          sendStatusCommand();
         }
       });
     };
@@ -2375,6 +5830,13 @@
   };
 
 
+  /**
+   * Functions that remove the QR code overlays currently shown, called when
+   * the mechanism gets suspended
+   */
+  var overlayRemovers = [];
+
+
   /**
    * Represents a QR code "display". In practice, this represents the
    * possibility to have the URL represented as a QR code.
@@ -2414,10 +5876,15 @@
         closeButton.style.height = '2em';
         closeButton.style.marginTop = '1em';
         closeButton.style['font-size'] = 'larger';
-        closeButton.addEventListener('click', function (event) {
-          event.preventDefault();
+        var removeOverlay = function () {
+          overlayRemovers.splice(overlayRemovers.indexOf(removeOverlay), 1);
           document.body.removeChild(container);
           resolve();
+        };
+
+        closeButton.addEventListener('click', function (event) {
+          event.preventDefault();
+          removeOverlay();
           return false;
         });
 
@@ -2441,6 +5908,7 @@
         container.appendChild(modal);
 
         document.body.appendChild(container);
+        overlayRemovers.push(removeOverlay);
         var code = new QRCode('presentation-api-polyfill-qrcode', {
           text: toAbsolute(url),
           width: 200,
@@ -2471,76 +5939,418 @@
 
 
   /**
-   * Presentation API mechanism that displays the requested URL in QR code
+   * Presentation API mechanism that displays the requested URL in QR code
+   *
+   * @constructor
+   * @inherits {PresentationMechanism}
+   */
+  var QRCodePresentationMechanism = function () {
+    PresentationMechanism.call(this);
+    this.name = 'QR code presentation mechanism';
+    this.id = 'qrcode';
+
+    // Nothing is known about the receiving side once the QR code is shown
+    this.capabilities = {
+      messaging: false,
+      reconnect: false,
+      terminate: false,
+      binary: false,
+      multipleControllers: false,
+      launchConfirmation: false
+    };
+
+    var that = this;
+
+    // Remove QR code overlays that may still be shown
+    this.suspend = function () {
+      overlayRemovers.slice().forEach(function (removeOverlay) {
+        removeOverlay();
+      });
+    };
+
+    this.release = this.suspend;
+
+    this.getAvailableDisplays = function (urls, options) {
+      return new Promise(function (resolve, reject) {
+        if (typeof QRCode !== 'undefined') {
+          resolve([new QRCodeDisplay('QR code')]);
+        }
+        else {
+          resolve([]);
+        }
+      });
+    };
+  };
+  QRCodePresentationMechanism.prototype = new PresentationMechanism();
+
+
+  // Register the presentation mechanism
+  registerPresentationMechanism(new QRCodePresentationMechanism());
+})();
+
+
+
+
+/**
+ * @file Window presentation mechanism for the Presentation API polyfill
+ * @copyright 2015 W3C (MIT, ERCIM, Keio, Beihang)
+ * @license W3C Software and Document License
+ * @author François Daoust <fd@w3.org>
+ *
+ * The window presentation mechanism allows a user to open a new window on
+ * the same screen and pretend that it is a second screen. This mechanism is
+ * intended as a fallback that runs on all platforms to test the polyfill. It
+ * is not meant to demonstrate that such a fallback would be of any interest
+ * in a real implementation of the Presentation API in particular.
+ *
+ * If the user runs an experimental build of Chromium prepared by Intel Labs,
+ * the mechanism will rather open the requested URL in the first screen it
+ * finds that is connected through some video port (VGA, HDMI, Miracast) to
+ * the computer running the controlling application, see instructions for the
+ * Chromium build at:
+ *
+ * http://webscreens.github.io/demo/#binaries
+ *
+ * When the browser supports the Window Management API and the user granted
+ * the "window-management" permission, the mechanism rather reports one
+ * display per screen attached to the computer, named after the screen.
+ * Presenting to such a display opens the window in fullscreen mode on that
+ * screen. Should the browser ignore the request, the receiving window
+ * switches to fullscreen mode itself, at the first user interaction if the
+ * browser does not allow it right away.
+ *
+ * The user will likely have to authorize the calling app to open pop-up
+ * windows for this mechanism to work properly.
+ *
+ * Messaging between the window relies on "postMessage" primitives. All
+ * messages are wrapped in an envelope that identifies the protocol, its
+ * version, the presentation and the type of message, so that they cannot be
+ * confused with other messages that the windows may exchange. Application
+ * payloads are sent in "message" messages, separated from control messages.
+ * Messages are posted to the origin of the other window, and messages from
+ * other origins are ignored.
+ *
+ * Windows only exchange handshake messages over their global "message"
+ * event. The controlling window then transfers a MessagePort to the
+ * receiving window in its "channel" message, and each presentation
+ * connection uses its own port from then on. Ports support transferable
+ * objects.
+ *
+ * Both sides tell each other when they close the communication channel or
+ * terminate the presentation with "controllerclose", "controllerterminate",
+ * "receiverclose" and "receiverterminate" messages.
+ *
+ * When the controlling side reconnects to a presentation, e.g. after a
+ * reload, it looks for the receiving window by name and sends it a
+ * "reconnect" message. The receiving window answers with "reconnected" and
+ * treats the controlling window as a new incoming controller. The page of
+ * the receiving window is not reloaded in the process. Reconnection fails if
+ * the window cannot be found or does not answer: the presentation is never
+ * loaded again in that case.
+ *
+ * Windows tell each other when they unload, e.g. on reload, with
+ * "controllershutdown" and "receivershutdown" messages. Windows may also
+ * disappear without notice. Both sides check whether the other window was
+ * closed and exchange "heartbeat" messages while the connection is open. The
+ * connection is closed with a "wentaway" reason when the other window is
+ * gone.
+ */
+(function () {
+  // Retrieve classes that the core of the Presentation API polyfill exposes
+  // to defined and register this presentation mechanism
+  var ns = navigator.w3cPresentation.extend;
+  var log = ns.log;
+  var _DOMException = ns._DOMException;
+  var DataChannel = ns.DataChannel;
+  var RemoteController = ns.RemoteController;
+  var Display = ns.Display;
+  var PresentationMechanism = ns.PresentationMechanism;
+  var registerPresentationMechanism = ns.registerPresentationMechanism;
+
+
+  /**
+   * Namespace and version of the protocol that controlling and receiving
+   * windows use to talk to each other.
+   *
+   * Messages are objects with the following properties:
+   * - "namespace": the protocol namespace
+   * - "version": the protocol version
+   * - "type": the message type, one of "ispresentation", "presentation",
+   * "reconnect", "reconnected", "channel", "channelready", "message",
+   * "heartbeat", "controllerclose", "controllerterminate",
+   * "controllershutdown", "receiverclose", "receiverterminate" and
+   * "receivershutdown"
+   * - "presentationId": the presentation identifier, null in the
+   * "ispresentation" message that the receiving window sends before it knows
+   * about the presentation
+   * - "data": the application payload of "message" messages, and the
+   * presentation options of "presentation" messages. The only option is
+   * "fullscreen", set when the receiving window should switch to fullscreen
+   * mode
+   */
+  var protocolNamespace = 'org.w3c.webscreens.presentationapi.polyfill';
+  var protocolVersion = 1;
+
+
+  /**
+   * Compute the origin of the given URL, to be used as target origin of
+   * messages posted to the window that loads the URL.
+   *
+   * Opaque origins (e.g. "file:" or "data:" URLs) cannot be targeted, the
+   * function returns "*" in that case.
+   *
+   * @function
+   * @private
+   * @param {String} url The URL, possibly relative to the current document
+   * @return {String} The origin of the URL
+   */
+  var getOrigin = function (url) {
+    var origin = new URL(url, window.location.href).origin;
+    if (!origin || (origin === 'null')) {
+      log('warn', 'cannot restrict messages to the origin of', url);
+      return '*';
+    }
+    return origin;
+  };
+
+
+  /**
+   * Create a protocol message
+   *
+   * @function
+   * @private
+   * @param {String} type The message type
+   * @param {String} presentationId The presentation identifier
+   * @param {*} data The application payload, for "message" messages, or
+   *   the presentation options, for "presentation" messages
+   * @return {Object} The protocol message
+   */
+  var createProtocolMessage = function (type, presentationId, data) {
+    var message = {
+      namespace: protocolNamespace,
+      version: protocolVersion,
+      type: type,
+      presentationId: presentationId || null
+    };
+    if ((type === 'message') || (type === 'presentation')) {
+      message.data = data;
+    }
+    return message;
+  };
+
+
+  /**
+   * Post a message to the given window
+   *
+   * @function
+   * @private
+   * @param {Window} target The window to post the message to
+   * @param {String} targetOrigin The expected origin of the window
+   * @param {String} type The message type
+   * @param {String} presentationId The presentation identifier
+   * @param {Object} data The presentation options, for "presentation"
+   *   messages
+   * @param {Array} transfer Optional list of objects to transfer
+   */
+  var postProtocolMessage = function (target, targetOrigin, type,
+      presentationId, data, transfer) {
+    target.postMessage(createProtocolMessage(type, presentationId, data),
+      targetOrigin, transfer || []);
+  };
+
+
+  /**
+   * Post a message to the given message port
+   *
+   * @function
+   * @private
+   * @param {MessagePort} port The port of the presentation connection
+   * @param {String} type The message type
+   * @param {String} presentationId The presentation identifier
+   * @param {*} data The application payload, for "message" messages
+   * @param {Array} transfer Optional list of objects to transfer
+   */
+  var postPortMessage = function (port, type, presentationId, data,
+      transfer) {
+    port.postMessage(createProtocolMessage(type, presentationId, data),
+      transfer || []);
+  };
+
+
+  /**
+   * Compute the features of a window that covers the available area of the
+   * given screen. The "fullscreen" feature requests fullscreen mode on that
+   * screen, which browsers honor when the "window-management" permission is
+   * granted, without any user interaction in the new window. The receiving
+   * window falls back to "requestFullscreen" otherwise.
+   *
+   * @function
+   * @private
+   * @param {ScreenDetailed} screenDetailed The screen, from the Window
+   *   Management API
+   * @return {String} The window features to pass to "window.open", an empty
+   *   string when no screen is given
+   */
+  var getWindowFeatures = function (screenDetailed) {
+    if (!screenDetailed) {
+      return '';
+    }
+    return [
+      'popup',
+      'left=' + screenDetailed.availLeft,
+      'top=' + screenDetailed.availTop,
+      'width=' + screenDetailed.availWidth,
+      'height=' + screenDetailed.availHeight,
+      'fullscreen'
+    ].join(',');
+  };
+
+
+  /**
+   * Switch the receiving window to fullscreen mode, unless the "fullscreen"
+   * window feature already did. Browsers usually require a user gesture to
+   * do that, in which case the request is made again at the first user
+   * interaction with the window.
+   *
+   * @function
+   * @private
+   */
+  var requestFullscreen = function () {
+    var element = document.documentElement;
+    if (!element || !element.requestFullscreen || document.fullscreenElement) {
+      return;
+    }
+
+    // Older browsers do not return a promise
+    var enterFullscreen = function () {
+      return new Promise(function (resolve, reject) {
+        resolve(element.requestFullscreen());
+      });
+    };
+
+    var gestureListener = function () {
+      window.removeEventListener('click', gestureListener, true);
+      window.removeEventListener('keydown', gestureListener, true);
+      if (document.fullscreenElement) {
+        return;
+      }
+      log('request fullscreen mode on user gesture');
+      enterFullscreen().catch(function (err) {
+        log('warn', 'could not switch to fullscreen mode', err);
+      });
+    };
+
+    log('request fullscreen mode');
+    enterFullscreen().catch(function () {
+      log('info', 'fullscreen mode needs a user gesture, waiting for one');
+      window.addEventListener('click', gestureListener, true);
+      window.addEventListener('keydown', gestureListener, true);
+    });
+  };
+
+
+  /**
+   * Tell whether the given window is a blank window, meaning that
+   * "window.open" created it rather than returning an existing window.
    *
-   * @constructor
-   * @inherits {PresentationMechanism}
+   * @function
+   * @private
+   * @param {Window} win The window to check
+   * @return {boolean} true if the window is blank
    */
-  var QRCodePresentationMechanism = function () {
-    PresentationMechanism.call(this);
-    this.name = 'QR code presentation mechanism';
+  var isBlankWindow = function (win) {
+    try {
+      return (win.location.href === 'about:blank');
+    }
+    catch (err) {
+      // Cross-origin window, which means that it loaded some page
+      return false;
+    }
+  };
 
-    var that = this;
 
-    this.getAvailableDisplays = function (url, options) {
-      options = options || {};
-      return new Promise(function (resolve, reject) {
-        if (options.isChannelOptional &&
-            (typeof QRCode !== 'undefined')) {
-          resolve([new QRCodeDisplay('QR code')]);
-        }
-        else {
-          resolve([]);
-        }
-      });
+  /**
+   * Monitor the liveness of the window at the other end of a message port.
+   *
+   * The function sends "heartbeat" messages on the port at regular
+   * intervals, and calls the given callback when the other window was
+   * closed or did not send any message for too long.
+   *
+   * @function
+   * @private
+   * @param {MessagePort} port The port of the presentation connection
+   * @param {String} presentationId The presentation identifier
+   * @param {Window} remoteWindow The window at the other end of the port
+   * @param {WindowPresentationMechanism} mechanism The mechanism, whose
+   *   "heartbeatInterval" and "heartbeatTimeout" settings apply
+   * @param {function} onwentaway The function to call when the other window
+   *   is gone
+   * @return {function} The function to call to stop monitoring
+   */
+  var monitorLiveness = function (port, presentationId, remoteWindow,
+      mechanism, onwentaway) {
+    var lastSeen = Date.now();
+    var activityListener = function () {
+      lastSeen = Date.now();
     };
-  };
-  QRCodePresentationMechanism.prototype = new PresentationMechanism();
 
+    var stop = function () {
+      clearInterval(interval);
+      port.removeEventListener('message', activityListener);
+    };
 
-  // Register the presentation mechanism
-  registerPresentationMechanism(new QRCodePresentationMechanism());
-})();
-
+    var interval = setInterval(function () {
+      var closed = !remoteWindow || remoteWindow.closed;
+      if (closed || (Date.now() - lastSeen > mechanism.heartbeatTimeout)) {
+        log('info', closed ? 'other window was closed' :
+          'other window stopped sending heartbeats');
+        stop();
+        onwentaway();
+        return;
+      }
+      postPortMessage(port, 'heartbeat', presentationId);
+    }, mechanism.heartbeatInterval);
 
+    port.addEventListener('message', activityListener);
+    return stop;
+  };
 
 
-/**
- * @file Window presentation mechanism for the Presentation API polyfill
- * @copyright 2015 W3C (MIT, ERCIM, Keio, Beihang)
- * @license W3C Software and Document License
- * @author François Daoust <fd@w3.org>
- *
- * The window presentation mechanism allows a user to open a new window on
- * the same screen and pretend that it is a second screen. This mechanism is
- * intended as a fallback that runs on all platforms to test the polyfill. It
- * is not meant to demonstrate that such a fallback would be of any interest
- * in a real implementation of the Presentation API in particular.
- *
- * If the user runs an experimental build of Chromium prepared by Intel Labs,
- * the mechanism will rather open the requested URL in the first screen it
- * finds that is connected through some video port (VGA, HDMI, Miracast) to
- * the computer running the controlling application, see instructions for the
- * Chromium build at:
- *
- * http://webscreens.github.io/demo/#binaries
- *
- * The user will likely have to authorize the calling app to open pop-up
- * windows for this mechanism to work properly.
- *
- * Messaging between the window relies on "postMessage" primitives.
- */
-(function () {
-  // Retrieve classes that the core of the Presentation API polyfill exposes
-  // to defined and register this presentation mechanism
-  var ns = navigator.w3cPresentation.extend;
-  var log = ns.log;
-  var _DOMException = ns._DOMException;
-  var DataChannel = ns.DataChannel;
-  var RemoteController = ns.RemoteController;
-  var Display = ns.Display;
-  var PresentationMechanism = ns.PresentationMechanism;
-  var registerPresentationMechanism = ns.registerPresentationMechanism;
+  /**
+   * Extract the protocol message that a "message" event carries, provided
+   * it comes from the expected window, origin and presentation.
+   *
+   * @function
+   * @private
+   * @param {MessageEvent} event The event to check
+   * @param {Window} source The expected source window, null to accept any
+   * @param {String} origin The expected origin, "*" or null to accept any
+   * @param {String} presentationId The expected presentation identifier,
+   *   null to accept any
+   * @return {Object} The protocol message, null if the event is to be
+   *   ignored
+   */
+  var readProtocolMessage = function (event, source, origin, presentationId) {
+    var message = event.data;
+    if ((source && (event.source !== source)) ||
+        !message || (typeof message !== 'object') ||
+        (message.namespace !== protocolNamespace)) {
+      return null;
+    }
+    if (origin && (origin !== '*') && (event.origin !== origin)) {
+      log('warn', 'ignore message from unexpected origin', event.origin);
+      return null;
+    }
+    if (message.version !== protocolVersion) {
+      log('warn', 'ignore message with unsupported protocol version',
+        message.version);
+      return null;
+    }
+    if (presentationId && (message.presentationId !== presentationId)) {
+      return null;
+    }
+    return message;
+  };
 
 
   /**
@@ -2550,48 +6360,136 @@
    * @private
    * @inherits {RemoteController}
    * @param {Window} source Reference to the controlling window
+   * @param {String} origin The origin of the controlling window
+   * @param {String} presentationId The presentation identifier that the
+   * controlling window sent
+   * @param {WindowPresentationMechanism} mechanism The mechanism that
+   * detected the controller
    */
-  var WindowRemoteController = function (source) {
+  var WindowRemoteController = function (source, origin, presentationId,
+      mechanism) {
     RemoteController.call(this);
+    this.presentationId = presentationId;
+
+    /**
+     * The message port of the current data channel, if any
+     */
+    var port = null;
 
     this.createDataChannel = function () {
       return new Promise(function (resolve, reject) {
         var channel = new DataChannel();
+        channel.supportsBinary = true;
+        var channelPort = null;
+        var stopMonitoring = null;
 
         var initMessageListener = function (event) {
-          if ((event.source === source) &&
-              (event.data === 'channel')) {
-            log('received message to start data channel');
-            channel.state = 'connected';
-            window.removeEventListener('message', initMessageListener);
-            window.addEventListener('message', messageListener);
-            source.postMessage('channelready', '*');
-            resolve(channel);
+          var message = readProtocolMessage(event, source, origin,
+            presentationId);
+          if (!message || (message.type !== 'channel')) {
+            return;
+          }
+          if (!event.ports || !event.ports[0]) {
+            log('warn', 'received "channel" message without message port');
+            return;
           }
+          log('received message to start data channel');
+          window.removeEventListener('message', initMessageListener);
+          channelPort = event.ports[0];
+          port = channelPort;
+          channelPort.onmessage = messageListener;
+          window.addEventListener('unload', unloadListener, false);
+          channel.state = 'connected';
+          postPortMessage(channelPort, 'channelready', presentationId);
+          stopMonitoring = monitorLiveness(channelPort, presentationId, source,
+            mechanism, wentAway);
+          resolve(channel);
         };
         window.addEventListener('message', initMessageListener);
 
+        // Tell the controlling window that the receiving window goes away
+        var unloadListener = function () {
+          log('receiving window is being closed');
+          postPortMessage(channelPort, 'receivershutdown', presentationId);
+        };
+
+        var stopListening = function () {
+          stopMonitoring();
+          channelPort.onmessage = null;
+          channelPort.close();
+          window.removeEventListener('unload', unloadListener, false);
+          if (port === channelPort) {
+            port = null;
+          }
+        };
+
+        var wentAway = function () {
+          log('info', 'controlling window went away');
+          stopListening();
+          channel.state = 'closed';
+          channel.closeReason = 'wentaway';
+          channel.closeMessage = 'Controlling window is gone';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        };
+
         var messageListener = function (event) {
-          if (event.source === source) {
-            if (channel.onmessage) {
-              channel.onmessage(event);
+          var message = readProtocolMessage(event, null, null,
+            presentationId);
+          if (!message) {
+            return;
+          }
+          if ((message.type === 'controllerclose') ||
+              (message.type === 'controllerterminate') ||
+              (message.type === 'controllershutdown')) {
+            log('received "' + message.type +
+              '" message from controlling window');
+            stopListening();
+            if (message.type === 'controllershutdown') {
+              channel.state = 'closed';
+              channel.closeReason = 'wentaway';
+              channel.closeMessage = 'Controlling window was closed';
+            }
+            else if (message.type === 'controllerclose') {
+              channel.state = 'closed';
+              channel.closeReason = 'closed';
+              channel.closeMessage = 'Controlling side closed the connection';
+            }
+            else {
+              channel.state = 'terminated';
+            }
+            if (channel.onstatechange) {
+              channel.onstatechange();
             }
+            if (message.type === 'controllerterminate') {
+              setTimeout(function () {
+                log('close receiving window');
+                window.close();
+              }, 0);
+            }
+          }
+          else if ((message.type === 'message') && channel.onmessage) {
+            channel.onmessage({ data: message.data });
           }
         };
 
-        channel.send = function (message) {
+        channel.send = function (message, transfer) {
           if (channel.state !== 'connected') {
             throw new _DOMException('InvalidStateError');
           }
-          log('send message to receiving window', message);
-          source.postMessage(message, '*');
+          log('send message to controlling window', message);
+          postPortMessage(channelPort, 'message', presentationId, message,
+            transfer);
         };
 
         channel.close = function () {
           if (channel.state !== 'connected') {
             return;
           }
-          window.removeEventListener('message', messageListener);
+          log('send "receiverclose" message to controlling window');
+          postPortMessage(channelPort, 'receiverclose', presentationId);
+          stopListening();
           channel.state = 'closed';
           if (channel.onstatechange) {
             channel.onstatechange();
@@ -2599,6 +6497,20 @@
         };
       });
     };
+
+    this.terminate = function () {
+      if (port) {
+        log('send "receiverterminate" message to controlling window');
+        postPortMessage(port, 'receiverterminate', presentationId);
+      }
+
+      // Close the receiving window once all controlling windows have been
+      // told about the termination
+      setTimeout(function () {
+        log('close receiving window');
+        window.close();
+      }, 0);
+    };
   };
 
 
@@ -2607,33 +6519,46 @@
    *
    * @constructor
    * @private
-   * @param {String} name Human-friendly name for that display
+   * @param {String} name Human-friendly name for that display, also used as
+   *   the name of the receiving window
+   * @param {ScreenDetailed} screenDetailed The screen on which the window
+   *   should be opened, if known
+   * @param {WindowPresentationMechanism} mechanism The mechanism that
+   *   reports the display
    */
-  var WindowDisplay = function (name) {
+  var WindowDisplay = function (name, screenDetailed, mechanism) {
     Display.call(this, name);
 
     var receivingWindow = null;
+    var receivingOrigin = null;
+    var receivingPresentationId = null;
+    var port = null;
     var openPromise = null;
     var openPromiseResolve = null;
     var openPromiseReject = null;
     var reconnectionNeeded = false;
-    var that = this;
 
-    this.navigate = function (url) {
+    this.navigate = function (url, presentationId) {
       return new Promise(function (resolve, reject) {
-        receivingWindow = window.open(url, name);
+        receivingOrigin = getOrigin(url);
+        receivingPresentationId = presentationId;
+        receivingWindow = window.open(url, name,
+          getWindowFeatures(screenDetailed));
         if (!receivingWindow) {
           log('could not open receiving window');
           reject(new _DOMException('OperationError'));
           return;
         }
         var isPresentationListener = function (event) {
-          if ((event.source === receivingWindow) &&
-              (event.data === 'ispresentation')) {
+          var message = readProtocolMessage(event, receivingWindow,
+            receivingOrigin);
+          if (message && (message.type === 'ispresentation')) {
             log('received "is this a presentation connection?" message ' +
               'from receiving window');
             log('send "presentation" message to receiving window');
-            receivingWindow.postMessage('presentation', '*');
+            postProtocolMessage(receivingWindow, receivingOrigin,
+              'presentation', presentationId,
+              { fullscreen: !!screenDetailed });
             window.removeEventListener('message', isPresentationListener);
             resolve();
           }
@@ -2642,56 +6567,183 @@
       });
     };
 
+    /**
+     * Re-run the handshake with the receiving window, which should then
+     * report a new incoming controller.
+     *
+     * @function
+     * @private
+     * @return {Promise} The promise that the receiving window answered. The
+     *   promise is rejected with a "NotFoundError" if it did not answer in
+     *   time.
+     */
+    var reconnectReceivingWindow = function () {
+      return new Promise(function (resolve, reject) {
+        var timeout = setTimeout(function () {
+          window.removeEventListener('message', reconnectedListener);
+          reject(new _DOMException('NotFoundError',
+            'Receiving window did not answer'));
+        }, mechanism.handshakeTimeout);
+
+        var reconnectedListener = function (event) {
+          var message = readProtocolMessage(event, receivingWindow,
+            receivingOrigin, receivingPresentationId);
+          if (message && (message.type === 'reconnected')) {
+            log('received "reconnected" message from receiving window');
+            clearTimeout(timeout);
+            window.removeEventListener('message', reconnectedListener);
+            resolve();
+          }
+        };
+        window.addEventListener('message', reconnectedListener);
+
+        log('send "reconnect" message to receiving window');
+        postProtocolMessage(receivingWindow, receivingOrigin, 'reconnect',
+          receivingPresentationId);
+      });
+    };
+
+    // Reach the receiving window that may already be open with the same
+    // name, without reloading it. Note "window.open" creates a blank window
+    // if there is none, that window is closed right away since reconnecting
+    // must not start a new presentation.
+    this.attach = function (url, presentationId) {
+      receivingOrigin = getOrigin(url);
+      receivingPresentationId = presentationId;
+      receivingWindow = window.open('', name);
+      if (!receivingWindow) {
+        log('could not open receiving window');
+        return Promise.reject(new _DOMException('OperationError'));
+      }
+      if (isBlankWindow(receivingWindow)) {
+        log('info', 'no receiving window to reconnect to');
+        receivingWindow.close();
+        return Promise.reject(new _DOMException('NotFoundError',
+          'Receiving window not found'));
+      }
+      return reconnectReceivingWindow();
+    };
+
+    // The handshake needs to run again when the controlling side reconnects
+    // to the presentation after the connection was closed
     this.createDataChannel = function () {
+      if (!reconnectionNeeded) {
+        reconnectionNeeded = true;
+        return openChannel();
+      }
+      return reconnectReceivingWindow().then(openChannel);
+    };
+
+    var openChannel = function () {
       return new Promise(function (resolve, reject) {
         var channel = new DataChannel();
         channel.state = 'connected';
+        channel.supportsBinary = true;
+
+        var messageChannel = new MessageChannel();
+        var channelPort = messageChannel.port1;
+        var stopMonitoring = null;
+
+        // Tell the receiving window that the controlling window goes away,
+        // so that it does not wait for the heartbeat timeout after a reload
+        var pagehideListener = function () {
+          log('controlling window is being closed');
+          postPortMessage(channelPort, 'controllershutdown',
+            receivingPresentationId);
+        };
 
-        var readyMessageListener = function (event) {
-          if ((event.source === receivingWindow) &&
-              (event.data === 'channelready')) {
-            log('received "channel ready" message from receiving window');
-            channel.state = 'connected';
-            window.removeEventListener('message', readyMessageListener);
-            window.addEventListener('message', messageListener);
-            resolve(channel);
+        var stopListening = function () {
+          if (stopMonitoring) {
+            stopMonitoring();
+          }
+          channelPort.onmessage = null;
+          channelPort.close();
+          window.removeEventListener('pagehide', pagehideListener, false);
+          if (port === channelPort) {
+            port = null;
           }
         };
 
         var messageListener = function (event) {
-          if ((event.source === receivingWindow) &&
-              (event.data === 'receivershutdown')) {
-            log('received shut down message from receiving side', 'disconnect');
-            channel.state = 'terminated';
+          var message = readProtocolMessage(event, null, null,
+            receivingPresentationId);
+          if (!message) {
+            return;
+          }
+          if (message.type === 'channelready') {
+            log('received "channel ready" message from receiving window');
+            channel.state = 'connected';
+            stopMonitoring = monitorLiveness(channelPort,
+              receivingPresentationId, receivingWindow, mechanism, wentAway);
+            resolve(channel);
+          }
+          else if ((message.type === 'receivershutdown') ||
+              (message.type === 'receiverclose') ||
+              (message.type === 'receiverterminate')) {
+            log('received "' + message.type + '" message from receiving window');
+            stopListening();
+            if (message.type === 'receivershutdown') {
+              channel.state = 'closed';
+              channel.closeReason = 'wentaway';
+              channel.closeMessage = 'Receiving window was closed';
+            }
+            else if (message.type === 'receiverclose') {
+              channel.state = 'closed';
+              channel.closeReason = 'closed';
+              channel.closeMessage = 'Receiving side closed the connection';
+            }
+            else {
+              channel.state = 'terminated';
+            }
             if (channel.onstatechange) {
               channel.onstatechange();
             }
           }
-          else {
-            log('received message from receiving window', event.data);
-            if (that.onmessage) {
-              that.onmessage(event);
+          else if (message.type === 'message') {
+            log('received message from receiving window', message.data);
+            if (channel.onmessage) {
+              channel.onmessage({ data: message.data });
             }
           }
         };
 
+        var wentAway = function () {
+          log('info', 'receiving window went away');
+          stopListening();
+          channel.state = 'closed';
+          channel.closeReason = 'wentaway';
+          channel.closeMessage = 'Receiving window is gone';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        };
+
         log('tell receiving window to create data channel');
-        receivingWindow.postMessage('channel', '*');
-        window.addEventListener('message', readyMessageListener);
+        channelPort.onmessage = messageListener;
+        port = channelPort;
+        window.addEventListener('pagehide', pagehideListener, false);
+        postProtocolMessage(receivingWindow, receivingOrigin, 'channel',
+          receivingPresentationId, null, [messageChannel.port2]);
 
-        channel.send = function (message) {
+        channel.send = function (message, transfer) {
           if (channel.state !== 'connected') {
             throw new _DOMException('InvalidStateError');
           }
           log('send message to receiving window', message);
-          receivingWindow.postMessage(message, '*');
+          postPortMessage(channelPort, 'message', receivingPresentationId,
+            message, transfer);
         };
 
         channel.close = function () {
           if (channel.state !== 'connected') {
             return;
           }
-          window.removeEventListener('messsage', messageListener);
+          if (!receivingWindow.closed) {
+            log('send "controllerclose" message to receiving window');
+            postPortMessage(channelPort, 'controllerclose',
+              receivingPresentationId);
+          }
+          stopListening();
           channel.state = 'closed';
           if (channel.onstatechange) {
             channel.onstatechange();
@@ -2700,9 +6752,24 @@
       });
     };
 
+    this.getReconnectData = function () {
+      return { name: name };
+    };
+
+    // The receiving window closes itself once it has notified other
+    // controlling windows that the presentation was terminated. The window
+    // is closed from here if that does not happen in a timely manner.
     this.terminate = function () {
-      log('close presentation window');
-      receivingWindow.close();
+      if (port) {
+        log('send "controllerterminate" message to receiving window');
+        postPortMessage(port, 'controllerterminate', receivingPresentationId);
+      }
+      setTimeout(function () {
+        if (!receivingWindow.closed) {
+          log('close presentation window');
+          receivingWindow.close();
+        }
+      }, mechanism.terminateTimeout);
     };
   };
 
@@ -2715,14 +6782,148 @@
   var WindowPresentationMechanism = function () {
     PresentationMechanism.call(this);
     this.name = 'window presentation mechanism';
+    this.id = 'window';
+
+    this.capabilities = {
+      messaging: true,
+      reconnect: true,
+      terminate: true,
+      binary: true,
+      multipleControllers: true,
+      launchConfirmation: true
+    };
+
+    /**
+     * Additional origins of controlling windows that the receiving window
+     * accepts presentation requests from.
+     *
+     * By default, the receiving window only accepts the first presentation
+     * request from its opener window, and subsequent ones from the origin of
+     * that window.
+     *
+     * @type {Array(String)}
+     */
+    this.allowedOrigins = null;
+
+    /**
+     * Time given to the receiving window to close itself when the
+     * controlling side terminates the presentation, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.terminateTimeout = 1000;
+
+    /**
+     * Time given to an existing receiving window to answer a "reconnect"
+     * handshake message, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.handshakeTimeout = 1000;
+
+    /**
+     * Interval between two liveness checks, and between two "heartbeat"
+     * messages, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.heartbeatInterval = 1000;
+
+    /**
+     * Time after which the other window is considered gone when it did not
+     * send anything, in milliseconds. Browsers throttle timers of background
+     * pages down to once per minute, hence the large value. Closed windows
+     * are detected much sooner.
+     *
+     * @type {Number}
+     */
+    this.heartbeatTimeout = 70000;
 
     var controllingWindows = [];
+    var presentationIds = [];
+    var openerOrigin = null;
+    var messageEventListener = null;
+    var screenDetailsPromise = null;
     var that = this;
 
+    /**
+     * Retrieve the list of screens attached to the computer through the
+     * Window Management API.
+     *
+     * The permission is not requested here, since availability monitoring
+     * would prompt the user out of the blue. Applications may request it
+     * with "window.getScreenDetails()" in response to a user gesture.
+     *
+     * @function
+     * @private
+     * @return {Promise<Array(ScreenDetailed)>} The promise to get the list of
+     *   screens, empty when the API is not available or not allowed
+     */
+    var getScreens = function () {
+      if (!window.getScreenDetails || !navigator.permissions) {
+        return Promise.resolve([]);
+      }
+      if (!screenDetailsPromise) {
+        screenDetailsPromise = navigator.permissions
+          .query({ name: 'window-management' })
+          .then(function (status) {
+            if (status.state !== 'granted') {
+              log('window management permission not granted');
+              screenDetailsPromise = null;
+              return null;
+            }
+            return window.getScreenDetails();
+          })
+          .catch(function (err) {
+            log('info', 'could not retrieve screen details', err);
+            screenDetailsPromise = null;
+            return null;
+          });
+      }
+      return screenDetailsPromise.then(function (screenDetails) {
+        return screenDetails ? screenDetails.screens : [];
+      });
+    };
+
+    /**
+     * Compute the name of the display that represents the given screen.
+     * Screens that have the same label get numbered.
+     *
+     * @function
+     * @private
+     * @param {Array(ScreenDetailed)} screens The list of screens
+     * @param {Number} idx The index of the screen in the list
+     * @return {String} The name of the display
+     */
+    var getScreenName = function (screens, idx) {
+      var label = screens[idx].label || ('Screen ' + (idx + 1));
+      var duplicate = screens.some(function (other, otherIdx) {
+        return (otherIdx !== idx) && (other.label === screens[idx].label);
+      });
+      return (duplicate && screens[idx].label) ?
+        (label + ' (' + (idx + 1) + ')') :
+        label;
+    };
+
     this.getAvailableDisplays = function () {
-      return new Promise(function (resolve, reject) {
-        var display = new WindowDisplay('A beautiful window on your screen');
-        resolve([display]);
+      return getScreens().then(function (screens) {
+        if (screens.length === 0) {
+          return [new WindowDisplay('A beautiful window on your screen', null,
+            that)];
+        }
+        return screens.map(function (screenDetailed, idx) {
+          return new WindowDisplay(getScreenName(screens, idx), screenDetailed,
+            that);
+        });
+      });
+    };
+
+    // The receiving window is found by name. The presentation record is
+    // dropped if the window is gone or does not answer.
+    this.reconnectDisplay = function (data, url, presentationId) {
+      var display = new WindowDisplay(data.name, null, that);
+      return display.attach(url, presentationId).then(function () {
+        return display;
       });
     };
 
@@ -2733,36 +6934,98 @@
         return;
       }
 
-      var messageEventListener = function (event) {
-        // Note that the event source window is not checked to allow multiple
-        // controlling windows
-        if (event.data === 'presentation') {
+      /**
+       * Tell whether the receiving window accepts a presentation request
+       * from the given event. The first request must come from the opener
+       * window, whose origin is then pinned. Other windows may connect
+       * afterwards provided they have the same origin or an origin listed
+       * in the "allowedOrigins" setting.
+       */
+      var isAllowedController = function (event) {
+        if (that.allowedOrigins &&
+            (that.allowedOrigins.indexOf(event.origin) !== -1)) {
+          return true;
+        }
+        if (openerOrigin) {
+          return (event.origin === openerOrigin);
+        }
+        if (event.source === window.opener) {
+          openerOrigin = event.origin;
+          return true;
+        }
+        return false;
+      };
+
+      messageEventListener = function (event) {
+        // Note that the event source window is not checked against the
+        // opener once its origin is known, to allow multiple controlling
+        // windows. The origin of the controlling window is recorded to check
+        // subsequent messages.
+        var message = readProtocolMessage(event);
+        if (!message || !message.presentationId ||
+            ((message.type !== 'presentation') &&
+              (message.type !== 'reconnect'))) {
+          return;
+        }
+        if (!isAllowedController(event)) {
+          log('warn', 'ignore presentation from origin', event.origin);
+          return;
+        }
+        if (!that.onincomingcontroller) {
+          return;
+        }
+
+        // A controlling window that reconnects may be one that was already
+        // connected before it got reloaded
+        if (message.type === 'reconnect') {
+          if (presentationIds.indexOf(message.presentationId) === -1) {
+            log('warn', 'ignore reconnection to unknown presentation',
+              message.presentationId);
+            return;
+          }
+          log('received "reconnect" message from some window');
+        }
+        else if (controllingWindows.some(function (win) {
+          return (win === event.source);
+        })) {
+          return;
+        }
+        else {
           log('received "presentation" message from some window');
           log('code is running in a receiving window');
-          if (that.onincomingcontroller &&
-              !controllingWindows.some(function (win) {
-                return (win === event.source);
-              })) {
-            controllingWindows.push(event.source);
-            var controller = new WindowRemoteController(event.source);
-            if (that.onincomingcontroller) {
-              that.onincomingcontroller(controller);
-            }
+          controllingWindows.push(event.source);
+          presentationIds.push(message.presentationId);
+          if (message.data && message.data.fullscreen) {
+            requestFullscreen();
           }
         }
+
+        var controller = new WindowRemoteController(event.source,
+          event.origin, message.presentationId, that);
+        that.onincomingcontroller(controller);
+        if (message.type === 'reconnect') {
+          postProtocolMessage(event.source, event.origin, 'reconnected',
+            message.presentationId);
+        }
       };
 
+      // The receiving window does not know the origin of its opener yet.
+      // The message does not contain anything sensitive.
       window.addEventListener('message', messageEventListener, false);
       log('send "ispresentation" message to opener window');
-      window.opener.postMessage('ispresentation', '*');
-      window.addEventListener('unload', function () {
-        log('receiving window is being closed');
-        controllingWindows.forEach(function (win) {
-          if (win) {
-            win.postMessage('receivershutdown', '*');
-          }
-        });
-      }, false);
+      postProtocolMessage(window.opener, '*', 'ispresentation');
+    };
+
+    // Drop screen details and stop listening to incoming controllers.
+    // Connections that are already established keep their own message
+    // ports, and controllers are still told when the receiving window goes
+    // away.
+    this.release = function () {
+      screenDetailsPromise = null;
+      if (messageEventListener) {
+        window.removeEventListener('message', messageEventListener, false);
+        messageEventListener = null;
+      }
     };
   };
   WindowPresentationMechanism.prototype = new PresentationMechanism();
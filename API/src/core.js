@@ -28,11 +28,9 @@
  *
  * Some notes on the code:
  * - the code uses Promises, underlying Web browser needs to support them
- * - support for custom events is fairly limited. Only the "on" properties
- * are supported to attach to events on exposed objects, no way to use
- * "addEventListener" for the time being.
- * - the code does not properly handle cases where the receiver calls
- *  "connection.close()".
+ * - events are dispatched by a minimal EventTarget implementation. Exposed
+ * objects support both "on" properties and "addEventListener", but events do
+ * not bubble and cannot be cancelled.
  *
  * The code below is divided in 2 parts:
  *  a) a few helper functions and the definition of base classes to be used
@@ -43,15 +41,28 @@
  * not used here not to introduce dependencies to some module loader library.
  */
 (function () {
+  /**********************************************************************
+  Polyfill settings, changed at runtime through
+  navigator.w3cPresentation.configure(). See "configure" for details.
+  **********************************************************************/
+  var settings = {
+    logLevel: null,
+    mechanismOrder: [],
+    mechanisms: {}
+  };
+
+
   /**********************************************************************
   Simple console logger to help with debugging. Caller may change logging
-  level by setting navigator.presentationLogLevel to one of "log", "info",
-  "warn", "error" or "none" (or null which also means "none").
+  level by setting the "logLevel" setting to one of "log", "info", "warn",
+  "error" or "none" (or null which also means "none").
 
-  Note this should be done before that shim is loaded!
+  For backward compatibility, the level may also be set through
+  navigator.presentationLogLevel before that shim is loaded.
   **********************************************************************/
   var log = function () {
-    var presentationLogLevel = navigator.presentationLogLevel || 'none';
+    var presentationLogLevel = settings.logLevel ||
+      navigator.presentationLogLevel || 'none';
     if ((presentationLogLevel === 'none') || (arguments.length === 0)) {
       return;
     }
@@ -91,6 +102,43 @@
   };
 
 
+  /**********************************************************************
+  Generate a random presentation identifier (a version 4 UUID)
+
+  The function uses the Web Crypto API when available. Identifiers are
+  generated with Math.random otherwise, which is not cryptographically
+  secure but still makes collisions unlikely.
+  **********************************************************************/
+  var generatePresentationId = function () {
+    var cryptoObj = window.crypto || window.msCrypto;
+    if (cryptoObj && cryptoObj.randomUUID) {
+      return cryptoObj.randomUUID();
+    }
+
+    var bytes = new Uint8Array(16);
+    if (cryptoObj && cryptoObj.getRandomValues) {
+      cryptoObj.getRandomValues(bytes);
+    }
+    else {
+      log('warn', 'Web Crypto API not available, using Math.random');
+      for (var i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(Math.random() * 256);
+      }
+    }
+
+    // Set the version (4) and variant (10xx) bits
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    var hex = Array.prototype.map.call(bytes, function (b) {
+      return (b < 16 ? '0' : '') + b.toString(16);
+    }).join('');
+    return hex.substring(0, 8) + '-' + hex.substring(8, 12) + '-' +
+      hex.substring(12, 16) + '-' + hex.substring(16, 20) + '-' +
+      hex.substring(20);
+  };
+
+
   /**********************************************************************
   Shim for DOMExceptions (cannot be instantiated in most browsers for
   the time being)
@@ -101,537 +149,2610 @@
   };
 
 
-
-
   /**********************************************************************
-  Global sets of objects that the User Agent must keep track of
+  Shim for Event and EventTarget (EventTarget cannot be inherited from
+  in most browsers for the time being)
   **********************************************************************/
+
   /**
-   * The list of presentation API mechanisms that may be used to connect
-   * to a second screen
+   * Simple event with the basic attributes of the Event interface
    *
-   * @type {Array(PresentationMechanism)}
+   * @constructor
+   * @private
+   * @param {String} type The event type, e.g. "statechange"
    */
-  var registeredMechanisms = [];
+  var _Event = function (type) {
+    var that = this;
+
+    this.type = type;
+    this.target = null;
+    this.currentTarget = null;
+    this.timeStamp = Date.now();
+    this.bubbles = false;
+    this.cancelable = false;
+    this.defaultPrevented = false;
+
+    /**
+     * Whether the remaining listeners should be skipped. Set by
+     * "stopImmediatePropagation".
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._stopped = false;
+
+    this.preventDefault = function () {};
+    this.stopPropagation = function () {};
+    this.stopImmediatePropagation = function () {
+      that._stopped = true;
+    };
+  };
 
 
   /**
-   * Register a new presentation API mechanism
+   * Event fired when a message is received
    *
-   * @function
+   * @constructor
    * @private
-   * @param {PresentationMechanism} mechanism The mechanism to register
+   * @inherits {_Event}
+   * @param {String} type The event type, typically "message"
+   * @param {data:*} eventInitDict The message data
    */
-  var registerPresentationMechanism = function (mechanism) {
-    registeredMechanisms.push(mechanism);
+  var _MessageEvent = function (type, eventInitDict) {
+    _Event.call(this, type);
+    eventInitDict = eventInitDict || {};
+    this.data = eventInitDict.data;
   };
 
 
-
-
-  /**********************************************************************
-  DataChannel / RemoteController / RemoteDisplay internal interfaces
-  **********************************************************************/
-
   /**
-   * Base class for objects that can send and receive messages
+   * Base class for objects that may dispatch events
+   *
+   * Listeners attached with "addEventListener" are called in order, followed
+   * by the "on" + type event handler property of the object, if defined.
+   *
+   * Interfaces that need to dispatch events must call this constructor on
+   * their instances.
    *
    * @constructor
    * @private
+   * @param {function} onlistenerschange Optional function called with the
+   *  event type whenever a listener is attached or detached
    */
-  var DataChannel = function () {
+  var _EventTarget = function (onlistenerschange) {
     var that = this;
 
     /**
-     * The current connection state
+     * Lists of listeners per event type
      *
-     * @type {String}
+     * @type {Object}
+     * @private
      */
-    this.state = 'closed';
-
+    var listeners = {};
 
     /**
-     * Sends a message through the communication channel.
+     * Attach an event listener for the given event type
      *
      * @function
-     * @param {*} message
+     * @param {String} type The event type
+     * @param {function|Object} listener The function or object with a
+     *  "handleEvent" method to call when the event is dispatched
      */
-    this.send = function (message) {
-      if (that.state !== 'connected') {
-        throw new _DOMException('InvalidStateError');
+    this.addEventListener = function (type, listener) {
+      if (!listener) {
+        return;
+      }
+      listeners[type] = listeners[type] || [];
+      if (listeners[type].indexOf(listener) === -1) {
+        listeners[type].push(listener);
+        if (onlistenerschange) {
+          onlistenerschange(type);
+        }
       }
     };
 
-
-    /**
-     * Event handler called when a message is received on the communication
-     * channel.
-     *
-     * @type {EventHandler}
-     */
-    this.onmessage = null;
-
-
     /**
-     * Close the communication channel
+     * Detach an event listener
      *
      * @function
+     * @param {String} type The event type
+     * @param {function|Object} listener The listener to detach
      */
-    this.close = function () {
-      if (that.state !== 'connected') {
+    this.removeEventListener = function (type, listener) {
+      if (!listeners[type]) {
         return;
       }
-      that.state = 'closed';
-      if (that.onstatechange) {
-        that.onstatechange();
+      var idx = listeners[type].indexOf(listener);
+      if (idx !== -1) {
+        listeners[type].splice(idx, 1);
+        if (onlistenerschange) {
+          onlistenerschange(type);
+        }
       }
     };
-  };
 
-
-  /**
-   * A remote controller represents a controlling browsing context as seen
-   * from the receiving browsing context.
-   *
-   * This base class is an empty shell. Presentation mechanisms should provide
-   * their own RemoteController interface that inherits from this one and
-   * retrieves the right data channel.
-   *
-   * @constructor
-   * @private
-   * @param {String} name A human-friendly name to identify the context
-   */
-  var RemoteController = function () {
     /**
-     * The underlying data channel used to communicate with the display
+     * Non-standard method that tells whether listeners are attached for the
+     * given event type, either through "addEventListener" or through the
+     * "on" + type event handler property.
      *
-     * @type {DataChannel}
+     * @function
      * @private
+     * @param {String} type The event type
+     * @return {boolean} true when at least one listener is attached
      */
-    var channel = null;
+    this._hasEventListeners = function (type) {
+      return (typeof that['on' + type] === 'function') ||
+        (!!listeners[type] && (listeners[type].length > 0));
+    };
 
     /**
-     * Retrieve the data channel with the remote browsing context
+     * Dispatch the given event to the listeners and to the event handler
      *
-     * Note the shim only calls that function once (or rather each time the
-     * data channel needs to be re-created), so no need to worry about
-     * returning the same Promise if the function is called multiple times.
+     * Errors thrown by listeners are logged and do not prevent the other
+     * listeners from running.
      *
      * @function
-     * @return {Promise<DataChannel>} The promise to get a data communication
-     * channel ready for exchanging messages with the remote controller
+     * @param {_Event} event The event to dispatch
+     * @return {boolean} Always true as events cannot be cancelled
      */
-    this.createDataChannel = function () {
-      return new Promise(function (resolve, reject) {
-        if (!channel) {
-          channel = new DataChannel();
-          channel.state = 'connected';
+    this.dispatchEvent = function (event) {
+      var handler = that['on' + event.type];
+      var callbacks = (listeners[event.type] || []).slice();
+      if (typeof handler === 'function') {
+        callbacks.push(handler);
+      }
+
+      event.target = that;
+      event.currentTarget = that;
+      callbacks.forEach(function (callback) {
+        if (event._stopped) {
+          return;
+        }
+        try {
+          if (typeof callback === 'function') {
+            callback.call(that, event);
+          }
+          else if (callback && (typeof callback.handleEvent === 'function')) {
+            callback.handleEvent(event);
+          }
+        }
+        catch (err) {
+          log('error', 'uncaught error in "' + event.type + '" listener', err);
         }
-        resolve(channel);
       });
+      event.currentTarget = null;
+      return true;
     };
   };
 
 
+
+
+  /**********************************************************************
+  Helper functions to handle binary messages
+
+  Channels that can only carry strings transport binary messages as
+  base64-encoded strings prefixed with "\u0000b". Strings that start with
+  "\u0000" are escaped with a "\u0000s" prefix so that they cannot be
+  mistaken for binary messages. Other messages are left untouched.
+  **********************************************************************/
+
+  /**
+   * Whether the given message is a Blob
+   *
+   * @function
+   * @private
+   * @param {*} message
+   * @return {boolean}
+   */
+  var isBlob = function (message) {
+    return (typeof Blob !== 'undefined') && (message instanceof Blob);
+  };
+
+
   /**
-   * Represents a display (or a class of displays in this implementation) as
-   * seen from the controlling browsing context. The display may be navigated
-   * to a given URL, in which case it can also be used to send messages to the
-   * receiving browsing context or receive messages from it.
+   * Convert ArrayBuffer views such as typed arrays to an ArrayBuffer that
+   * only contains the viewed bytes. Other messages are returned as-is.
    *
-   * @constructor
+   * @function
    * @private
-   * @param {String} name A human-friendly name to identify the context
+   * @param {*} message
+   * @return {*} The message, converted to an ArrayBuffer for views
    */
-  var Display = function (name) {
-    /**
-     * A human-friendly name for the display
-     *
-     * @type {String}
-     */
-    this.name = name;
+  var toArrayBuffer = function (message) {
+    if (ArrayBuffer.isView(message)) {
+      return message.buffer.slice(message.byteOffset,
+        message.byteOffset + message.byteLength);
+    }
+    return message;
+  };
 
 
-    /**
-     * Navigate the display to the given URL, thus creating a receiving
-     * browsing context.
-     *
-     * @function
-     * @param {String} url The URL to navigate to
-     * @return {Promise} The promise to have navigated to the given URL. The
-     * promise is rejected with a DOMException named "OperationError"
-     */
-    this.navigate = function (url) {
-      return new Promise(function (resolve, reject) {
-        reject(new _DOMException('OperationError'));
-      });
-    };
+  /**
+   * Read the contents of a Blob
+   *
+   * @function
+   * @private
+   * @param {Blob} blob
+   * @return {Promise<ArrayBuffer>} The promise to get the contents of the
+   *  Blob
+   */
+  var readBlob = function (blob) {
+    if (blob.arrayBuffer) {
+      return blob.arrayBuffer();
+    }
+    return new Promise(function (resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function () {
+        resolve(reader.result);
+      };
+      reader.onerror = function () {
+        reject(reader.error);
+      };
+      reader.readAsArrayBuffer(blob);
+    });
+  };
 
 
-    /**
-     * Create a data channel with the remote browsing context
-     *
-     * Note the shim only calls that function once (or rather each time the
-     * data channel needs to be re-created), so no need to worry about
-     * returning the same Promise if the function is called multiple times.
-     *
-     * @function
-     * @return {Promise<DataChannel>} The promise to get a data communication
-     * channel ready for exchanging messages with the remote controller
-     */
-    this.createDataChannel = function () {
-      return new Promise(function (resolve, reject) {
-        if (!channel) {
-          channel = new DataChannel();
-          channel.state = 'connected';
-        }
-        resolve(channel);
-      });
-    };
+  /**
+   * Encode a message so that it may be sent on a channel that can only
+   * carry strings
+   *
+   * @function
+   * @private
+   * @param {*} message The message to encode
+   * @return {*} The encoded message
+   */
+  var encodeMessage = function (message) {
+    if (message instanceof ArrayBuffer) {
+      var bytes = new Uint8Array(message);
+      var binary = '';
+      var chunkSize = 0x8000;
+      for (var i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null,
+          bytes.subarray(i, i + chunkSize));
+      }
+      return '\u0000b' + btoa(binary);
+    }
+    if ((typeof message === 'string') && (message.charAt(0) === '\u0000')) {
+      return '\u0000s' + message;
+    }
+    return message;
+  };
 
 
-    /**
-     * Terminates the presentation with the display
-     */
-    this.terminate = function () {};
+  /**
+   * Decode a message received on a channel that can only carry strings
+   *
+   * @function
+   * @private
+   * @param {*} message The message to decode
+   * @return {*} The decoded message, an ArrayBuffer for binary messages
+   */
+  var decodeMessage = function (message) {
+    if ((typeof message !== 'string') || (message.charAt(0) !== '\u0000')) {
+      return message;
+    }
+    if (message.charAt(1) === 's') {
+      return message.substring(2);
+    }
+    var binary = atob(message.substring(2));
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+  };
+
+
+  /**
+   * Compute the number of bytes of a message, as counted in the
+   * "bufferedAmount" of a presentation connection
+   *
+   * @function
+   * @private
+   * @param {String|ArrayBuffer|ArrayBufferView|Blob} message
+   * @return {Number} The size of the message in bytes
+   */
+  var getMessageSize = function (message) {
+    if (typeof message === 'string') {
+      // Length of the UTF-8 representation of the string
+      return unescape(encodeURIComponent(message)).length;
+    }
+    if (isBlob(message)) {
+      return message.size;
+    }
+    return message.byteLength || 0;
   };
 
 
 
 
   /**********************************************************************
-  PresentationMechanism internal interface
+  Global sets of objects that the User Agent must keep track of
   **********************************************************************/
+  /**
+   * The list of presentation API mechanisms that may be used to connect
+   * to a second screen
+   *
+   * @type {Array(PresentationMechanism)}
+   */
+  var registeredMechanisms = [];
+
 
   /**
-   * Exposes a mechanism to detect, connect and control a second screen
+   * Apply the settings of the given mechanism, as set through "configure".
    *
-   * Concrete mechanisms must inherit from this base class.
+   * Settings are applied to the mechanism properties of the same name.
+   * Unknown settings and settings that would override a function are
+   * ignored.
    *
-   * @constructor
+   * @function
    * @private
+   * @param {PresentationMechanism} mechanism The mechanism to configure
    */
-  var PresentationMechanism = function () {
-    /**
-     * Some friendly name for the mechanism, mostly for logging purpose
-     *
-     * To be set in derivated classes.
-     *
-     * @type {String}
-     */
-    this.name = 'default presentation mechanism';
+  var applyMechanismSettings = function (mechanism) {
+    var mechanismSettings = settings.mechanisms[mechanism.id];
+    if (!mechanismSettings) {
+      return;
+    }
+    var wasEnabled = mechanism.enabled;
+    Object.keys(mechanismSettings).forEach(function (key) {
+      if (!(key in mechanism) || (typeof mechanism[key] === 'function')) {
+        log('warn', 'unknown setting for ' + mechanism.name, key);
+        return;
+      }
+      mechanism[key] = mechanismSettings[key];
+    });
+    if (!wasEnabled && mechanism.enabled) {
+      runMechanismHook(mechanism, 'resume');
+    }
+    else if (wasEnabled && !mechanism.enabled) {
+      runMechanismHook(mechanism, 'suspend');
+    }
+  };
 
 
-    /**
+  /**
+   * Run a lifecycle hook of the given mechanism, reporting errors that the
+   * hook may throw without propagating them.
+   *
+   * @function
+   * @private
+   * @param {PresentationMechanism} mechanism The mechanism
+   * @param {String} hook The name of the hook, "suspend", "resume" or
+   *   "release"
+   */
+  var runMechanismHook = function (mechanism, hook) {
+    log('info', hook + ' ' + mechanism.name);
+    try {
+      mechanism[hook]();
+    }
+    catch (err) {
+      log('error', 'could not ' + hook + ' ' + mechanism.name, err);
+    }
+  };
+
+
+  /**
+   * Find the registered mechanism that has the given identifier
+   *
+   * @function
+   * @private
+   * @param {String} id The identifier of the mechanism
+   * @return {PresentationMechanism} The mechanism
+   * @throws {DOMException} NotFoundError when no registered mechanism has
+   *   that identifier
+   */
+  var getRegisteredMechanism = function (id) {
+    var mechanism = null;
+    registeredMechanisms.some(function (m) {
+      if (m.id === id) {
+        mechanism = m;
+        return true;
+      }
+      return false;
+    });
+    if (!mechanism) {
+      throw new _DOMException('NotFoundError',
+        'No registered presentation mechanism with identifier ' + id);
+    }
+    return mechanism;
+  };
+
+
+  /**
+   * Register a new presentation API mechanism
+   *
+   * @function
+   * @private
+   * @param {PresentationMechanism} mechanism The mechanism to register
+   */
+  var registerPresentationMechanism = function (mechanism) {
+    if (mechanism.id && registeredMechanisms.some(function (m) {
+          return (m.id === mechanism.id);
+        })) {
+      log('warn', 'replace registered mechanism with identifier', mechanism.id);
+      unregisterMechanism(mechanism.id);
+    }
+    applyMechanismSettings(mechanism);
+    registeredMechanisms.push(mechanism);
+  };
+
+
+  /**
+   * Return the list of registered mechanisms, in the order set by the
+   * "mechanismOrder" setting. Mechanisms that do not appear in that setting
+   * come afterwards, in registration order.
+   *
+   * @function
+   * @private
+   * @return {Array(PresentationMechanism)} The ordered list of mechanisms
+   */
+  var getOrderedMechanisms = function () {
+    var rank = function (mechanism) {
+      var idx = settings.mechanismOrder.indexOf(mechanism.id);
+      return (idx === -1) ? settings.mechanismOrder.length : idx;
+    };
+    return registeredMechanisms
+      .map(function (mechanism, idx) {
+        return { mechanism: mechanism, rank: rank(mechanism), idx: idx };
+      })
+      .sort(function (a, b) {
+        return (a.rank - b.rank) || (a.idx - b.idx);
+      })
+      .map(function (item) {
+        return item.mechanism;
+      });
+  };
+
+
+  /**
+   * Initialization promises of mechanisms, indexed by position in the list
+   * of registered mechanisms
+   */
+  var mechanismInitializations = [];
+
+
+  /**
+   * Initialize the given mechanism, unless that was already done.
+   *
+   * The mechanism is considered not initialized if its initialization does
+   * not complete within its "discoveryTimeout". The initialization is not
+   * started again in that case, but subsequent calls will see the mechanism
+   * as initialized once it eventually is.
+   *
+   * @function
+   * @private
+   * @param {PresentationMechanism} mechanism The mechanism to initialize
+   * @return {Promise<boolean>} The promise to know whether the mechanism
+   *   could be initialized. The promise is never rejected.
+   */
+  var initializeMechanism = function (mechanism) {
+    var idx = registeredMechanisms.indexOf(mechanism);
+    var initialization = (idx !== -1) ? mechanismInitializations[idx] : null;
+    if (!initialization) {
+      initialization = new Promise(function (resolve, reject) {
+        log('initialize ' + mechanism.name);
+        resolve(mechanism.initialize());
+      }).then(function () {
+        log('info', mechanism.name + ' initialized');
+        return true;
+      }, function (err) {
+        log('error', 'could not initialize ' + mechanism.name, err);
+        return false;
+      });
+      if (idx !== -1) {
+        mechanismInitializations[idx] = initialization;
+      }
+    }
+
+    return new Promise(function (resolve, reject) {
+      var timeout = setTimeout(function () {
+        log('warn', mechanism.name + ' did not initialize in time');
+        resolve(false);
+      }, mechanism.discoveryTimeout);
+      initialization.then(function (initialized) {
+        clearTimeout(timeout);
+        resolve(initialized);
+      });
+    });
+  };
+
+
+  /**
+   * Initialize enabled mechanisms. The function is called when the
+   * application first needs displays, so that mechanisms do not do anything
+   * on pages that never present.
+   *
+   * Mechanisms are only initialized once, but the returned promise covers
+   * the mechanisms that are enabled when the function is called, including
+   * those registered or enabled since a previous call.
+   *
+   * @function
+   * @private
+   * @return {Promise} The promise that all enabled mechanisms are
+   *   initialized or timed out. The promise is never rejected.
+   */
+  var initializeMechanisms = function () {
+    return Promise.all(getEnabledMechanisms().map(initializeMechanism))
+      .then(function () {});
+  };
+
+
+  /**
+   * Return the list of enabled mechanisms, in the order set by the
+   * "mechanismOrder" setting.
+   *
+   * @function
+   * @private
+   * @return {Array(PresentationMechanism)} The list of enabled mechanisms
+   */
+  var getEnabledMechanisms = function () {
+    return getOrderedMechanisms().filter(function (mechanism) {
+      return mechanism.enabled;
+    });
+  };
+
+
+  /**
+   * Update the settings of the polyfill. The function may be called at any
+   * time, settings apply to subsequent operations.
+   *
+   * Recognized settings are:
+   * - "logLevel": one of "log", "info", "warn", "error" or "none"
+   * - "mechanismOrder": the list of mechanism identifiers (e.g. "cast",
+   * "dial", "native", "physicalweb", "qrcode", "window") in order of
+   * preference. Displays are reported in that order.
+   * - "mechanisms": settings of each mechanism, indexed by mechanism
+   * identifier. All mechanisms understand "enabled" and "discoveryTimeout"
+   * (in milliseconds). Some mechanisms have additional settings, such as
+   * "proxyUrl" and "proxyTimeout" for the DIAL and Physical Web mechanisms.
+   *
+   * Settings that are not given are left unchanged.
+   *
+   * @function
+   * @param {Object} options The settings to update
+   * @return {Object} The resulting settings
+   */
+  var configure = function (options) {
+    options = options || {};
+    if (options.logLevel !== undefined) {
+      settings.logLevel = options.logLevel;
+    }
+    if (options.mechanismOrder !== undefined) {
+      settings.mechanismOrder = (options.mechanismOrder || []).slice();
+    }
+    if (options.mechanisms) {
+      Object.keys(options.mechanisms).forEach(function (id) {
+        var mechanismSettings = settings.mechanisms[id] || {};
+        var updates = options.mechanisms[id] || {};
+        Object.keys(updates).forEach(function (key) {
+          mechanismSettings[key] = updates[key];
+        });
+        settings.mechanisms[id] = mechanismSettings;
+      });
+      registeredMechanisms.forEach(function (mechanism) {
+        if (options.mechanisms[mechanism.id]) {
+          applyMechanismSettings(mechanism);
+        }
+      });
+    }
+    return JSON.parse(JSON.stringify(settings));
+  };
+
+
+  /**
+   * Return a description of the registered mechanisms, in order of
+   * preference. Each item has the "id", "name", "enabled" and
+   * "capabilities" properties of the mechanism.
+   *
+   * @function
+   * @return {Array(Object)} The list of registered mechanisms
+   */
+  var getMechanisms = function () {
+    return getOrderedMechanisms().map(function (mechanism) {
+      return {
+        id: mechanism.id,
+        name: mechanism.name,
+        enabled: !!mechanism.enabled,
+        capabilities: JSON.parse(JSON.stringify(mechanism.capabilities))
+      };
+    });
+  };
+
+
+  /**
+   * Enable the registered mechanism that has the given identifier. The
+   * setting is recorded so that it also applies if a mechanism with the same
+   * identifier gets registered afterwards.
+   *
+   * @function
+   * @param {String} id The identifier of the mechanism
+   */
+  var enableMechanism = function (id) {
+    getRegisteredMechanism(id);
+    var options = { mechanisms: {} };
+    options.mechanisms[id] = { enabled: true };
+    configure(options);
+  };
+
+
+  /**
+   * Disable the registered mechanism that has the given identifier. Disabled
+   * mechanisms no longer report displays. Presentations that were started
+   * with the mechanism keep running.
+   *
+   * @function
+   * @param {String} id The identifier of the mechanism
+   */
+  var disableMechanism = function (id) {
+    getRegisteredMechanism(id);
+    var options = { mechanisms: {} };
+    options.mechanisms[id] = { enabled: false };
+    configure(options);
+  };
+
+
+  /**
+   * Unregister the mechanism that has the given identifier. The mechanism is
+   * suspended if it was enabled, and then released so that it frees the
+   * resources it holds.
+   *
+   * @function
+   * @param {String} id The identifier of the mechanism
+   */
+  var unregisterMechanism = function (id) {
+    var mechanism = getRegisteredMechanism(id);
+    var idx = registeredMechanisms.indexOf(mechanism);
+    registeredMechanisms.splice(idx, 1);
+    mechanismInitializations.splice(idx, 1);
+    if (mechanism.enabled) {
+      runMechanismHook(mechanism, 'suspend');
+    }
+    runMechanismHook(mechanism, 'release');
+  };
+
+
+  /**
+   * Set the order of preference of mechanisms. Shortcut for the
+   * "mechanismOrder" setting of "configure".
+   *
+   * @function
+   * @param {Array(String)} ids The list of mechanism identifiers, in order
+   *   of preference
+   */
+  var setMechanismOrder = function (ids) {
+    configure({ mechanismOrder: ids });
+  };
+
+
+
+
+  /**********************************************************************
+  DataChannel / RemoteController / RemoteDisplay internal interfaces
+  **********************************************************************/
+
+  /**
+   * Base class for objects that can send and receive messages
+   *
+   * @constructor
+   * @private
+   */
+  var DataChannel = function () {
+    var that = this;
+
+    /**
+     * The current connection state, one of "connected", "closed" or
+     * "terminated".
+     *
+     * Mechanisms should set the state to "terminated" when the remote peer
+     * tells them that it terminated the presentation.
+     *
+     * @type {String}
+     */
+    this.state = 'closed';
+
+
+    /**
+     * The reason why the channel was closed, one of "closed" (closed on
+     * purpose by one of the peers), "wentaway" (the remote browsing context
+     * went away) or "error" (unrecoverable error).
+     *
+     * Mechanisms should set that property before they change the state to
+     * "closed". The reason defaults to "closed".
+     *
+     * @type {String}
+     */
+    this.closeReason = null;
+
+
+    /**
+     * Human-readable message that describes why the channel was closed
+     *
+     * @type {String}
+     */
+    this.closeMessage = '';
+
+
+    /**
+     * Whether the channel can carry ArrayBuffer messages. When it cannot,
+     * binary messages are transparently encoded as strings.
+     *
+     * @type {boolean}
+     */
+    this.supportsBinary = false;
+
+
+    /**
+     * Sends a message through the communication channel.
+     *
+     * Channels that cannot transfer objects ignore the "transfer" parameter,
+     * the objects are copied in that case.
+     *
+     * @function
+     * @param {*} message
+     * @param {Array} transfer Optional list of transferable objects
+     */
+    this.send = function (message, transfer) {
+      if (that.state !== 'connected') {
+        throw new _DOMException('InvalidStateError');
+      }
+    };
+
+
+    /**
+     * Event handler called when a message is received on the communication
+     * channel.
+     *
+     * @type {EventHandler}
+     */
+    this.onmessage = null;
+
+
+    /**
+     * Close the communication channel.
+     *
+     * Mechanisms should tell the remote peer that the channel was closed on
+     * purpose, so that it may close its end of the channel with a "closed"
+     * reason as well.
+     *
+     * @function
+     */
+    this.close = function () {
+      if (that.state !== 'connected') {
+        return;
+      }
+      that.state = 'closed';
+      if (that.onstatechange) {
+        that.onstatechange();
+      }
+    };
+  };
+
+
+  /**
+   * A remote controller represents a controlling browsing context as seen
+   * from the receiving browsing context.
+   *
+   * This base class is an empty shell. Presentation mechanisms should provide
+   * their own RemoteController interface that inherits from this one and
+   * retrieves the right data channel.
+   *
+   * @constructor
+   * @private
+   * @param {String} name A human-friendly name to identify the context
+   */
+  var RemoteController = function () {
+    /**
+     * The underlying data channel used to communicate with the display
+     *
+     * @type {DataChannel}
+     * @private
+     */
+    var channel = null;
+
+    /**
+     * The identifier of the presentation, as set by the controlling side.
+     *
+     * Mechanisms should set that property when they know the identifier that
+     * the controlling side generated so that both sides use the same
+     * presentation identifier. A new identifier is generated otherwise.
+     *
+     * @type {String}
+     */
+    this.presentationId = null;
+
+    /**
+     * Retrieve the data channel with the remote browsing context
+     *
+     * Note the shim only calls that function once (or rather each time the
+     * data channel needs to be re-created), so no need to worry about
+     * returning the same Promise if the function is called multiple times.
+     *
+     * @function
+     * @return {Promise<DataChannel>} The promise to get a data communication
+     * channel ready for exchanging messages with the remote controller
+     */
+    this.createDataChannel = function () {
+      return new Promise(function (resolve, reject) {
+        if (!channel) {
+          channel = new DataChannel();
+          channel.state = 'connected';
+        }
+        resolve(channel);
+      });
+    };
+
+
+    /**
+     * Terminate the presentation from the receiving side.
+     *
+     * Mechanisms should tell the controlling side that the presentation was
+     * terminated, so that it may move its presentation connection to the
+     * "terminated" state, and close the receiving browsing context
+     * afterwards.
+     *
+     * @function
+     */
+    this.terminate = function () {
+      log('info', 'presentation mechanism cannot notify controlling side ' +
+        'about presentation termination');
+    };
+  };
+
+
+  /**
+   * Represents a display (or a class of displays in this implementation) as
+   * seen from the controlling browsing context. The display may be navigated
+   * to a given URL, in which case it can also be used to send messages to the
+   * receiving browsing context or receive messages from it.
+   *
+   * @constructor
+   * @private
+   * @param {String} name A human-friendly name to identify the context
+   */
+  var Display = function (name) {
+    /**
+     * A human-friendly name for the display
+     *
+     * @type {String}
+     */
+    this.name = name;
+
+
+    /**
+     * Capabilities of the display that differ from those of its mechanism,
+     * e.g. { binary: false }, or null if the display has the capabilities of
+     * its mechanism.
+     *
+     * The core replaces that property with the complete list of capabilities
+     * of the display when the mechanism reports it as available.
+     *
+     * @type {Object}
+     */
+    this.capabilities = null;
+
+
+    /**
+     * Navigate the display to the given URL, thus creating a receiving
+     * browsing context.
+     *
+     * Mechanisms should pass the presentation identifier over to the receiving
+     * side when they can. Mechanisms that have to use an identifier of their
+     * own (e.g. a session ID created by the device) may resolve the promise
+     * with that identifier, which then replaces the given one.
+     *
+     * @function
+     * @param {String} url The URL to navigate to
+     * @param {String} presentationId The identifier of the presentation
+     * @return {Promise<String>} The promise to have navigated to the given URL.
+     * The promise is rejected with a DOMException named "OperationError"
+     */
+    this.navigate = function (url, presentationId) {
+      return new Promise(function (resolve, reject) {
+        reject(new _DOMException('OperationError'));
+      });
+    };
+
+
+    /**
+     * Create a data channel with the remote browsing context
+     *
+     * Note the shim only calls that function once (or rather each time the
+     * data channel needs to be re-created), so no need to worry about
+     * returning the same Promise if the function is called multiple times.
+     *
+     * @function
+     * @return {Promise<DataChannel>} The promise to get a data communication
+     * channel ready for exchanging messages with the remote controller
+     */
+    this.createDataChannel = function () {
+      return new Promise(function (resolve, reject) {
+        if (!channel) {
+          channel = new DataChannel();
+          channel.state = 'connected';
+        }
+        resolve(channel);
+      });
+    };
+
+
+    /**
+     * Whether the display can present the given URL
+     *
+     * Displays that can only render specific receiver applications (e.g. a
+     * registered Cast application) should override this method.
+     *
+     * @function
+     * @param {String} url The URL to present
+     * @return {boolean} true if the display can be navigated to the URL
+     */
+    this.canPresent = function (url) {
+      return true;
+    };
+
+
+    /**
+     * Return the data that the mechanism needs to re-attach to the
+     * presentation running on the display, e.g. after a reload of the
+     * controlling page. The data must be serializable in JSON.
+     *
+     * Presentations are only persisted when that function returns some data.
+     *
+     * @function
+     * @return {Object} The data to persist, null if the mechanism cannot
+     *  re-attach to the presentation
+     */
+    this.getReconnectData = function () {
+      return null;
+    };
+
+
+    /**
+     * Terminates the presentation with the display
+     */
+    this.terminate = function () {};
+  };
+
+
+
+
+  /**********************************************************************
+  PresentationMechanism internal interface
+  **********************************************************************/
+
+  /**
+   * Exposes a mechanism to detect, connect and control a second screen
+   *
+   * Concrete mechanisms must inherit from this base class.
+   *
+   * @constructor
+   * @private
+   */
+  var PresentationMechanism = function () {
+    /**
+     * Some friendly name for the mechanism, mostly for logging purpose
+     *
+     * To be set in derivated classes.
+     *
+     * @type {String}
+     */
+    this.name = 'default presentation mechanism';
+
+
+    /**
+     * Short identifier of the mechanism, used to refer to the mechanism in
+     * the polyfill settings
+     *
+     * To be set in derivated classes.
+     *
+     * @type {String}
+     */
+    this.id = null;
+
+
+    /**
+     * Whether the mechanism is enabled. Disabled mechanisms do not report
+     * displays and do not monitor incoming controllers.
+     *
+     * @type {boolean}
+     */
+    this.enabled = true;
+
+
+    /**
+     * Maximum time, in milliseconds, that the mechanism may take to report
+     * available displays. Displays reported after that delay are ignored.
+     *
+     * Derivated classes that rely on slow discovery protocols may increase
+     * that value.
+     *
+     * @type {Number}
+     */
+    this.discoveryTimeout = 2000;
+
+
+    /**
+     * Capabilities of the displays that the mechanism reports, see
+     * "capabilityLabels" for the list of capabilities. Displays may
+     * override some of them.
+     *
+     * Derivated classes should set the capabilities they support.
+     *
+     * @type {Object}
+     */
+    this.capabilities = {
+      messaging: false,
+      reconnect: false,
+      terminate: false,
+      binary: false,
+      multipleControllers: false,
+      launchConfirmation: false
+    };
+
+
+    /**
      * Compute the list of available presentation displays that the user may
      * select to launch a presentation.
      *
      * @function
-     * @param {String} url The URL that is to be displayed
-     * @param {Object} options Presentation options such as the possibility to
-     *   include displays and/or mechanisms for which communication channels are
-     *   not available.
-     * @return {Promise<Array(Display)} The promise to get the current list of
-     * available presentation displays
+     * @param {Array(String)} urls The list of URLs that may be displayed, in
+     *   order of preference
+     * @param {Object} options Presentation options such as the possibility to
+     *   include displays and/or mechanisms for which communication channels are
+     *   not available.
+     * @return {Promise<Array(Display)} The promise to get the current list of
+     * available presentation displays
+     */
+    this.getAvailableDisplays = function (urls, options) {
+      return new Promise(function (resolve, reject) {
+        resolve([]);
+      });
+    };
+
+
+    /**
+     * Whether the given display, reported by this mechanism, can present the
+     * given URL.
+     *
+     * The default implementation defers to the display. Mechanisms may
+     * override that method to apply mechanism-wide restrictions.
+     *
+     * @function
+     * @param {Display} display The display to check
+     * @param {String} url The URL that is to be displayed
+     * @return {boolean} true if the display is compatible with the URL
+     */
+    this.canPresent = function (display, url) {
+      return display.canPresent(url);
+    };
+
+
+    /**
+     * Select the URL that the given display should present among the list of
+     * URLs of a presentation request.
+     *
+     * The default implementation picks the first URL that the display can
+     * present.
+     *
+     * @function
+     * @param {Display} display The display to check
+     * @param {Array(String)} urls The list of presentation request URLs, in
+     *   order of preference
+     * @return {String} The URL to present, null if the display cannot present
+     *   any of the URLs
+     */
+    this.selectUrl = function (display, urls) {
+      var that = this;
+      var selectedUrl = null;
+      urls.some(function (url) {
+        if (that.canPresent(display, url)) {
+          selectedUrl = url;
+          return true;
+        }
+        return false;
+      });
+      return selectedUrl;
+    };
+
+
+    /**
+     * Re-attach to a presentation that was started from a previous
+     * controlling browsing context, e.g. before the controlling page was
+     * reloaded.
+     *
+     * @function
+     * @param {Object} data The data returned by the display's
+     *   "getReconnectData" function when the presentation was started
+     * @param {String} url The URL of the presentation
+     * @param {String} presentationId The identifier of the presentation
+     * @return {Promise<Display>} The promise to get the display that runs the
+     *   presentation. The promise is rejected with a DOMException named
+     *   "NotFoundError" if the presentation is no longer running.
+     */
+    this.reconnectDisplay = function (data, url, presentationId) {
+      return new Promise(function (resolve, reject) {
+        reject(new _DOMException('NotFoundError'));
+      });
+    };
+
+
+    /**
+     * Start to monitor incoming presentation connections if code runs on the
+     * receiving side.
+     *
+     * The function should not do anything if the code is not running on the
+     * receiving side.
+     *
+     * @function
+     */
+    this.monitorIncomingControllers = function () {
+      queueTask(function () {
+      });
+    };
+
+
+    /**
+     * Lifecycle hook called before the mechanism is first used to look for
+     * displays or to re-attach to a presentation.
+     *
+     * Mechanisms should defer costly operations such as probing of remote
+     * servers to that function, so that pages that never present do not pay
+     * for them. Displays are not requested until the returned promise is
+     * resolved. The mechanism is considered unavailable if the promise is
+     * rejected, or not resolved within the "discoveryTimeout".
+     *
+     * @function
+     * @return {Promise} The promise that the mechanism is initialized
+     */
+    this.initialize = function () {
+      return Promise.resolve();
+    };
+
+
+    /**
+     * Lifecycle hook called when the mechanism gets disabled.
+     *
+     * Mechanisms should stop background activities such as availability
+     * monitoring or probing of remote servers. Running presentations should
+     * not be affected.
+     *
+     * @function
+     */
+    this.suspend = function () {};
+
+
+    /**
+     * Lifecycle hook called when the mechanism gets enabled again after it
+     * was disabled.
+     *
+     * @function
+     */
+    this.resume = function () {};
+
+
+    /**
+     * Lifecycle hook called when the mechanism gets unregistered, after
+     * "suspend" if the mechanism was enabled. The mechanism should release
+     * all the resources it holds, including event listeners.
+     *
+     * @function
+     */
+    this.release = function () {};
+
+
+    /**
+     * Event handler called when an incoming controller is detected
+     *
+     * The "controller" attribute of the event that is given to the handler is set
+     * to the remote controller that connected to this browsing context
+     *
+     * @type {EventHandler}
+     */
+    this.onincomingcontroller = null; 
+  };
+
+
+  /**
+   * Human-friendly labels of the capabilities that mechanisms and displays
+   * may declare:
+   * - "messaging": a communication channel can be established with the
+   * receiving side
+   * - "reconnect": the presentation can be reconnected to, including after
+   * a reload of the controlling page
+   * - "terminate": the presentation can be terminated
+   * - "binary": binary messages are carried as is, instead of being encoded
+   * as strings
+   * - "multipleControllers": more than one controller may connect to the
+   * presentation
+   * - "launchConfirmation": the mechanism knows when the receiving side was
+   * actually launched
+   *
+   * @private
+   * @type {Object}
+   */
+  var capabilityLabels = {
+    messaging: 'Messaging',
+    reconnect: 'Reconnect',
+    terminate: 'Terminate',
+    binary: 'Binary messages',
+    multipleControllers: 'Multiple controllers',
+    launchConfirmation: 'Launch confirmation'
+  };
+
+
+  /**
+   * Compute the complete list of capabilities of a display, based on the
+   * capabilities of its mechanism and on those that the display overrides
+   *
+   * @function
+   * @private
+   * @param {Display} display The display, with its "mechanism" property set
+   * @return {Object} The capabilities of the display
+   */
+  var getDisplayCapabilities = function (display) {
+    var mechanismCapabilities = (display.mechanism &&
+      display.mechanism.capabilities) || {};
+    var displayCapabilities = display.capabilities || {};
+    var capabilities = {};
+    Object.keys(capabilityLabels).forEach(function (name) {
+      capabilities[name] = (name in displayCapabilities) ?
+        !!displayCapabilities[name] :
+        !!mechanismCapabilities[name];
+    });
+    return capabilities;
+  };
+
+
+
+
+  /**********************************************************************
+  PresentationConnectionCloseEvent interface
+  **********************************************************************/
+
+  /**
+   * Event fired when a presentation connection enters the "closed" state.
+   *
+   * @constructor
+   * @inherits {_Event}
+   * @param {String} type The event type, typically "close"
+   * @param {reason:String, message:String} eventInitDict The reason why the
+   * connection was closed ("error", "closed" or "wentaway") and a
+   * human-readable message
+   */
+  var PresentationConnectionCloseEvent = function (type, eventInitDict) {
+    _Event.call(this, type);
+    this.reason = eventInitDict.reason;
+    this.message = eventInitDict.message || '';
+  };
+
+
+
+
+  /**********************************************************************
+  PresentationConnection interface
+  **********************************************************************/
+
+  /**
+   * Implements the PresentationConnection interface that is merely a wrapper
+   * around a specified connection. 
+   *
+   * @constructor
+   * @param {RemoteController|Display} remotePeer An object that represents the
+   * remote peer with wich the presentation connection is associated.
+   */
+  var PresentationConnection = function (remotePeer) {
+    _EventTarget.call(this);
+    var that = this;
+
+    /**
+     * The presentation connection identifier
+     *
+     * @type {String}
+     */
+    this.id = null;
+
+    /**
+     * The URL of the presentation, among the URLs of the presentation
+     * request, that the remote peer actually presents
+     *
+     * @type {String}
+     */
+    this.url = null;
+
+    /**
+     * The current connection state, one of "connecting", "connected",
+     * "closed" or "terminated"
+     *
+     * @type {String}
+     */
+    this.state = 'closed';
+
+    /**
+     * Non-standard flag to buffer messages sent while the connection is in
+     * the "connecting" state. Buffered messages are sent as soon as the
+     * connection is connected, and dropped if it gets closed or terminated
+     * in the meantime. When the flag is false, calling "send" before the
+     * connection is connected throws an "InvalidStateError".
+     *
+     * @type {boolean}
+     */
+    this.bufferMessages = false;
+
+    /**
+     * The number of bytes of buffered messages that have not been sent yet
+     *
+     * @type {Number}
+     */
+    var bufferedAmount = 0;
+    Object.defineProperty(this, 'bufferedAmount', {
+      enumerable: true,
+      get: function () {
+        return bufferedAmount;
+      }
+    });
+
+    /**
+     * Event handler called when connection state changes
+     *
+     * @type {EventHandler}
+     */
+    this.onstatechange = null;
+
+    /**
+     * Event handler called when the connection enters the "connected" state
+     *
+     * @type {EventHandler}
+     */
+    this.onconnect = null;
+
+    /**
+     * Event handler called when the connection enters the "closed" state.
+     * The handler receives a PresentationConnectionCloseEvent.
+     *
+     * @type {EventHandler}
+     */
+    this.onclose = null;
+
+    /**
+     * Event handler called when the connection enters the "terminated" state
+     *
+     * @type {EventHandler}
+     */
+    this.onterminate = null;
+
+    /**
+     * Event handler called when a message is received on the communication
+     * channel.
+     *
+     * @type {EventHandler}
+     */
+    this.onmessage = null;
+
+    /**
+     * The type of binary messages that "message" events carry, either
+     * "arraybuffer" or "blob". Other values are ignored.
+     *
+     * @type {String}
+     */
+    var binaryType = 'arraybuffer';
+    Object.defineProperty(this, 'binaryType', {
+      enumerable: true,
+      get: function () {
+        return binaryType;
+      },
+      set: function (type) {
+        if ((type === 'arraybuffer') || (type === 'blob')) {
+          binaryType = type;
+        }
+      }
+    });
+
+    /**
+     * The underlying data channel
+     *
+     * @type {DataChannel}
+     * @private
+     */
+    var channel = null;
+
+    /**
+     * The promise that pending messages will have been sent. Set while some
+     * Blob is being read to preserve the order of messages.
+     *
+     * @type {Promise}
+     * @private
+     */
+    var pendingSend = null;
+
+    /**
+     * Messages sent while the connection was connecting, with their size
+     *
+     * @type {Array({message:*, size:Number})}
+     * @private
+     */
+    var bufferedMessages = [];
+
+
+    /**
+     * The promise to get the data channel that is being created, reset when
+     * the connection gets closed or terminated while connecting
+     *
+     * @type {Promise<DataChannel>}
+     * @private
+     */
+    var pendingChannel = null;
+
+
+    /**
+     * Send a message on the underlying channel, encoding it if needed
+     *
+     * @function
+     * @private
+     * @param {*} message The message, with binary data as an ArrayBuffer
+     * @param {Array} transfer Optional list of transferable objects
+     */
+    var sendOnChannel = function (message, transfer) {
+      if (channel.supportsBinary) {
+        channel.send(message, transfer);
+      }
+      else {
+        channel.send(encodeMessage(message));
+      }
+    };
+
+
+    /**
+     * Convert a message received on the underlying channel to the data that
+     * the "message" event should carry, based on the binary type
+     *
+     * @function
+     * @private
+     * @param {DataChannel} dataChannel The channel that received the message
+     * @param {*} message The received message
+     * @return {*} The data of the message event
+     */
+    var toEventData = function (dataChannel, message) {
+      var data = dataChannel.supportsBinary ?
+        toArrayBuffer(message) :
+        decodeMessage(message);
+      if ((data instanceof ArrayBuffer) && (binaryType === 'blob')) {
+        return new Blob([data]);
+      }
+      return data;
+    };
+
+
+    /**
+     * Change the connection state and fire the relevant events
+     *
+     * @function
+     * @private
+     * @param {String} state The new state
+     * @param {String} reason The reason for closing, for the "closed" state
+     * @param {String} message The close message, for the "closed" state
+     */
+    var setState = function (state, reason, message) {
+      if (that.state === state) {
+        return;
+      }
+      that.state = state;
+      if (state === 'connected') {
+        flushBufferedMessages();
+      }
+      else if ((state !== 'connecting') && (bufferedMessages.length > 0)) {
+        log('warn', 'presentation connection ' + state + ', ' +
+          bufferedMessages.length + ' buffered message(s) dropped');
+        bufferedMessages = [];
+        bufferedAmount = 0;
+      }
+      that.dispatchEvent(new _Event('statechange'));
+      if (state === 'connected') {
+        that.dispatchEvent(new _Event('connect'));
+      }
+      else if (state === 'closed') {
+        log('info', 'presentation connection closed', reason, message);
+        that.dispatchEvent(new PresentationConnectionCloseEvent('close', {
+          reason: reason || 'closed',
+          message: message
+        }));
+      }
+      else if (state === 'terminated') {
+        that.dispatchEvent(new _Event('terminate'));
+      }
+    };
+
+
+    /**
+     * Send the messages that were buffered while the connection was
+     * connecting
+     *
+     * @function
+     * @private
      */
-    this.getAvailableDisplays = function (url, options) {
-      return new Promise(function (resolve, reject) {
-        resolve([]);
+    var flushBufferedMessages = function () {
+      var messages = bufferedMessages;
+      bufferedMessages = [];
+      messages.forEach(function (buffered) {
+        bufferedAmount -= buffered.size;
+        sendMessage(buffered.message, buffered.transfer);
       });
     };
 
 
     /**
-     * Start to monitor incoming presentation connections if code runs on the
-     * receiving side.
+     * Send a message on the underlying channel, once previous messages have
+     * been sent
      *
-     * The function should not do anything if the code is not running on the
-     * receiving side.
+     * @function
+     * @private
+     * @param {String|ArrayBuffer|ArrayBufferView|Blob} message
+     * @param {Array} transfer Optional list of transferable objects
+     */
+    var sendMessage = function (message, transfer) {
+      if (!isBlob(message) && !pendingSend) {
+        sendOnChannel(toArrayBuffer(message), transfer);
+        return;
+      }
+
+      var data = isBlob(message) ? readBlob(message) : toArrayBuffer(message);
+      var thisSend = (pendingSend || Promise.resolve())
+        .then(function () {
+          return data;
+        })
+        .then(function (data) {
+          if (!channel || (that.state !== 'connected')) {
+            log('warn', 'presentation connection closed, message dropped');
+            return;
+          }
+          sendOnChannel(data, transfer);
+        })
+        .catch(function (err) {
+          log('error', 'could not send message', err);
+        })
+        .then(function () {
+          if (pendingSend === thisSend) {
+            pendingSend = null;
+          }
+        });
+      pendingSend = thisSend;
+    };
+
+
+    /**
+     * Non-standard method to create a data channel with the remote browsing
+     * context.
+     *
+     * The application that uses the Presentation API may override that method
+     * right after the call to start returns the PresentationConnection
+     * instance to associate the presentation connection with a data channel
+     * of its own.
      *
      * @function
+     * @return {Promise<DataChannel>} The promise to get a data communication
+     * channel ready for exchanging messages with the remote peer. The
+     * connection is in the "connecting" state until then. The promise is
+     * rejected with a DOMException named "AbortError" if the connection gets
+     * closed or terminated in the meantime.
      */
-    this.monitorIncomingControllers = function () {
-      queueTask(function () {
+    this.createDataChannel = function () {
+      if (pendingChannel) {
+        return pendingChannel;
+      }
+      if (channel) {
+        return new Promise(function (resolve, reject) {
+          resolve(channel);
+        });
+      }
+      var thisChannel = remotePeer.createDataChannel().then(function (dataChannel) {
+        if (pendingChannel !== thisChannel) {
+          // The connection was closed or terminated in the meantime
+          log('info', 'presentation connection no longer connecting, ' +
+            'close data channel');
+          dataChannel.onstatechange = null;
+          dataChannel.close();
+          throw new _DOMException('AbortError',
+            'Presentation connection closed while connecting');
+        }
+        pendingChannel = null;
+        channel = dataChannel;
+        channel.onstatechange = function () {
+          var closedChannel = channel;
+          if (channel.state !== 'connected') {
+            // Channel will have to be re-created
+            channel = null;
+          }
+          setState(closedChannel.state,
+            closedChannel.closeReason, closedChannel.closeMessage);
+        };
+        channel.onmessage = function (message) {
+          that.dispatchEvent(new _MessageEvent('message', {
+            data: message ? toEventData(dataChannel, message.data) : undefined
+          }));
+        };
+        setState(channel.state);
+      }, function (err) {
+        if (pendingChannel === thisChannel) {
+          pendingChannel = null;
+        }
+        log('warn', 'could not create data channel', err);
+        that._closeOnError(err);
+        throw err;
+      });
+      pendingChannel = thisChannel;
+      setState('connecting');
+      return pendingChannel;
+    };
+
+
+    /**
+     * Move the connection to the "closed" state with an "error" reason,
+     * unless it is already closed or terminated
+     *
+     * @function
+     * @private
+     * @param {Error} err The error that caused the connection to close
+     */
+    this._closeOnError = function (err) {
+      if ((this.state === 'closed') || (this.state === 'terminated')) {
+        return;
+      }
+      setState('closed', 'error', (err && err.message) || '');
+    };
+
+
+    /**
+     * Sends a message through the communication channel.
+     *
+     * Binary messages may be given as an ArrayBuffer, an ArrayBuffer view
+     * (e.g. a typed array) or a Blob. Blobs need to be read before they can be
+     * sent, subsequent messages are queued in the meantime to preserve order.
+     *
+     * Messages sent while the connection is connecting are buffered if the
+     * "bufferMessages" flag is set.
+     *
+     * The non-standard "transfer" parameter lists objects whose ownership
+     * should be transferred rather than copied, e.g. large ArrayBuffers, when
+     * the underlying channel supports it (Window mechanism). The objects are
+     * no longer usable on the sending side afterwards.
+     *
+     * @function
+     * @param {String|ArrayBuffer|ArrayBufferView|Blob} message
+     * @param {Array} transfer Optional list of transferable objects
+     */
+    this.send = function (message, transfer) {
+      if ((this.state === 'connecting') && this.bufferMessages) {
+        var size = getMessageSize(message);
+        bufferedMessages.push({
+          message: message,
+          size: size,
+          transfer: transfer
+        });
+        bufferedAmount += size;
+        return;
+      }
+      if (this.state === 'connecting') {
+        throw new _DOMException('InvalidStateError', 'Presentation connection is connecting, cannot send message');
+      }
+      if (!channel || (this.state !== 'connected')) {
+        throw new _DOMException('InvalidStateError', 'Presentation connection is closed, cannot send message');
+      }
+      sendMessage(message, transfer);
+    };
+
+
+    /**
+     * Close the connection
+     *
+     * @function
+     */
+    this.close = function () {
+      if (pendingChannel) {
+        // The data channel will be closed as soon as it is created
+        pendingChannel = null;
+        setState('closed', 'closed');
+        return;
+      }
+      if (!channel) {
+        return;
+      }
+      channel.closeReason = 'closed';
+      channel.close();
+      channel = null;
+    };
+
+
+    /**
+     * Terminate the presentation connection
+     *
+     * @function
+     */
+    this.terminate = function () {
+      // The remote peer is told about the termination before the channel
+      // gets closed, so that it does not see the channel as merely closed
+      remotePeer.terminate();
+      pendingChannel = null;
+      if (channel) {
+        // Terminating the connection should not fire a "close" event
+        var closingChannel = channel;
+        channel = null;
+        closingChannel.onstatechange = null;
+        closingChannel.close();
+      }
+      setState('terminated');
+    };
+  };
+
+
+
+
+  /**********************************************************************
+  PresentationAvailability interface
+  **********************************************************************/
+
+  /**
+   * Information about the current results of the presentation display
+   * availability monitoring.
+   *
+   * An instance of this class is returned by PresentationRequest's
+   * getAvailability method if monitoring is supported by the user agent.
+   *
+   * Controlling app may listen to the "change" event to be notified about
+   * availability changes. The user agent keeps monitoring available displays
+   * in the background as long as there are listeners for that event.
+   *
+   * @constructor
+   * @param {function} onlistenerschange Private function called whenever a
+   *  "change" listener is attached or detached
+   */
+  var PresentationAvailability = function (onlistenerschange) {
+    var notify = function (type) {
+      if ((type === 'change') && onlistenerschange) {
+        onlistenerschange();
+      }
+    };
+    _EventTarget.call(this, notify);
+
+    /**
+     * Whether there are presentation displays available
+     *
+     * @type {boolean}
+     */
+    this.value = false;
+
+    /**
+     * Event handler called when availability flag changes
+     *
+     * @type {EventHandler}
+     */
+    var onchange = null;
+    Object.defineProperty(this, 'onchange', {
+      enumerable: true,
+      get: function () {
+        return onchange;
+      },
+      set: function (handler) {
+        onchange = handler;
+        notify('change');
+      }
+    });
+  };
+
+
+
+
+  /**********************************************************************
+  PresentationConnectionAvailableEvent interface
+  **********************************************************************/
+
+  /**
+   * Event fired with a pointer to a presentation connection once a
+   * presentation request is properly started.
+   *
+   * @constructor
+   * @inherits {_Event}
+   * @param {String} type The event type, typically "connectionavailable"
+   * @param {connection:PresentationConnection} eventInitDict An object that
+   * points to the presentation connection to associate with the event
+   */
+  var PresentationConnectionAvailableEvent = function (type, eventInitDict) {
+    _Event.call(this, type);
+    this.connection = eventInitDict.connection;
+  };
+
+
+
+
+  /**********************************************************************
+  Display picker
+  **********************************************************************/
+
+  /**
+   * Progress of the discovery of available displays, as given to display
+   * pickers.
+   *
+   * The "displays" list grows as presentation mechanisms report displays. A
+   * "change" event is fired each time the list grows and when the discovery
+   * is over, meaning when all mechanisms answered or timed out.
+   *
+   * @constructor
+   * @private
+   */
+  var DisplayDiscovery = function () {
+    _EventTarget.call(this);
+    var that = this;
+
+    /**
+     * The displays found so far
+     *
+     * @type {Array(Display)}
+     */
+    this.displays = [];
+
+    /**
+     * Whether some mechanisms have not yet reported their displays
+     *
+     * @type {boolean}
+     */
+    this.searching = true;
+
+    /**
+     * Event handler called when the list of displays or the "searching" flag
+     * changes
+     *
+     * @type {EventHandler}
+     */
+    this.onchange = null;
+
+    /**
+     * Add displays reported by a mechanism
+     *
+     * @function
+     * @private
+     * @param {Array(Display)} displays
+     */
+    this._addDisplays = function (displays) {
+      if (!that.searching || (displays.length === 0)) {
+        return;
+      }
+
+      // Keep displays in mechanism order
+      var mechanisms = getEnabledMechanisms();
+      displays.forEach(function (display) {
+        var rank = mechanisms.indexOf(display.mechanism);
+        var idx = 0;
+        while ((idx < that.displays.length) &&
+            (mechanisms.indexOf(that.displays[idx].mechanism) <= rank)) {
+          idx++;
+        }
+        that.displays.splice(idx, 0, display);
+      });
+      that.dispatchEvent(new _Event('change'));
+    };
+
+    /**
+     * Signal the end of the discovery
+     *
+     * @function
+     * @private
+     */
+    this._end = function () {
+      if (!that.searching) {
+        return;
+      }
+      that.searching = false;
+      that.dispatchEvent(new _Event('change'));
+    };
+  };
+
+
+  /**
+   * Built-in display picker that renders a modal dialog with the list of
+   * available displays and lets the user select one of them.
+   *
+   * Displays are added to the dialog as they are found. The dialog can be
+   * operated with the mouse or with the keyboard: arrow keys move the focus
+   * among displays and "Escape" closes the dialog. The elements it creates
+   * use "presentation-api-polyfill-picker" class names that apps may target
+   * to style the dialog.
+   *
+   * @function
+   * @private
+   * @param {Array(Display)} displays The list of available displays
+   * @param {DisplayDiscovery} discovery Optional progress of the discovery
+   *  of displays. When given, the dialog shows a "searching" state until the
+   *  discovery is over.
+   * @return {Promise<Display>} The promise to get the display that the user
+   *  selected. The promise is rejected if the user closes the dialog, or with
+   *  a DOMException named "NotFoundError" if no display could be found.
+   */
+  var showDisplayPicker = function (displays, discovery) {
+    return new Promise(function (resolve, reject) {
+      var prefix = 'presentation-api-polyfill-picker';
+      var previouslyFocused = document.activeElement;
+      var buttons = [];
+      var items = [];
+      var renderedDisplays = [];
+
+      var close = function () {
+        if (discovery) {
+          discovery.removeEventListener('change', discoveryListener);
+        }
+        document.removeEventListener('keydown', keydownListener, true);
+        if (container.parentNode) {
+          container.parentNode.removeChild(container);
+        }
+        if (previouslyFocused && previouslyFocused.focus) {
+          previouslyFocused.focus();
+        }
+      };
+
+      var keydownListener = function (event) {
+        var idx = buttons.indexOf(document.activeElement);
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          close();
+          reject(new _DOMException('AbortError'));
+        }
+        else if ((event.key === 'ArrowDown') || (event.key === 'ArrowUp')) {
+          event.preventDefault();
+          idx += (event.key === 'ArrowDown') ? 1 : -1;
+          idx = (idx + buttons.length) % buttons.length;
+          buttons[idx].focus();
+        }
+        else if (event.key === 'Tab') {
+          // Keep the focus within the dialog
+          event.preventDefault();
+          idx += event.shiftKey ? -1 : 1;
+          idx = (idx + buttons.length) % buttons.length;
+          buttons[idx].focus();
+        }
+      };
+
+      var title = document.createElement('h2');
+      title.id = prefix + '-title';
+      title.className = prefix + '-title';
+      title.textContent = 'Select a display';
+      title.style.margin = '0 0 0.5em 0';
+      title.style['font-size'] = 'larger';
+
+      var list = document.createElement('ul');
+      list.className = prefix + '-list';
+      list.style.margin = 0;
+      list.style.padding = 0;
+      list.style['list-style'] = 'none';
+
+      var status = document.createElement('p');
+      status.className = prefix + '-status';
+      status.setAttribute('role', 'status');
+      status.setAttribute('aria-live', 'polite');
+      status.style.margin = '0.5em 0';
+      status.style['font-style'] = 'italic';
+
+      var addDisplay = function (display, nextDisplay) {
+        var button = document.createElement('button');
+        button.className = prefix + '-display';
+        button.style.display = 'block';
+        button.style.width = '100%';
+        button.style.margin = '0.25em 0';
+        button.style.padding = '0.5em';
+        button.style['text-align'] = 'left';
+        button.style['font-size'] = 'larger';
+
+        var name = document.createElement('span');
+        name.className = prefix + '-display-name';
+        name.textContent = display.name;
+        button.appendChild(name);
+
+        if (display.mechanism) {
+          var mechanism = document.createElement('span');
+          mechanism.className = prefix + '-display-mechanism';
+          mechanism.textContent = display.mechanism.name;
+          mechanism.style.display = 'block';
+          mechanism.style['font-size'] = 'smaller';
+          mechanism.style.opacity = 0.7;
+          button.appendChild(mechanism);
+        }
+
+        var supported = Object.keys(capabilityLabels).filter(function (name) {
+          return display.capabilities && display.capabilities[name];
+        });
+        if (supported.length > 0) {
+          var capabilities = document.createElement('span');
+          capabilities.className = prefix + '-display-capabilities';
+          capabilities.textContent = supported.map(function (name) {
+            return capabilityLabels[name];
+          }).join(', ');
+          capabilities.style.display = 'block';
+          capabilities.style['font-size'] = 'smaller';
+          capabilities.style.opacity = 0.7;
+          button.appendChild(capabilities);
+        }
+
+        button.addEventListener('click', function (event) {
+          event.preventDefault();
+          close();
+          resolve(display);
+        });
+
+        var item = document.createElement('li');
+        item.appendChild(button);
+
+        // Displays are rendered in the order of the list of displays, and
+        // the cancel button remains the last focusable button
+        var idx = nextDisplay ?
+          renderedDisplays.indexOf(nextDisplay) :
+          renderedDisplays.length;
+        list.insertBefore(item, items[idx] || null);
+        items.splice(idx, 0, item);
+        buttons.splice(idx, 0, button);
+        renderedDisplays.splice(idx, 0, display);
+      };
+
+      var render = function () {
+        var available = discovery ? discovery.displays : displays;
+        var wasEmpty = (renderedDisplays.length === 0);
+        available.forEach(function (display, idx) {
+          if (renderedDisplays.indexOf(display) !== -1) {
+            return;
+          }
+          var nextDisplay = null;
+          available.slice(idx + 1).some(function (next) {
+            if (renderedDisplays.indexOf(next) !== -1) {
+              nextDisplay = next;
+              return true;
+            }
+            return false;
+          });
+          addDisplay(display, nextDisplay);
+        });
+        if (wasEmpty && (renderedDisplays.length > 0) &&
+            (document.activeElement === cancelButton)) {
+          buttons[0].focus();
+        }
+
+        if (discovery && discovery.searching) {
+          status.textContent = 'Searching for displays…';
+          status.style.display = 'block';
+        }
+        else {
+          status.textContent = '';
+          status.style.display = 'none';
+        }
+      };
+
+      var discoveryListener = function () {
+        render();
+        if (!discovery.searching && (renderedDisplays.length === 0)) {
+          close();
+          reject(new _DOMException('NotFoundError'));
+        }
+      };
+
+      var cancelButton = document.createElement('button');
+      cancelButton.className = prefix + '-cancel';
+      cancelButton.textContent = 'Cancel';
+      cancelButton.style.width = '100%';
+      cancelButton.style.marginTop = '1em';
+      cancelButton.addEventListener('click', function (event) {
+        event.preventDefault();
+        close();
+        reject(new _DOMException('AbortError'));
       });
-    };
+      buttons.push(cancelButton);
+      render();
+
+      var dialog = document.createElement('div');
+      dialog.className = prefix;
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', title.id);
+      dialog.style.width = '300px';
+      dialog.style['max-width'] = '90%';
+      dialog.style.margin = '10vh auto';
+      dialog.style.padding = '1em';
+      dialog.style['background-color'] = '#ffffff';
+      dialog.style.color = '#000000';
+      dialog.appendChild(title);
+      dialog.appendChild(list);
+      dialog.appendChild(status);
+      dialog.appendChild(cancelButton);
+
+      var container = document.createElement('div');
+      container.className = prefix + '-backdrop';
+      container.style.position = 'fixed';
+      container.style.top = 0;
+      container.style.left = 0;
+      container.style.height = '100%';
+      container.style.width = '100%';
+      container.style['z-index'] = 10;
+      container.style['background-color'] = 'rgba(0,0,0,0.5)';
+      container.appendChild(dialog);
+
+      document.body.appendChild(container);
+      document.addEventListener('keydown', keydownListener, true);
+      buttons[0].focus();
+      if (discovery) {
+        discovery.addEventListener('change', discoveryListener);
+        discoveryListener();
+      }
+    });
+  };
 
 
-    /**
-     * Event handler called when an incoming controller is detected
-     *
-     * The "controller" attribute of the event that is given to the handler is set
-     * to the remote controller that connected to this browsing context
-     *
-     * @type {EventHandler}
-     */
-    this.onincomingcontroller = null; 
+  /**
+   * The display picker function registered by the app, if any. The built-in
+   * display picker is used when that function is null.
+   *
+   * @private
+   * @type {function}
+   */
+  var registeredDisplayPicker = null;
+
+
+  /**
+   * Register the function to call to let the user select a display.
+   *
+   * The function is called as soon as the user starts a presentation, while
+   * the discovery of displays is still running. It receives the list of
+   * available displays, which grows as displays are found, and a discovery
+   * object whose "searching" flag tells whether discovery is still running
+   * and which fires "change" events when the list or the flag changes. Each
+   * display has a "name" and a "mechanism" property that points to the
+   * presentation mechanism that reported it.
+   *
+   * The function must return a Promise resolved with the selected display,
+   * or rejected if the user did not select any display. The presentation
+   * request is rejected with a "NotFoundError" if discovery ends without
+   * finding any display.
+   *
+   * @function
+   * @param {function} picker The display picker function, or null to restore
+   *  the built-in display picker
+   */
+  var registerDisplayPicker = function (picker) {
+    registeredDisplayPicker = picker || null;
   };
 
 
 
 
   /**********************************************************************
-  PresentationConnection interface
+  PresentationRequest interface
   **********************************************************************/
 
   /**
-   * Implements the PresentationConnection interface that is merely a wrapper
-   * around a specified connection. 
+   * The PresentationRequest interface represents an intent to start a
+   * presentation at one of a list of URLs.
+   *
+   * This shim implements both the controlling side and the receiving side.
+   * However, note that this interface is useless on the receiving side.
    *
    * @constructor
-   * @param {RemoteController|Display} remotePeer An object that represents the
-   * remote peer with wich the presentation connection is associated.
+   * @param {String|Array(String)} urls The URL or list of URLs to present
+   *  when the intent is to be started, in order of preference. Each
+   *  presentation mechanism presents the first URL it can handle.
+   * @param {Object} options Request options. The polyfill understands the
+   *  non-standard "isChannelOptional" flag, which defaults to "false" and may
+   *  be set to "true" to also include second screens for which it cannot
+   *  establish a communication channel all by itself, the non-standard
+   *  "requiredCapabilities" list of display capabilities that the app needs
+   *  (e.g. ["terminate", "binary"]), and the non-standard "bufferMessages"
+   *  flag, which sets the flag of the same name on the presentation
+   *  connections that the request creates
    */
-  var PresentationConnection = function (remotePeer) {
-    var that = this;
+  var PresentationRequest = (function () {
+    /**
+     * The set of presentation connections known to the controlling context
+     *
+     * @private
+     * @type {Array({url:String, id:String, connection:PresentationConnection,
+     *   display:Display})}
+     */
+    var setOfPresentations = [];
+
 
     /**
-     * The presentation connection identifier
+     * The set of availability objects requested through the getAvailability
+     * method.
      *
-     * @type {String}
+     * @private
+     * @type {Array({A:PresentationAvailability, availabilityUrls:Array(String), requiredCapabilities:Array(String), options:Object})}
      */
-    this.id = null;
+    var setOfAvailabilityObjects = [];
+
 
     /**
-     * The current connection state
+     * The set of available presentation displays
      *
-     * @type {String}
+     * @private
+     * @type {Array(Display)}
      */
-    this.state = 'closed';
+    var listOfAvailablePresentationDisplays = [];
+
 
     /**
-     * Event handler called when connection state changes
+     * Interval between two rounds of background monitoring of available
+     * presentation displays, in milliseconds
      *
-     * @type {EventHandler}
+     * @private
+     * @type {Number}
      */
-    this.onstatechange = null;
+    var availabilityMonitoringInterval = 5000;
+
 
     /**
-     * Event handler called when a message is received on the communication
-     * channel.
+     * Whether background monitoring of available presentation displays is
+     * running (either waiting for the next round or running one)
      *
-     * @type {EventHandler}
+     * @private
+     * @type {boolean}
      */
-    this.onmessage = null;
+    var isMonitoringAvailability = false;
+
 
     /**
-     * The underlying data channel
+     * Whether the two given lists of strings (e.g. URLs) are the same
      *
-     * @type {DataChannel}
+     * @function
      * @private
+     * @param {Array(String)} a
+     * @param {Array(String)} b
+     * @return {boolean}
      */
-    var channel = null;
+    var sameLists = function (a, b) {
+      return (a.length === b.length) && a.every(function (item, idx) {
+        return (item === b[idx]);
+      });
+    };
 
 
     /**
-     * Non-standard method to create a data channel with the remote browsing
-     * context.
+     * Compute the list of capabilities that displays must have to be used
+     * with the given presentation request options
      *
-     * The application that uses the Presentation API may override that method
-     * right after the call to start returns the PresentationConnection
-     * instance to associate the presentation connection with a data channel
-     * of its own.
+     * Messaging is required unless the "isChannelOptional" option is set.
      *
      * @function
-     * @return {Promise<DataChannel>} The promise to get a data communication
-     * channel ready for exchanging messages with the remote peer
+     * @private
+     * @param {Object} options Presentation request options
+     * @return {Array(String)} The sorted list of required capabilities
      */
-    this.createDataChannel = (function () {
-      var pendingPromise = null;
-      return function () {
-        if (pendingPromise) {
-          return pendingPromise();
-        }
-        if (channel) {
-          return new Promise(function (resolve, reject) {
-            resolve(channel);
-          });
+    var getRequiredCapabilities = function (options) {
+      var required = ((options && options.requiredCapabilities) || []).slice();
+      if (!(options && options.isChannelOptional) &&
+          (required.indexOf('messaging') === -1)) {
+        required.push('messaging');
+      }
+      return required.sort();
+    };
+
+
+    /**
+     * Retrieve the list of displays that the given mechanism reports as
+     * available, compatible with at least one of the given URLs and that
+     * have the capabilities that the request needs
+     *
+     * Each display gets a "mechanism" property that points to the mechanism,
+     * and a "capabilities" property that lists its capabilities.
+     *
+     * The mechanism is initialized first if needed. Its discovery timeout
+     * applies to the initialization, and then to the discovery itself.
+     *
+     * Errors are isolated: if the mechanism fails or does not answer within
+     * its discovery timeout, it is considered to have no available display.
+     *
+     * @function
+     * @private
+     * @param {PresentationMechanism} mechanism The mechanism to query
+     * @param {Array(String)} urls The URLs to present, in order of preference
+     * @param {Object} options Presentation request options
+     * @return {Promise<Array(Display)>} The promise to get the list of
+     *  displays. The promise is never rejected.
+     */
+    var getMechanismDisplays = function (mechanism, urls, options) {
+      return initializeMechanism(mechanism).then(function (initialized) {
+        if (!initialized) {
+          return [];
         }
-        pendingPromise = remotePeer.createDataChannel().then(function (dataChannel) {
-          pendingPromise = null;
-          channel = dataChannel;
-          channel.onstatechange = function () {
-            if (channel.state !== that.state) {
-              that.state = channel.state;
-              if (that.onstatechange) {
-                that.onstatechange();
-              }
-            }
-            if (channel.state !== 'connected') {
-              // Channel will have to be re-created
-              channel = null;
-            }
-          };
-          channel.onmessage = function (message) {
-            if (that.onmessage) {
-              that.onmessage(message);
+        return discoverMechanismDisplays(mechanism, urls, options);
+      });
+    };
+
+
+    /**
+     * Query an initialized mechanism for available displays.
+     * See "getMechanismDisplays" for details.
+     *
+     * @function
+     * @private
+     * @param {PresentationMechanism} mechanism The mechanism to query
+     * @param {Array(String)} urls The URLs to present, in order of preference
+     * @param {Object} options Presentation request options
+     * @return {Promise<Array(Display)>} The promise to get the list of
+     *  displays. The promise is never rejected.
+     */
+    var discoverMechanismDisplays = function (mechanism, urls, options) {
+      return new Promise(function (resolve, reject) {
+        var timeout = setTimeout(function () {
+          log('warn', mechanism.name + ' did not report displays in time');
+          timeout = null;
+          resolve([]);
+        }, mechanism.discoveryTimeout);
+
+        new Promise(function (resolve, reject) {
+          resolve(mechanism.getAvailableDisplays(urls, options));
+        }).then(function (displays) {
+          var required = getRequiredCapabilities(options);
+          return (displays || []).filter(function (display) {
+            display.mechanism = mechanism;
+            display.capabilities = getDisplayCapabilities(display);
+            var missing = required.filter(function (name) {
+              return !display.capabilities[name];
+            });
+            if (missing.length > 0) {
+              log('display "' + display.name + '" lacks capabilities', missing);
+              return false;
             }
-          };
-          if (that.state !== channel.state) {
-            that.state = channel.state;
-            if (that.onstatechange) {
-              that.onstatechange();
+            if (mechanism.selectUrl(display, urls)) {
+              return true;
             }
+            log('display "' + display.name + '" cannot present', urls);
+            return false;
+          });
+        }).catch(function (err) {
+          log('error', mechanism.name + ' could not report displays', err);
+          return [];
+        }).then(function (displays) {
+          if (!timeout) {
+            return;
           }
+          clearTimeout(timeout);
+          resolve(displays);
         });
-        return pendingPromise;
-      };
-    })();
+      });
+    };
 
 
     /**
-     * Sends a message through the communication channel.
+     * Retrieve the list of displays that registered mechanisms report as
+     * available and compatible with at least one of the given URLs
+     *
+     * Mechanisms are queried in parallel, the optional "ondisplays" callback
+     * is called as soon as one of them reports displays.
      *
      * @function
-     * @param {*} message
+     * @private
+     * @param {Array(String)} urls The URLs to present, in order of preference
+     * @param {Object} options Presentation request options
+     * @param {function} ondisplays Optional function called with the list of
+     *  displays each mechanism reports, as they arrive
+     * @return {Promise<Array(Display)>} The promise to get the flattened list
+     *  of available displays once all mechanisms answered or timed out. The
+     *  promise is never rejected.
      */
-    this.send = function (message) {
-      if (!channel) {
-        throw new _DOMException('InvalidStateError', 'Presentation connection not available, cannot send message');
-      }
-      if (this.state !== 'connected') {
-        throw new _DOMException('InvalidStateError', 'Presentation connection is closed, cannot send message');
-      }
-      channel.send(message);
+    var getAvailableDisplays = function (urls, options, ondisplays) {
+      initializeMechanisms();
+      return Promise.all(getEnabledMechanisms().map(function (mechanism) {
+        return getMechanismDisplays(mechanism, urls, options)
+          .then(function (displays) {
+            if (ondisplays && (displays.length > 0)) {
+              ondisplays(displays);
+            }
+            return displays;
+          });
+      })).then(function (lists) {
+        // Flattten the lists of displays
+        return lists.reduce(function (a, b) {
+          return a.concat(b);
+        }, []);
+      });
     };
 
 
     /**
-     * Close the connection
+     * Update the value of the availability objects that monitor the given
+     * URLs and options, based on the given list of compatible displays, firing
+     * a "change" event when the value changes.
      *
      * @function
+     * @private
+     * @param {Array(String)} urls The URLs for which displays were computed
+     * @param {Object} options The presentation request options used
+     * @param {Array(Display)} displays The list of available displays
      */
-    this.close = function () {
-      if (!channel) {
-        return;
-      }
-      channel.close();
-      that.channel = null;
+    var updateAvailabilityObjects = function (urls, options, displays) {
+      setOfAvailabilityObjects.forEach(function (availabilityObject) {
+        if (!sameLists(availabilityObject.availabilityUrls, urls) ||
+            !sameLists(availabilityObject.requiredCapabilities,
+              getRequiredCapabilities(options))) {
+          return;
+        }
+        var previousAvailability = availabilityObject.A.value;
+        var newAvailability = (displays.length > 0);
+        if (previousAvailability !== newAvailability) {
+          queueTask(function () {
+            availabilityObject.A.value = newAvailability;
+            availabilityObject.A.dispatchEvent(new _Event('change'));
+          });
+        }
+      });
     };
 
 
     /**
-     * Terminate the presentation connection
+     * Whether the given availability object needs to be monitored, meaning
+     * that the app listens to "change" events on it.
      *
      * @function
+     * @private
+     * @param {{A:PresentationAvailability}} availabilityObject
+     * @return {boolean}
      */
-    this.terminate = function () {
-      if (channel) {
-        channel.close();
-      }
-      remotePeer.terminate();
-      if (that.state !== 'terminated') {
-        that.state = 'terminated';
-        if (that.onstatechange) {
-          that.onstatechange();
-        }
-      }
+    var isAvailabilityObjectInUse = function (availabilityObject) {
+      return availabilityObject.A._hasEventListeners('change');
     };
-  };
 
 
+    /**
+     * Run one round of background monitoring for the availability objects
+     * that are in use and schedule the next round.
+     *
+     * Monitoring stops when no availability object is in use anymore. It gets
+     * restarted as soon as some app listens to "change" events again.
+     *
+     * @function
+     * @private
+     */
+    var monitorAvailability = function () {
+      var availabilityObjects = setOfAvailabilityObjects.filter(
+        isAvailabilityObjectInUse);
+      if (availabilityObjects.length === 0) {
+        log('info', 'no availability object in use, stop monitoring displays');
+        isMonitoringAvailability = false;
+        return;
+      }
 
+      log('monitor available displays in the background');
+      Promise.all(availabilityObjects.map(function (availabilityObject) {
+        var options = availabilityObject.options;
+        return getAvailableDisplays(availabilityObject.availabilityUrls, options)
+          .then(function (displays) {
+            updateAvailabilityObjects(
+              availabilityObject.availabilityUrls, options, displays);
+          }, function (err) {
+            log('warn', 'could not monitor available displays', err);
+          });
+      })).then(function () {
+        setTimeout(monitorAvailability, availabilityMonitoringInterval);
+      });
+    };
 
-  /**********************************************************************
-  PresentationAvailability interface
-  **********************************************************************/
 
-  /**
-   * Information about the current results of the presentation display
-   * availability monitoring.
-   *
-   * An instance of this class is returned by PresentationRequest's
-   * getAvailability method if monitoring is supported by the user agent.
-   *
-   * Controlling app may listen to the "change" event to be notified about
-   * availability changes.
-   *
-   * @constructor
-   */
-  var PresentationAvailability = function () {
     /**
-     * Whether there are presentation displays available
+     * Start background monitoring of available displays if needed and if
+     * not already running.
      *
-     * @type {boolean}
+     * @function
+     * @private
      */
-    this.value = false;
+    var startAvailabilityMonitoring = function () {
+      if (isMonitoringAvailability ||
+          !setOfAvailabilityObjects.some(isAvailabilityObjectInUse)) {
+        return;
+      }
+      log('info', 'start monitoring displays in the background');
+      isMonitoringAvailability = true;
+      setTimeout(monitorAvailability, availabilityMonitoringInterval);
+    };
+
 
     /**
-     * Event handler called when availability flag changes
+     * Key of the presentation records in the local storage
      *
-     * @type {EventHandler}
+     * @private
+     * @type {String}
      */
-    this.onchange = null;
-  };
-
-
-
-
-  /**********************************************************************
-  PresentationConnectionAvailableEvent interface
-  **********************************************************************/
+    var presentationRecordsKey = 'presentation-api-polyfill-presentations';
 
-  /**
-   * Event fired with a pointer to a presentation connection once a
-   * presentation request is properly started.
-   *
-   * @constructor
-   * @inherits {Event}
-   * @param {connection:PresentationConnection} eventInitDict An object that
-   * points to the presentation connection to associate with the event
-   */
-  var PresentationConnectionAvailableEvent = function (eventInitDict) {
-    this.connection = eventInitDict.connection;
-  };
 
+    /**
+     * Lifetime of persisted presentation records, in milliseconds. Records
+     * are refreshed each time the app reconnects to the presentation.
+     *
+     * @private
+     * @type {Number}
+     */
+    var presentationRecordLifetime = 24 * 60 * 60 * 1000;
 
 
+    /**
+     * Load the list of presentation records that have not yet expired from
+     * the local storage
+     *
+     * @function
+     * @private
+     * @return {Array({url:String, id:String, mechanism:String, data:Object, expires:Number})}
+     *  The list of presentation records, where "mechanism" is the identifier
+     *  of the mechanism that runs the presentation
+     */
+    var loadPresentationRecords = function () {
+      var records = [];
+      try {
+        records = JSON.parse(
+          window.localStorage.getItem(presentationRecordsKey)) || [];
+      }
+      catch (err) {
+        log('warn', 'could not load presentations from local storage', err);
+      }
+      var now = Date.now();
+      return records.filter(function (record) {
+        return (record.expires > now);
+      });
+    };
 
-  /**********************************************************************
-  PresentationRequest interface
-  **********************************************************************/
 
-  /**
-   * The PresentationRequest interface represents an intent to start a
-   * presentation at a given URL.
-   *
-   * This shim implements both the controlling side and the receiving side.
-   * However, note that this interface is useless on the receiving side.
-   *
-   * @constructor
-   * @param {String} url The URL to present when the intent is to be started
-   * @param {Object} options Request options. The polyfill understands the
-   *  non-standard "isChannelOptional" flag, which defaults to "false" and may
-   *  be set to "true" to also include second screens for which it cannot
-   *  establish a communication channel all by itself
-   */
-  var PresentationRequest = (function () {
     /**
-     * The set of presentation connections known to the controlling context
+     * Save the list of presentation records to the local storage
      *
+     * @function
      * @private
-     * @type {Array({url:String, id:String, connection:PresentationConnection})}
+     * @param {Array(Object)} records The list of presentation records
      */
-    var setOfPresentations = [];
+    var savePresentationRecords = function (records) {
+      try {
+        window.localStorage.setItem(presentationRecordsKey,
+          JSON.stringify(records));
+      }
+      catch (err) {
+        log('warn', 'could not save presentations to local storage', err);
+      }
+    };
 
 
-    /**
-     * The set of availability objects requested through the getAvailability
-     * method.
+    /**
+     * Persist the presentation that runs on the given display, provided the
+     * display's mechanism can re-attach to it later on.
      *
+     * @function
      * @private
-     * @type {Array({A:PresentationAvailability, availabilityUrl:String})}
+     * @param {PresentationConnection} connection The presentation connection
+     * @param {Display} display The display that runs the presentation
      */
-    var setOfAvailabilityObjects = [];
+    var persistPresentation = function (connection, display) {
+      var data = display.getReconnectData();
+      if (!data) {
+        return;
+      }
+      var records = loadPresentationRecords().filter(function (record) {
+        return (record.id !== connection.id);
+      });
+      records.push({
+        url: connection.url,
+        id: connection.id,
+        mechanism: display.mechanism.id,
+        data: data,
+        expires: Date.now() + presentationRecordLifetime
+      });
+      savePresentationRecords(records);
+    };
 
 
     /**
-     * The set of available presentation displays
+     * Remove the record of the given presentation from the local storage
      *
+     * @function
      * @private
-     * @type {Array(Display)}
+     * @param {String} presentationId The presentation identifier
      */
-    var listOfAvailablePresentationDisplays = [];
+    var forgetPresentation = function (presentationId) {
+      savePresentationRecords(
+        loadPresentationRecords().filter(function (record) {
+          return (record.id !== presentationId);
+        }));
+    };
 
 
     /**
@@ -643,14 +2764,30 @@
      * @return {String} unique presentation connection id
      */
     var getNewValidPresentationConnectionIdentifier = function () {
-      return setOfPresentations.length;
+      var id = null;
+      var isUsed = function (presentation) {
+        return (presentation.id === id);
+      };
+      do {
+        id = generatePresentationId();
+      } while (setOfPresentations.some(isUsed));
+      return id;
     };
 
 
     /**
      * The actual PresentationRequest interface
      */
-    var PresentationRequest = function (url, options) {
+    var PresentationRequest = function (urls, options) {
+      _EventTarget.call(this);
+
+      // Note the URLs are copied to prevent the caller from changing the list
+      urls = Array.isArray(urls) ? urls.slice() : [urls];
+      if (urls.length === 0) {
+        throw new _DOMException('NotSupportedError',
+          'At least one presentation URL is required');
+      }
+
       /**
        * Fired when the presentation connection associated with the object is
        * created, following a call to start, reconnect or, for the default
@@ -661,6 +2798,15 @@
       this.onconnectionavailable = null;
 
 
+      /**
+       * Fired together with "connectionavailable". Kept for applications
+       * written against earlier versions of the specification.
+       *
+       * @type {EventHandler}
+       */
+      this.onconnection = null;
+
+
       /**
        * Start a presentation connection
        *
@@ -678,17 +2824,16 @@
       this.start = function () {
         return isAllowedToShowPopup()
           .then(monitorAvailablePresentationDisplays)
-          .then(function () {
-            if (listOfAvailablePresentationDisplays.length === 0) {
-              throw new _DOMException('NotFoundError');
-            }
-          })
           .then(requestUserToSelectPresentationDisplay)
-          .then(navigateDisplayToPresentationUrl)
           .then(function (display) {
-            var connection = createPresentationConnection(display);
-            establishPresentationConnection(connection);
-            return connection;
+            var presentationId = getNewValidPresentationConnectionIdentifier();
+            return navigateDisplayToPresentationUrl(display, presentationId)
+              .then(function (presentationId) {
+                var connection = createPresentationConnection(
+                  display, presentationId);
+                establishPresentationConnection(connection);
+                return connection;
+              });
           });
       };
 
@@ -698,12 +2843,12 @@
        *
        * The presentation connection must be known to the underlying user agent. In
        * other words, there should have been a call to "start" performed on that
-       * user agent at some point in the past for the exact same presentation
-       * request URL.
+       * user agent at some point in the past for one of the presentation request
+       * URLs.
        *
-       * TODO: the polyfill could perhaps save the set of presentations using the
-       * the local storage. This probably won't be enough to avoid permission
-       * prompts though.
+       * Presentations are persisted in the local storage when the underlying
+       * mechanism can re-attach to them, so reconnection also works after the
+       * controlling page was reloaded, until the presentation record expires.
        * 
        * @function
        * @param {String} presentationId The identifier of the presentation 
@@ -721,18 +2866,26 @@
               if (connection) {
                 return;
               }
-              if ((presentation.url === url) &&
-                  (presentation.id === presentationId)) {
+              if ((urls.indexOf(presentation.url) !== -1) &&
+                  (presentation.id === presentationId) &&
+                  (presentation.connection.state !== 'terminated')) {
                 connection = presentation.connection;
               }
             });
             if (connection) {
               resolve(connection);
               establishPresentationConnection(connection);
+              return;
             }
-            else {
-              reject(new _DOMException('NotFoundError'));
-            }
+
+            reconnectPersistedPresentation(presentationId)
+              .then(function (connection) {
+                resolve(connection);
+                establishPresentationConnection(connection);
+              }, function (err) {
+                log('info', 'could not reconnect to presentation', err);
+                reject(new _DOMException('NotFoundError'));
+              });
           });
         });
       };
@@ -750,10 +2903,43 @@
        *  support that feature.
        */
       this.getAvailability = function () {
-        return new Promise(function (resolve, reject) {
-          log('warn', 'getAvailability is not supported');
-          reject(new _DOMException('NotSupportedError'));
+        if (availabilityPromise) {
+          return availabilityPromise;
+        }
+        availabilityPromise = new Promise(function (resolve, reject) {
+          queueTask(function () {
+            var requiredCapabilities = getRequiredCapabilities(options);
+            var availabilityObject = null;
+            setOfAvailabilityObjects.forEach(function (obj) {
+              if (sameLists(obj.availabilityUrls, urls) &&
+                  sameLists(obj.requiredCapabilities, requiredCapabilities)) {
+                availabilityObject = obj;
+              }
+            });
+            if (availabilityObject) {
+              resolve(availabilityObject.A);
+              return;
+            }
+
+            availabilityObject = {
+              A: new PresentationAvailability(startAvailabilityMonitoring),
+              availabilityUrls: urls,
+              requiredCapabilities: requiredCapabilities,
+              options: options
+            };
+            getAvailableDisplays(urls, options).then(function (displays) {
+              // Initial value is set without firing a "change" event
+              availabilityObject.A.value = (displays.length > 0);
+              setOfAvailabilityObjects.push(availabilityObject);
+              resolve(availabilityObject.A);
+            }, function (err) {
+              log('warn', 'could not monitor available displays', err);
+              availabilityPromise = null;
+              reject(new _DOMException('NotSupportedError'));
+            });
+          });
         });
+        return availabilityPromise;
       };
 
 
@@ -767,6 +2953,14 @@
       var thisPresentationRequest = this;
 
 
+      /**
+       * The promise returned by getAvailability, set on first call
+       *
+       * @type {Promise<PresentationAvailability>}
+       */
+      var availabilityPromise = null;
+
+
       /**
        * Determine whether the algorithm is allowed to show a popup
        *
@@ -788,46 +2982,28 @@
 
 
       /**
-       * Monitor the list of presentation displays that are available and return
-       * that list
+       * Start to monitor the list of presentation displays that are available
+       *
+       * The list of presentation displays is refreshed once all mechanisms
+       * have answered or timed out. In the meantime, the returned discovery
+       * object reports displays as they are found.
        *
        * @function
        * @private
-       * @return {Promise} The Promise that the list of presentation displays
-       * will have been refreshed. The promise is never rejected.
+       * @return {DisplayDiscovery} The progress of the discovery
        */
-       var monitorAvailablePresentationDisplays = function () {
-        return new Promise(function (resolve, reject) {
-          queueTask(function () {
-            log('get list of available displays from registered mechanisms');
-            Promise.all(registeredMechanisms.map(function (mechanism) {
-              return mechanism.getAvailableDisplays(url, options);
-            })).then(function (lists) {
-              // Flattten the lists of displays
-              var newDisplays = lists.reduce(function (a, b) {
-                return a.concat(b);
-              });
-
-              setOfAvailabilityObjects.forEach(function (availabilityObject) {
-                var previousAvailability = availabilityObject.A.value;
-                var newAvailability = newDisplays.some(function (display) {
-                  log('warn', 'TODO: is display compatible with availabilityUrl?');
-                  return true;
-                });
-                if (previousAvailability !== newAvailability) {
-                  queueTask(function () {
-                    availabilityObject.A.value = newAvailability;
-                    if (availabilityObject.A.onchange) {
-                      availabilityObject.A.onchange();
-                    }
-                  });
-                }
-              });
+      var monitorAvailablePresentationDisplays = function () {
+        var discovery = new DisplayDiscovery();
+        queueTask(function () {
+          log('get list of available displays from registered mechanisms');
+          getAvailableDisplays(urls, options, discovery._addDisplays)
+            .then(function (newDisplays) {
+              updateAvailabilityObjects(urls, options, newDisplays);
               listOfAvailablePresentationDisplays = newDisplays;
-              resolve();
+              discovery._end();
             });
-          });
         });
+        return discovery;
       };
 
 
@@ -837,59 +3013,77 @@
        *
        * @function
        * @private
+       * @param {DisplayDiscovery} discovery The progress of the discovery of
+       * available displays
        * @return {Promise} The promise to get the presentation display that the
        * user will have selected. The promise is rejected with a DOMException
-       * named "AbortError" if the user does not select any display.
+       * named "NotFoundError" if no display could be found, and "AbortError"
+       * if the user does not select any display.
        */
-      var requestUserToSelectPresentationDisplay = function () {
+      var requestUserToSelectPresentationDisplay = function (discovery) {
+        var picker = registeredDisplayPicker || showDisplayPicker;
+        var noDisplayFound = function () {
+          return !discovery.searching && (discovery.displays.length === 0);
+        };
         return new Promise(function (resolve, reject) {
-          var msg = 'Select a display:\n\n';
-          var idx = 0;
-          listOfAvailablePresentationDisplays.forEach(function (display) {
-            idx += 1;
-            msg += '[' + idx + '] ' + display.name + '\n';
-          });
-          var choice = window.prompt(msg, '1');
-          var display = null;
-          try {
-            choice = parseInt(choice, 10);
-            choice -= 1;
-          }
-          catch (e) {
-            reject(new _DOMException('AbortError'));
-            return;
-          }
-          display = listOfAvailablePresentationDisplays[choice];
-          if (display) {
-            resolve(display);
+          resolve(picker(discovery.displays, discovery));
+        }).then(function (display) {
+          if (!display || (discovery.displays.indexOf(display) === -1)) {
+            throw new _DOMException(
+              noDisplayFound() ? 'NotFoundError' : 'AbortError');
           }
-          else {
-            reject(new _DOMException('AbortError'));
+          return display;
+        }, function (err) {
+          if (noDisplayFound()) {
+            log('info', 'no display found');
+            throw new _DOMException('NotFoundError');
           }
+          log('info', 'user did not select any display', err);
+          throw new _DOMException('AbortError');
         });
       };
 
 
+      /**
+       * Return the URL that the given display is to present, in other words
+       * the first request URL that the display's mechanism can handle
+       *
+       * @function
+       * @private
+       * @param {Display} display The user-selected display
+       * @return {String} The URL to present
+       */
+      var getPresentationUrl = function (display) {
+        return display.mechanism.selectUrl(display, urls);
+      };
+
+
       /**
        * Create a new receiving browsing context on the given display and
        * navigate to the requested URL
        *
+       * The display is navigated right away, without queueing a task, so that
+       * mechanisms run within the task of the user's selection in the display
+       * picker. Opening a window or calling the native "start" method requires
+       * that transient user activation.
+       *
        * @function
        * @private
        * @param {Display} display The user-selected display
-       * @return {Promise} The promise that the display will have nagivated to
-       * the requested URL. The promise is rejected with a DOMException named
+       * @param {String} presentationId The new presentation identifier
+       * @return {Promise<String>} The promise that the display will have
+       * nagivated to the requested URL, resolved with the presentation
+       * identifier to use. The promise is rejected with a DOMException named
        * "OperationError" if the presentation display cannot be navigated to the
        * requested URL.
        */ 
-      var navigateDisplayToPresentationUrl = function (display) {
+      var navigateDisplayToPresentationUrl = function (display, presentationId) {
         return new Promise(function (resolve, reject) {
-          queueTask(function () {
-            log('navigate display to requested url');
-            display.navigate(url).then(function () {
-              resolve(display);
-            }, reject);
-          });
+          var url = getPresentationUrl(display);
+          log('navigate display to requested url', url, presentationId);
+          display.navigate(url, presentationId).then(function (id) {
+            resolve(id || presentationId);
+          }, reject);
         });
       };
 
@@ -902,23 +3096,87 @@
        *
        * @function
        * @private
+       * @param {Display} display The display that presents the URL
+       * @param {String} presentationId The presentation identifier
        * @return PresentationConnection A new presentation connection with a
        * valid connection id. The presentation connection is automatically
        * added to the set of presentations.
        */
-      var createPresentationConnection = function (display) {
+      var createPresentationConnection = function (display, presentationId, url) {
         var connection = new PresentationConnection(display);
-        connection.id = getNewValidPresentationConnectionIdentifier();
-        connection.state = 'closed';
+        connection.id = presentationId;
+        connection.url = url || getPresentationUrl(display);
+        connection.state = getDisplayCapabilities(display).messaging ?
+          'connecting' :
+          'closed';
+        connection.bufferMessages = !!(options && options.bufferMessages);
         setOfPresentations.push({
-          url: url,
+          url: connection.url,
           id: connection.id,
-          connection: connection
+          connection: connection,
+          display: display
+        });
+        persistPresentation(connection, display);
+        connection.addEventListener('terminate', function () {
+          forgetPresentation(connection.id);
         });
         return connection;
       };
 
 
+      /**
+       * Re-attach to a presentation persisted in the local storage, typically
+       * started before the controlling page was reloaded
+       *
+       * @function
+       * @private
+       * @param {String} presentationId The identifier of the presentation
+       * @return {Promise<PresentationConnection>} The promise to get a new
+       * presentation connection attached to the presentation. The promise is
+       * rejected if the presentation is unknown or no longer running.
+       */
+      var reconnectPersistedPresentation = function (presentationId) {
+        var record = null;
+        loadPresentationRecords().forEach(function (presentation) {
+          if ((presentation.id === presentationId) &&
+              (urls.indexOf(presentation.url) !== -1)) {
+            record = presentation;
+          }
+        });
+        if (!record) {
+          return Promise.reject(new _DOMException('NotFoundError'));
+        }
+
+        var mechanism = null;
+        getEnabledMechanisms().forEach(function (registeredMechanism) {
+          if (registeredMechanism.id === record.mechanism) {
+            mechanism = registeredMechanism;
+          }
+        });
+        if (!mechanism) {
+          return Promise.reject(new _DOMException('NotFoundError',
+            'Presentation mechanism not available: ' + record.mechanism));
+        }
+
+        log('re-attach to presentation', record.id, 'with', mechanism.name);
+        return initializeMechanism(mechanism).then(function (initialized) {
+          if (!initialized) {
+            throw new _DOMException('NotFoundError',
+              'Presentation mechanism not available: ' + record.mechanism);
+          }
+          return mechanism.reconnectDisplay(record.data, record.url, record.id)
+            .then(function (display) {
+              display.mechanism = mechanism;
+              return createPresentationConnection(display, record.id,
+                record.url);
+            }, function (err) {
+              forgetPresentation(record.id);
+              throw err;
+            });
+        });
+      };
+
+
       /**
        * Establish a presentation connection with the underlying display
        *
@@ -932,21 +3190,34 @@
        * to create a connection for
        */
       var establishPresentationConnection = function (connection) {
-        // Queue a task to fire an event named "connection" at
-        // presentationRequest with S as its connection attribute. 
+        // Queue a task to fire an event named "connectionavailable" at
+        // presentationRequest with S as its connection attribute, along with
+        // the "connection" event that earlier versions of the spec used
         queueTask(function () {
-          var connectEvent = new PresentationConnectionAvailableEvent({
-            connection: connection
-          });
-          if (thisPresentationRequest.onconnection) {
-            thisPresentationRequest.onconnection(connectEvent);
-          }
+          thisPresentationRequest.dispatchEvent(
+            new PresentationConnectionAvailableEvent(
+              'connectionavailable', { connection: connection }));
+          thisPresentationRequest.dispatchEvent(
+            new PresentationConnectionAvailableEvent(
+              'connection', { connection: connection }));
         });
 
         if (connection.state === 'connected') {
           return;
         }
 
+        // Displays that cannot exchange messages, which requests only get
+        // with the "isChannelOptional" option, never get a channel and their
+        // connection remains "closed"
+        var presentation = setOfPresentations.filter(function (presentation) {
+          return presentation.connection === connection;
+        })[0];
+        if (presentation &&
+            !getDisplayCapabilities(presentation.display).messaging) {
+          log('info', 'display cannot exchange messages, no channel created');
+          return;
+        }
+
         queueTask(function () {
           connection.createDataChannel().then(function () {
             queueTask(function () {
@@ -954,13 +3225,19 @@
                 if ((connection !== presentation.connection) &&
                     (presentation.id === connection.id)) {
                   queueTask(function () {
-                    if (presentation.connection.onstatechange) {
-                      presentation.connection.onstatechange();
-                    }
+                    presentation.connection.dispatchEvent(
+                      new _Event('statechange'));
                   });
                 }
               });
             });
+          }).catch(function (err) {
+            if (err && (err.name === 'AbortError')) {
+              // Connection closed or terminated while connecting
+              return;
+            }
+            log('error', 'could not establish presentation connection', err);
+            connection._closeOnError(err);
           });
         });
       };
@@ -972,6 +3249,41 @@
 
 
 
+  /**********************************************************************
+  PresentationConnectionList interface
+  **********************************************************************/
+
+  /**
+   * The list of incoming presentation connections on the receiving side.
+   *
+   * Terminated connections are removed from the list. A
+   * "connectionavailable" event is fired each time a new controlling
+   * browsing context connects to the receiving application.
+   *
+   * @constructor
+   */
+  var PresentationConnectionList = function () {
+    _EventTarget.call(this);
+
+    /**
+     * The non-terminated incoming presentation connections
+     *
+     * @type {Array(PresentationConnection)}
+     */
+    this.connections = [];
+
+    /**
+     * Fired when a new incoming presentation connection is available. The
+     * event's "connection" property is the new presentation connection.
+     *
+     * @type {EventHandler}
+     */
+    this.onconnectionavailable = null;
+  };
+
+
+
+
   /**********************************************************************
   PresentationReceiver interface
   **********************************************************************/
@@ -985,6 +3297,8 @@
    * @constructor
    */
   var PresentationReceiver = function () {
+    _EventTarget.call(this);
+
     /**
      * Fired when a new incoming presentation connection is detected.
      * A call to "getConnections" will return the list of presentations.
@@ -994,6 +3308,19 @@
     this.onconnectionavailable = null;
 
 
+    /**
+     * The promise to get the list of incoming presentation connections.
+     *
+     * The promise is resolved as soon as the first controlling browsing
+     * context connects to this receiving application. Controllers that
+     * connect afterwards get added to the list, which fires a
+     * "connectionavailable" event for each of them.
+     *
+     * @type {Promise<PresentationConnectionList>}
+     */
+    this.connectionList = null;
+
+
     /**
      * Retrieve the first connected presentation connection as it becomes
      * available
@@ -1091,6 +3418,82 @@
     var pendingResolveFunction = null;
 
 
+    /**
+     * The list of incoming presentation connections that the
+     * "connectionList" promise resolves to
+     *
+     * @private
+     * @type {PresentationConnectionList}
+     */
+    var connectionList = new PresentationConnectionList();
+
+    /**
+     * Resolve function of the "connectionList" promise, reset once the
+     * promise has been resolved.
+     *
+     * @private
+     * @type {function}
+     */
+    var resolveConnectionList = null;
+
+    this.connectionList = new Promise(function (resolve, reject) {
+      resolveConnectionList = resolve;
+    });
+
+
+    /**
+     * Add the incoming presentation connection to the list of connections
+     * and notify the receiving application.
+     *
+     * @function
+     * @private
+     * @param {PresentationConnection} connection The new incoming connection
+     */
+    var addIncomingPresentationConnection = function (connection) {
+      setOfIncomingPresentations.push({
+        url: connection.url,
+        id: connection.id,
+        connection: connection
+      });
+
+      connectionList.connections.push(connection);
+      connection.addEventListener('terminate', function () {
+        var idx = connectionList.connections.indexOf(connection);
+        if (idx !== -1) {
+          connectionList.connections.splice(idx, 1);
+        }
+
+        // Terminating the presentation terminates all connections to the
+        // receiving application, so that all controllers get notified
+        setOfIncomingPresentations.forEach(function (presentation) {
+          if (presentation.connection.state !== 'terminated') {
+            presentation.connection.terminate();
+          }
+        });
+      });
+
+      thisPresentationReceiver.dispatchEvent(
+        new PresentationConnectionAvailableEvent(
+          'connectionavailable', { connection: connection }));
+      if (resolveConnectionList) {
+        // The first connection is part of the list that the promise
+        // resolves to, no need to fire an event on the list for it
+        resolveConnectionList(connectionList);
+        resolveConnectionList = null;
+      }
+      else {
+        connectionList.dispatchEvent(
+          new PresentationConnectionAvailableEvent(
+            'connectionavailable', { connection: connection }));
+      }
+      if (pendingResolveFunction) {
+        pendingResolveFunction(connection);
+        pendingResolveFunction = null;
+        pendingPromise = null;
+      }
+    };
+
+
     /**
      * Monitor incoming presentation connections
      *
@@ -1099,27 +3502,23 @@
      */
     var monitorIncomingPresentationConnections = function () {
       queueTask(function () {
-        var connection = null;
-        registeredMechanisms.forEach(function (mechanism) {
+        getEnabledMechanisms().forEach(function (mechanism) {
           mechanism.monitorIncomingControllers();
           mechanism.onincomingcontroller = function (controller) {
             log('new incoming presentation connection');
-            connection = new PresentationConnection(controller);
+            var connection = new PresentationConnection(controller);
             connection.createDataChannel().then(function () {
-              connection.id = 'connection-' + setOfIncomingPresentations.length;
-              setOfIncomingPresentations.push({
-                url: null,
-                id: connection.id,
-                connection: connection
-              });
-              if (thisPresentationReceiver.onconnectionavailable) {
-                thisPresentationReceiver.onconnectionavailable();
-              }
-              if (pendingResolveFunction) {
-                pendingResolveFunction(connection);
-                pendingResolveFunction = null;
-                pendingPromise = null;
+              connection.id = controller.presentationId ||
+                generatePresentationId();
+              connection.url = window.location.href;
+              addIncomingPresentationConnection(connection);
+            }).catch(function (err) {
+              if (err && (err.name === 'AbortError')) {
+                // Connection closed or terminated while connecting
+                return;
               }
+              log('error', 'could not establish incoming connection', err);
+              connection._closeOnError(err);
             });
           };
         });
@@ -1141,23 +3540,119 @@
 
 
   /**********************************************************************
-  Presentation interface
+  Default presentation request trigger
   **********************************************************************/
 
   /**
-   * Implements the main Presentation interface, exposed on navigator
+   * Floating "present" button that plays the role of the browser chrome for
+   * the default presentation request.
+   *
+   * The button is only shown while the availability of displays for the
+   * request is true. Activating it starts the request, which fires a
+   * "connection" event, along with a "connectionavailable" event, on the
+   * request once the presentation connection is created. The button uses a
+   * "presentation-api-polyfill-trigger" class name that apps may target to
+   * style it.
    *
+   * @constructor
+   * @private
+   * @param {PresentationRequest} request The default presentation request
    */
-  var Presentation = {
+  var DefaultRequestTrigger = function (request) {
+    var availability = null;
+    var detached = false;
+    var starting = false;
+    var waitingForBody = false;
+
+    var button = document.createElement('button');
+    button.className = 'presentation-api-polyfill-trigger';
+    button.textContent = 'Present';
+    button.setAttribute('title', 'Present to a display');
+    button.setAttribute('aria-label', 'Present to a display');
+    button.style.position = 'fixed';
+    button.style.bottom = '1em';
+    button.style.right = '1em';
+    button.style['z-index'] = 9;
+    button.style.padding = '0.5em 1em';
+    button.style['font-size'] = 'larger';
+    button.style.cursor = 'pointer';
+
+    var update = function () {
+      var visible = !detached && availability && availability.value;
+      if (visible && !button.parentNode) {
+        if (!document.body) {
+          // Script run before the document's body got parsed
+          if (!waitingForBody) {
+            waitingForBody = true;
+            document.addEventListener('DOMContentLoaded', function () {
+              waitingForBody = false;
+              update();
+            });
+          }
+          return;
+        }
+        document.body.appendChild(button);
+      }
+      else if (!visible && button.parentNode) {
+        button.parentNode.removeChild(button);
+      }
+    };
+
+    button.addEventListener('click', function (event) {
+      event.preventDefault();
+      if (starting) {
+        return;
+      }
+      log('start default presentation request');
+      starting = true;
+      button.disabled = true;
+      request.start().then(function () {
+        starting = false;
+        button.disabled = false;
+      }, function (err) {
+        log('info', 'default presentation request not started', err);
+        starting = false;
+        button.disabled = false;
+      });
+    });
+
+    request.getAvailability().then(function (result) {
+      if (detached) {
+        return;
+      }
+      availability = result;
+      availability.addEventListener('change', update);
+      update();
+    }, function (err) {
+      log('info', 'no availability for the default presentation request', err);
+    });
+
     /**
-     * The default presentation request that the user-agent should use
-     * when user chooses to start the presentation from the user-agent
-     * chrome.
+     * Remove the button and stop monitoring the availability of displays
      *
-     * @type {PresentationRequest}
+     * @function
      */
-    defaultRequest: null,
+    this.detach = function () {
+      detached = true;
+      if (availability) {
+        availability.removeEventListener('change', update);
+      }
+      update();
+    };
+  };
+
+
 
+
+  /**********************************************************************
+  Presentation interface
+  **********************************************************************/
+
+  /**
+   * Implements the main Presentation interface, exposed on navigator
+   *
+   */
+  var Presentation = {
     /**
      * The main receiving interface
      * (only defined in the receiving browsing context)
@@ -1168,6 +3663,144 @@
   };
 
 
+  /**
+   * The default presentation request that the user-agent should use
+   * when user chooses to start the presentation from the user-agent
+   * chrome.
+   *
+   * The polyfill renders a floating "present" button in place of the
+   * user-agent chrome while displays are available for that request.
+   *
+   * @type {PresentationRequest}
+   */
+  var defaultRequest = null;
+  var defaultRequestTrigger = null;
+  Object.defineProperty(Presentation, 'defaultRequest', {
+    enumerable: true,
+    get: function () {
+      return defaultRequest;
+    },
+    set: function (request) {
+      if (request && !(request instanceof PresentationRequest)) {
+        throw new TypeError('defaultRequest must be a PresentationRequest');
+      }
+      if (request === defaultRequest) {
+        return;
+      }
+      if (defaultRequestTrigger) {
+        defaultRequestTrigger.detach();
+        defaultRequestTrigger = null;
+      }
+      defaultRequest = request || null;
+      if (defaultRequest) {
+        defaultRequestTrigger = new DefaultRequestTrigger(defaultRequest);
+      }
+    }
+  });
+
+
+
+
+  /**********************************************************************
+  Optional installation as the unprefixed Presentation API
+  **********************************************************************/
+
+  /**
+   * The interfaces that the polyfill installs in the global scope, under
+   * their unprefixed names
+   *
+   * @private
+   * @type {Object}
+   */
+  var unprefixedInterfaces = {
+    PresentationRequest: PresentationRequest,
+    PresentationAvailability: PresentationAvailability,
+    PresentationConnection: PresentationConnection,
+    PresentationConnectionAvailableEvent: PresentationConnectionAvailableEvent,
+    PresentationConnectionCloseEvent: PresentationConnectionCloseEvent,
+    PresentationConnectionList: PresentationConnectionList,
+    PresentationReceiver: PresentationReceiver
+  };
+
+
+  /**
+   * The native implementation of the Presentation API, if the browser has
+   * one, captured when the polyfill is loaded.
+   *
+   * @private
+   * @type {Object}
+   */
+  var nativeImplementation = null;
+  if (navigator.presentation && window.PresentationRequest) {
+    nativeImplementation = {
+      presentation: navigator.presentation
+    };
+    Object.keys(unprefixedInterfaces).forEach(function (name) {
+      nativeImplementation[name] = window[name];
+    });
+  }
+
+
+  /**
+   * Whether the polyfill has been installed as the unprefixed API
+   *
+   * @private
+   * @type {boolean}
+   */
+  var installed = false;
+
+
+  /**
+   * Install the polyfill as "navigator.presentation" and expose the
+   * "PresentationRequest" constructor and related interfaces under their
+   * unprefixed names, so that apps may use the same code with or without a
+   * native implementation of the Presentation API.
+   *
+   * When the browser has a native implementation, the polyfill either steps
+   * aside (the default) or replaces it, depending on the "native" option:
+   * - "preserve": keep the native implementation, the polyfill remains
+   * available under its prefixed names.
+   * - "wrap": install the polyfill anyway. The native implementation remains
+   * available as "navigator.w3cPresentation.native".
+   *
+   * @function
+   * @param {Object} options Installation options
+   * @return {boolean} true if the polyfill is installed as the unprefixed
+   *  API, false if the native implementation was preserved
+   */
+  var install = function (options) {
+    var mode = (options && options.native) || 'preserve';
+    if ((mode !== 'preserve') && (mode !== 'wrap')) {
+      throw new TypeError('Unknown native installation mode: ' + mode);
+    }
+    if (installed) {
+      return true;
+    }
+    if (nativeImplementation && (mode === 'preserve')) {
+      log('info', 'native Presentation API found, polyfill not installed');
+      return false;
+    }
+
+    log('info', 'install polyfill as navigator.presentation',
+      nativeImplementation ? '(wraps native implementation)' : '');
+    Object.defineProperty(navigator, 'presentation', {
+      configurable: true,
+      enumerable: true,
+      value: Presentation
+    });
+    Object.keys(unprefixedInterfaces).forEach(function (name) {
+      Object.defineProperty(window, name, {
+        configurable: true,
+        enumerable: false,
+        writable: true,
+        value: unprefixedInterfaces[name]
+      });
+    });
+    installed = true;
+    return true;
+  };
+
+
 
 
   /**********************************************************************
@@ -1181,15 +3814,48 @@
   // Expose the PresentationRequest constructor to the window object
   window.w3cPresentationRequest = PresentationRequest;
 
+  // Non-standard function to let apps provide their own display picker
+  navigator.w3cPresentation.registerDisplayPicker = registerDisplayPicker;
+
+  // Non-standard function to update the settings of the polyfill
+  navigator.w3cPresentation.configure = configure;
+
+  // Non-standard promise resolved when enabled mechanisms are initialized,
+  // or did not initialize within their discovery timeout. Mechanisms are
+  // initialized when the application first needs displays, or when the
+  // promise is first accessed. Each access returns a new promise that covers
+  // the mechanisms enabled at that time.
+  Object.defineProperty(navigator.w3cPresentation, 'ready', {
+    get: initializeMechanisms,
+    enumerable: true
+  });
+
+  // Non-standard functions to manage presentation mechanisms at runtime
+  navigator.w3cPresentation.getMechanisms = getMechanisms;
+  navigator.w3cPresentation.enableMechanism = enableMechanism;
+  navigator.w3cPresentation.disableMechanism = disableMechanism;
+  navigator.w3cPresentation.unregisterMechanism = unregisterMechanism;
+  navigator.w3cPresentation.setMechanismOrder = setMechanismOrder;
+
+  // Non-standard function to install the polyfill as navigator.presentation,
+  // and the native implementation that the polyfill may wrap, if any
+  navigator.w3cPresentation.install = install;
+  navigator.w3cPresentation.native = nativeImplementation;
+
   // Also expose the interfaces and method required to extend the shim with
   // new presentation mechanisms defined in some external JS file
   navigator.w3cPresentation.extend = {
     log: log,
     _DOMException: _DOMException,
+    _Event: _Event,
+    _MessageEvent: _MessageEvent,
+    PresentationConnectionCloseEvent: PresentationConnectionCloseEvent,
+    _EventTarget: _EventTarget,
     PresentationMechanism: PresentationMechanism,
     RemoteController: RemoteController,
     Display: Display,
     DataChannel: DataChannel,
-    registerPresentationMechanism: registerPresentationMechanism
+    registerPresentationMechanism: registerPresentationMechanism,
+    showDisplayPicker: showDisplayPicker
   };
 })();
\ No newline at end of file
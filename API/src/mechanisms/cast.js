@@ -80,6 +80,31 @@
   var castApplications = {};
 
 
+  /**
+   * Functions to call when the Cast API library reports a session through
+   * the session listener set at initialization time, e.g. when a session is
+   * joined through "chrome.cast.requestSessionById".
+   *
+   * That indirection is needed because the Cast API library may only be
+   * initialized once.
+   */
+  var castSessionListeners = [];
+  var dispatchCastSession = function (session) {
+    castSessionListeners.slice().forEach(function (listener) {
+      listener(session);
+    });
+  };
+
+
+  /**
+   * Cast namespace used to exchange app messages between the sender and the
+   * receiver, and Cast namespace used to exchange control messages, e.g. to
+   * tell the other side that the connection was closed
+   */
+  var castNamespace = 'urn:x-cast:org.w3c.webscreens.presentationapi.shim';
+  var castControlNamespace = castNamespace + '.control';
+
+
   /**
    * Remote controller from the perspective of the Cast device
    *
@@ -92,7 +117,10 @@
     RemoteController.call(this);
 
     var customMessageBus = castReceiverManager.getCastMessageBus(
-      'urn:x-cast:org.w3c.webscreens.presentationapi.shim',
+      castNamespace,
+      cast.receiver.CastMessageBus.MessageType.JSON);
+    var controlMessageBus = castReceiverManager.getCastMessageBus(
+      castControlNamespace,
       cast.receiver.CastMessageBus.MessageType.JSON);
 
     this.createDataChannel = function () {
@@ -107,6 +135,39 @@
           }
         });
 
+        castReceiverManager.onSenderDisconnected = function (event) {
+          if ((channel.state !== 'connected') ||
+              (castReceiverManager.getSenders().length > 0)) {
+            return;
+          }
+          log('last Cast sender disconnected');
+          channel.state = 'closed';
+          channel.closeReason = 'wentaway';
+          channel.closeMessage = 'Cast sender disconnected';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        };
+
+        // The receiver shares one channel among all Cast senders, so the
+        // channel is only closed when the last sender closes it
+        controlMessageBus.addEventListener('message', function (event) {
+          if ((channel.state !== 'connected') ||
+              !event.data || (event.data.type !== 'close')) {
+            return;
+          }
+          log('Cast sender closed the connection', event.senderId);
+          if (castReceiverManager.getSenders().length > 1) {
+            return;
+          }
+          channel.state = 'closed';
+          channel.closeReason = 'closed';
+          channel.closeMessage = 'Controlling side closed the connection';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        });
+
         channel.send = function (message) {
           if (channel.state !== 'connected') {
             throw new _DOMException('InvalidStateError');
@@ -119,6 +180,8 @@
           if (channel.state !== 'connected') {
             return;
           }
+          log('tell Cast senders that the connection was closed');
+          controlMessageBus.broadcast({ type: 'close' });
           channel.state = 'closed';
           if (channel.onstatechange) {
             channel.onstatechange();
@@ -129,6 +192,8 @@
       });
     };
 
+    // Cast senders see the Cast session as stopped, which they report as
+    // a terminated presentation
     this.terminate = function () {
       log('stop Cast receiver manager');
       castReceiverManager.stop();
@@ -153,7 +218,13 @@
 
     var castSession = null;
 
-    this.navigate = function (url) {
+    this.canPresent = function (url) {
+      return !!castApplications[url];
+    };
+
+    // Note the Cast session ID is used as presentation identifier as the
+    // receiving side can retrieve it too
+    this.navigate = function (url, presentationId) {
       return new Promise(function (resolve, reject) {
         if (!castApiAvailable) {
           log('cannot create Cast session',
@@ -177,7 +248,7 @@
           chrome.cast.requestSession(function (session) {
             log('got a new Cast session');
             castSession = session;
-            resolve();
+            resolve(session.sessionId);
           }, function (error) {
             if (castSession) {
               return;
@@ -199,10 +270,15 @@
           sessionRequest,
           function sessionListener(session) {
             // Method called at most once after initialization if a running
-            // Cast session may be resumed
+            // Cast session may be resumed, and then each time a session is
+            // joined by ID
+            dispatchCastSession(session);
+            if (castSession) {
+              return;
+            }
             log('found existing Cast session, reusing');
             castSession = session;
-            resolve();
+            resolve(session.sessionId);
           },
           function receiverListener(available) {
             // Method called whenever the number of Cast devices available in
@@ -260,16 +336,44 @@
         var channel = new DataChannel();
         channel.state = 'connected';
 
+        var hasControlNamespace = castSession.namespaces.some(function (item) {
+          return (item.name === castControlNamespace);
+        });
+        var namespace = castSession.namespaces.filter(function (item) {
+          return (item.name !== castControlNamespace);
+        })[0];
+
+        var stopListening = function () {
+          castSession.removeMessageListener(namespace.name, messageListener);
+          castSession.removeUpdateListener(updateListener);
+          if (hasControlNamespace) {
+            castSession.removeMessageListener(
+              castControlNamespace, controlMessageListener);
+          }
+        };
+
         var updateListener = function () {
-          channel.state = (castSession === chrome.cast.SessionStatus.CONNECTED) ?
-            'connected' : 'closed';
-          log('received Cast session state update', 'isAlive=' + isAlive);
-          if (channel.onstatechange) {
-            channel.onstatechange();
+          var status = castSession.status;
+          log('received Cast session state update', 'status=' + status);
+          if (status === chrome.cast.SessionStatus.CONNECTED) {
+            channel.state = 'connected';
+          }
+          else if (status === chrome.cast.SessionStatus.STOPPED) {
+            // The receiver application stopped, the presentation is over
+            channel.state = 'terminated';
+          }
+          else {
+            channel.state = 'closed';
+          }
+          if (status === chrome.cast.SessionStatus.DISCONNECTED) {
+            channel.closeReason = 'error';
+            channel.closeMessage = 'Cast session disconnected';
           }
           if (channel.state !== 'connected') {
-            castSession.removeMessageListener(messageListener);
-            castSession.removeUpdateListener(updateListener);
+            stopListening();
+          }
+          if (channel.onstatechange) {
+            channel.onstatechange();
           }
         };
 
@@ -280,16 +384,40 @@
           }
         };
 
-        var namespace = castSession.namespaces[0];
+        var controlMessageListener = function (namespace, message) {
+          var control = null;
+          try {
+            control = JSON.parse(message);
+          }
+          catch (err) {
+            log('warn', 'invalid control message from Cast receiver', message);
+            return;
+          }
+          if ((channel.state !== 'connected') || (control.type !== 'close')) {
+            return;
+          }
+          log('Cast receiver closed the connection');
+          stopListening();
+          channel.state = 'closed';
+          channel.closeReason = 'closed';
+          channel.closeMessage = 'Receiving side closed the connection';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        };
+
         castSession.addUpdateListener(updateListener);
         castSession.addMessageListener(namespace.name, messageListener);
+        if (hasControlNamespace) {
+          castSession.addMessageListener(
+            castControlNamespace, controlMessageListener);
+        }
 
         channel.send = function (message) {
           if (channel.state !== 'connected') {
             throw new _DOMException('InvalidStateError');
           }
           log('send message to Cast receiver', message);
-          var namespace = castSession.namespaces[0];
           castSession.sendMessage(namespace.name, message);
         };
 
@@ -297,8 +425,12 @@
           if (channel.state !== 'connected') {
             return;
           }
-          castSession.removeMessageListener(messageListener);
-          castSession.removeUpdateListener(updateListener);
+          stopListening();
+          if (hasControlNamespace &&
+              (castSession.status === chrome.cast.SessionStatus.CONNECTED)) {
+            log('tell Cast receiver that the connection was closed');
+            castSession.sendMessage(castControlNamespace, { type: 'close' });
+          }
           channel.state = 'closed';
           if (channel.onstatechange) {
             channel.onstatechange();
@@ -310,6 +442,88 @@
     };
 
 
+    /**
+     * Re-attach to the Cast session with the given ID
+     *
+     * @function
+     * @param {String} url The URL of the presentation
+     * @param {String} sessionId The ID of the Cast session to join
+     * @param {Number} resumeTimeout Maximum time to wait for the Cast API library
+     *  to report the session, in milliseconds
+     * @return {Promise} The promise to have joined the Cast session. The
+     *  promise is rejected with a DOMException named "NotFoundError" if the
+     *  session cannot be joined.
+     */
+    this.resume = function (url, sessionId, resumeTimeout) {
+      return new Promise(function (resolve, reject) {
+        if (!castApiAvailable || !castApplications[url]) {
+          log('cannot join Cast session',
+            'Cast API library not available or no receiver app for url', url);
+          reject(new _DOMException('NotFoundError'));
+          return;
+        }
+
+        var timeout = null;
+        var sessionListener = function (session) {
+          if (session.sessionId !== sessionId) {
+            return;
+          }
+          log('joined existing Cast session', sessionId);
+          clearTimeout(timeout);
+          castSessionListeners.splice(
+            castSessionListeners.indexOf(sessionListener), 1);
+          castSession = session;
+          resolve();
+        };
+        // Called when the mechanism gets suspended
+        sessionListener.cancel = function () {
+          log('info', 'stop waiting for Cast session', sessionId);
+          clearTimeout(timeout);
+          castSessionListeners.splice(
+            castSessionListeners.indexOf(sessionListener), 1);
+          reject(new _DOMException('AbortError'));
+        };
+        castSessionListeners.push(sessionListener);
+        timeout = setTimeout(function () {
+          log('info', 'Cast session not found', sessionId);
+          castSessionListeners.splice(
+            castSessionListeners.indexOf(sessionListener), 1);
+          reject(new _DOMException('NotFoundError'));
+        }, resumeTimeout);
+
+        var requestSessionById = function () {
+          log('request Cast session', sessionId);
+          chrome.cast.requestSessionById(sessionId);
+        };
+
+        if (castApiInitialized) {
+          requestSessionById();
+          return;
+        }
+
+        // Note the Cast API library may report the session on its own upon
+        // initialization if it is running in the same tab and origin
+        var sessionRequest = new chrome.cast.SessionRequest(
+          castApplications[url]);
+        var apiConfig = new chrome.cast.ApiConfig(
+          sessionRequest, dispatchCastSession, function () {});
+        chrome.cast.initialize(apiConfig, function () {
+          log('Google Cast API library initialized');
+          castApiInitialized = true;
+          requestSessionById();
+        }, function (err) {
+          log('error',
+            'Google Cast API library could not be initialized', err);
+        });
+      });
+    };
+
+
+    this.getReconnectData = function () {
+      return castSession ? { sessionId: castSession.sessionId } : null;
+    };
+
+
     this.terminate = function () {
       log('close Cast session');
       castSession.stop();
@@ -332,6 +546,24 @@
   var CastPresentationMechanism = function () {
     PresentationMechanism.call(this);
     this.name = 'cast presentation mechanism';
+    this.id = 'cast';
+
+    /**
+     * Maximum time to wait for the Cast API library to report a session that
+     * the mechanism tries to re-attach to, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.resumeTimeout = 5000;
+
+    this.capabilities = {
+      messaging: true,
+      reconnect: true,
+      terminate: true,
+      binary: false,
+      multipleControllers: true,
+      launchConfirmation: true
+    };
 
     var that = this;
 
@@ -346,6 +578,26 @@
       });
     };
 
+    // Stop waiting for Cast sessions to resume. Note the listeners given to
+    // the Cast API library at initialization time cannot be removed.
+    this.suspend = function () {
+      castSessionListeners.slice().forEach(function (listener) {
+        if (listener.cancel) {
+          listener.cancel();
+        }
+      });
+    };
+
+    this.release = this.suspend;
+
+    this.reconnectDisplay = function (data, url, presentationId) {
+      var display = new CastDisplay('A chromecast device');
+      return display.resume(url, data.sessionId, that.resumeTimeout)
+        .then(function () {
+          return display;
+        });
+    };
+
     this.monitorIncomingControllers = function () {
       // Detect whether the code is running on a Google Cast device. If it is,
       // it means the code is used within a Receiver application and was
@@ -371,6 +623,8 @@
       castReceiverManager.start();
       castReceiverManager.onReady = function () {
         log('Google Cast receiver manager started');
+        controller.presentationId =
+          castReceiverManager.getApplicationData().sessionId;
         if (that.onincomingcontroller) {
           that.onincomingcontroller(controller);
         }
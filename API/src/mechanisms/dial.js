@@ -11,10 +11,13 @@
  *
  * This mechanism relays the discovery part of DIAL, which uses SSDP and cannot
  * be implemented in a regular Web application, through a backend HTTP proxy
- * that needs to run on localhost on port 3001:
+ * that needs to run on localhost on port 3001 by default:
  *
  * node Server/dial-proxy.js
  *
+ * The URL of the proxy may be changed through the "proxyUrl" setting of the
+ * "dial" mechanism, see navigator.w3cPresentation.configure.
+ *
  * The main problem that this mechanism faces is that DIAL does not mandate the
  * presence or even the name of a DIAL app that would serve as a browser app.
  * The list of DIAL applications that this mechanism may use must first be
@@ -112,6 +115,19 @@
     this.getStartData = function (url) {
       return urlParam + '=' + encodeURIComponent(url);
     };
+
+    /**
+     * Whether the DIAL application can load the provided URL. The base DIAL
+     * application accepts all URLs. More specific DIAL applications may
+     * override that method.
+     *
+     * @function
+     * @param {String} url The absolute URL to navigate to
+     * @return {boolean} true if the application can load the URL
+     */
+    this.canPresent = function (url) {
+      return true;
+    };
   };
 
 
@@ -207,9 +223,12 @@
    *
    * @class
    * @inherits {RemoteController}
+   * @param {String} presentationId The presentation identifier passed in the
+   * URL by the controlling side
    */
-  var DialRemoteController = function () {
+  var DialRemoteController = function (presentationId) {
     RemoteController.call(this);
+    this.presentationId = presentationId;
 
     this.createDataChannel = function () {
       return new Promise(function (resolve, reject) {
@@ -217,8 +236,11 @@
       });
     };
 
+    // There is no communication channel with the controlling side to notify
+    // it, stopping the DIAL app is all that can be done
     this.terminate = function () {
-      // TODO: figure out how to notify remote controller
+      log('stop DIAL app');
+      window.close();
     };
   };
 
@@ -230,17 +252,28 @@
    * @inherits {Display}
    * @param {String} device The DIAL device's name and REST service URL
    * @param {DialApplication} app The DIAL app to use on that device
+   * @param {String} appInstanceUrl The URL of the running DIAL app instance,
+   * when the display is created to re-attach to a running presentation
    */
-  var DialDisplay = function (device, app) {
+  var DialDisplay = function (device, app, appInstanceUrl) {
     Display.call(this, device);
     this.state = 'closed';
 
-    var appInstanceUrl = null;
+    var that = this;
+    appInstanceUrl = appInstanceUrl || null;
+
+    this.canPresent = function (url) {
+      // The DIAL app must still be registered, the list of DIAL applications
+      // may have changed since the display was found.
+      return !!app &&
+        (dialApplications[app.name] === app) &&
+        app.canPresent(toAbsolute(url));
+    };
 
-    this.navigate = function (url) {
+    this.navigate = function (url, presentationId) {
       return new Promise(function (resolve, reject) {
         var xhr = new XMLHttpRequest();
-        xhr.open('POST', 'http://localhost:3001/dial');
+        xhr.open('POST', that.mechanism.proxyUrl + '/dial');
         xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
         xhr.onload = function () {
           // TODO: monitor effective app launch and resolve when started
@@ -251,7 +284,7 @@
         };
         var presentationUrl = toAbsolute(url) +
           ((url.indexOf('?') === -1) ? '?' : '&') +
-          '__dial__';
+          '__dial__=' + encodeURIComponent(presentationId);
         xhr.onerror = function (e) {
           reject(new _DOMException('OperationError',
             'Unable to start DIAL app: ' + JSON.stringify(e)));
@@ -272,6 +305,15 @@
     };
 
 
+    this.getReconnectData = function () {
+      return {
+        device: device,
+        app: app.name,
+        appInstanceUrl: appInstanceUrl
+      };
+    };
+
+
     this.terminate = function () {
       log('close DIAL app');
       if (!appInstanceUrl) {
@@ -280,12 +322,10 @@
       var xhr = new XMLHttpRequest();
       xhr.open('DELETE', appInstanceUrl);
       xhr.onload = function () {
-        // TODO: only resolve when DIAL app actually stopped
-        resolve();
+        log('DIAL app stopped');
       };
       xhr.onerror = function (e) {
-        reject(new _DOMException('OperationError',
-          'Unable to stop DIAL app: ' + JSON.stringify(e)));
+        log('error', 'Unable to stop DIAL app', e);
       };
       xhr.send();
     };
@@ -303,53 +343,108 @@
   var DialPresentationMechanism = function () {
     PresentationMechanism.call(this);
     this.name = 'DIAL presentation mechanism';
+    this.id = 'dial';
+
+    /**
+     * Base URL of the local DIAL proxy
+     *
+     * @type {String}
+     */
+    this.proxyUrl = 'http://localhost:3001';
+
+    /**
+     * Maximum time to wait for the local DIAL proxy to answer when displays
+     * are requested, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.proxyTimeout = 500;
+
+    // DIAL apps are not confirmed to have started and there is no
+    // communication channel with them
+    this.capabilities = {
+      messaging: false,
+      reconnect: true,
+      terminate: true,
+      binary: false,
+      multipleControllers: false,
+      launchConfirmation: false
+    };
 
     var that = this;
 
-    var checkLocalProxyPresence = (function () {
-      var promise = null;
-      var enabled = false;
-      return function (timeout) {
-        if (promise) {
-          return promise;
+    /**
+     * Requests to the local DIAL proxy that are in progress, aborted when
+     * the mechanism gets suspended
+     */
+    var pendingRequests = [];
+
+    /**
+     * Create a request to the local DIAL proxy, tracked until it completes
+     *
+     * @function
+     * @private
+     * @return {XMLHttpRequest} The request
+     */
+    var createProxyRequest = function () {
+      var xhr = new XMLHttpRequest();
+      pendingRequests.push(xhr);
+      xhr.onloadend = function () {
+        var idx = pendingRequests.indexOf(xhr);
+        if (idx !== -1) {
+          pendingRequests.splice(idx, 1);
         }
-        timeout = timeout || 0;
-        promise = new Promise(function (resolve, reject) {
-          var enable = function () {
-            log('info', 'DIAL local proxy detected, enable mechanism');
-            resolve();
-          };
-          var disable = function () {
-            log('info', 'DIAL local proxy not available, disable mechanism');
-            reject();
-            promise = null;
-          };
-          var xhr = new XMLHttpRequest();
-          xhr.timeout = timeout;
-          xhr.onload = enable;
-          xhr.onerror = disable;
-          xhr.ontimeout = disable;
-          xhr.open('GET', 'http://localhost:3001/');
-          xhr.send();
-        });
-        return promise;
       };
-    })();
-    checkLocalProxyPresence(2000).catch(function () {});
-
-    this.getAvailableDisplays = function (url, options) {
-      options = options || {};
-      if (!options.isChannelOptional) {
-        return new Promise(function (resolve, reject) {
-          resolve([]);
-        });
+      return xhr;
+    };
+
+    // The presence of the proxy is checked again when its URL changes
+    var proxyPromise = null;
+    var probedUrl = null;
+    var checkLocalProxyPresence = function (timeout) {
+      if (proxyPromise && (probedUrl === that.proxyUrl)) {
+        return proxyPromise;
       }
-      return checkLocalProxyPresence(500)
+      probedUrl = that.proxyUrl;
+      timeout = timeout || 0;
+      var promise = new Promise(function (resolve, reject) {
+        var enable = function () {
+          log('info', 'DIAL local proxy detected, enable mechanism');
+          resolve();
+        };
+        var disable = function () {
+          log('info', 'DIAL local proxy not available, disable mechanism');
+          reject();
+          if (proxyPromise === promise) {
+            proxyPromise = null;
+          }
+        };
+        var xhr = createProxyRequest();
+        xhr.timeout = timeout;
+        xhr.onload = enable;
+        xhr.onerror = disable;
+        xhr.ontimeout = disable;
+        xhr.onabort = disable;
+        xhr.open('GET', probedUrl + '/');
+        xhr.send();
+      });
+      proxyPromise = promise;
+      return promise;
+    };
+
+    // The absence of the proxy is not an error, it may be started later on
+    this.initialize = function () {
+      return checkLocalProxyPresence(that.discoveryTimeout)
+        .catch(function () {});
+    };
+
+    this.getAvailableDisplays = function (urls, options) {
+      return checkLocalProxyPresence(that.proxyTimeout)
         .then(function () {
           return new Promise(function (resolve, reject) {
-            var xhr = new XMLHttpRequest();
+            var xhr = createProxyRequest();
             xhr.responseType = 'json';
-            xhr.open('GET', 'http://localhost:3001/dial?apps=' +
+            xhr.open('GET', that.proxyUrl + '/dial?apps=' +
               Object.keys(dialApplications).join(','));
             xhr.onload = function () {
               var devices = xhr.response || [];
@@ -363,6 +458,9 @@
               log('warn', 'could not establish the list of DIAL devices');
               resolve([]);
             };
+            xhr.onabort = function () {
+              resolve([]);
+            };
             xhr.send();
           });
         })
@@ -371,6 +469,38 @@
         });
     };
 
+    // Abort requests in progress and forget about the proxy, its presence
+    // is checked again when the mechanism is enabled again
+    this.suspend = function () {
+      pendingRequests.slice().forEach(function (xhr) {
+        xhr.abort();
+      });
+      pendingRequests = [];
+      proxyPromise = null;
+    };
+
+    this.release = this.suspend;
+
+    // The DIAL device must still be around and still support the DIAL app
+    this.reconnectDisplay = function (data, url, presentationId) {
+      var app = dialApplications[data.app];
+      if (!app) {
+        return Promise.reject(new _DOMException('NotFoundError',
+          'DIAL application no longer registered: ' + data.app));
+      }
+      return that.getAvailableDisplays([url])
+        .then(function (displays) {
+          var found = displays.some(function (display) {
+            return (display.name === data.device);
+          });
+          if (!found) {
+            throw new _DOMException('NotFoundError',
+              'DIAL device no longer available: ' + data.device);
+          }
+          return new DialDisplay(data.device, app, data.appInstanceUrl);
+        });
+    };
+
     this.monitorIncomingControllers = function () {
       // Detect whether the code is running in a DIAL application. If it is,
       // it means the code is used within a Receiver application and was
@@ -378,13 +508,15 @@
       //   navigator.presentation.requestSession
       // NB: there is no good way to tell whether the app is running on a DIAL
       // device, we'll just use a querystring parameter.
-      if (window.location.search.indexOf('__dial__') === -1) {
+      var match = window.location.search.match(/[?&]__dial__(=([^&]*))?/);
+      if (!match) {
         return;
       }
 
       // TODO: setup communication channel one way or the other
       log('code is running on a DIAL device');
-      var controller = new DialRemoteController();
+      var controller = new DialRemoteController(
+        match[2] ? decodeURIComponent(match[2]) : null);
       if (that.onincomingcontroller) {
         that.onincomingcontroller(controller);
       }
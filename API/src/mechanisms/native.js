@@ -0,0 +1,351 @@
+/**
+ * @file Native presentation mechanism for the Presentation API polyfill
+ * @copyright 2015 W3C (MIT, ERCIM, Keio, Beihang)
+ * @license W3C Software and Document License
+ * @author François Daoust <fd@w3.org>
+ *
+ * The native presentation mechanism lets the polyfill use the native
+ * implementation of the Presentation API that the browser may ship, so that
+ * displays that the browser knows about appear in the polyfill's display
+ * picker next to displays reported by other mechanisms.
+ *
+ * The native API does not expose the list of displays it knows about. As
+ * with the Cast mechanism, this mechanism reports one display that
+ * represents the displays of the browser when the native implementation
+ * reports that some display is available for the requested URLs. Selecting
+ * that display starts a native presentation request, which lets the user
+ * pick the actual display in the browser's own picker.
+ *
+ * Native presentation connections are mapped onto the DataChannel interface
+ * of the polyfill, on the controlling side and on the receiving side.
+ *
+ * The mechanism uses the native implementation captured by the polyfill when
+ * it was loaded, so it still works after the polyfill got installed as
+ * "navigator.presentation".
+ */
+(function () {
+  // Retrieve classes that the core of the Presentation API polyfill exposes
+  // to defined and register this presentation mechanism
+  var ns = navigator.w3cPresentation.extend;
+  var log = ns.log;
+  var _DOMException = ns._DOMException;
+  var DataChannel = ns.DataChannel;
+  var RemoteController = ns.RemoteController;
+  var Display = ns.Display;
+  var PresentationMechanism = ns.PresentationMechanism;
+  var registerPresentationMechanism = ns.registerPresentationMechanism;
+
+  var nativeImplementation = navigator.w3cPresentation.native;
+
+
+  /**
+   * Create a data channel on top of a native presentation connection
+   *
+   * The returned promise is resolved when the native connection is
+   * connected.
+   *
+   * @function
+   * @private
+   * @param {PresentationConnection} connection The native connection
+   * @return {Promise<DataChannel>} The promise to get a data channel that
+   *  wraps the native connection
+   */
+  var createNativeDataChannel = function (connection) {
+    return new Promise(function (resolve, reject) {
+      var channel = new DataChannel();
+      channel.supportsBinary = true;
+      connection.binaryType = 'arraybuffer';
+
+      var stopListening = function () {
+        connection.removeEventListener('connect', connectListener);
+        connection.removeEventListener('message', messageListener);
+        connection.removeEventListener('close', closeListener);
+        connection.removeEventListener('terminate', terminateListener);
+      };
+
+      var connectListener = function () {
+        log('native presentation connection connected');
+        channel.state = 'connected';
+        resolve(channel);
+      };
+
+      var messageListener = function (event) {
+        log('received message from native presentation connection');
+        if (channel.onmessage) {
+          channel.onmessage({ data: event.data });
+        }
+      };
+
+      var closeListener = function (event) {
+        log('info', 'native presentation connection closed',
+          event.reason, event.message);
+        stopListening();
+        if (channel.state !== 'connected') {
+          reject(new _DOMException('OperationError',
+            'Native presentation connection closed: ' + event.message));
+          return;
+        }
+        channel.state = 'closed';
+        channel.closeReason = event.reason;
+        channel.closeMessage = event.message || '';
+        if (channel.onstatechange) {
+          channel.onstatechange();
+        }
+      };
+
+      var terminateListener = function () {
+        log('info', 'native presentation terminated');
+        stopListening();
+        if (channel.state !== 'connected') {
+          reject(new _DOMException('OperationError',
+            'Native presentation terminated'));
+          return;
+        }
+        channel.state = 'terminated';
+        if (channel.onstatechange) {
+          channel.onstatechange();
+        }
+      };
+
+      channel.send = function (message) {
+        if (channel.state !== 'connected') {
+          throw new _DOMException('InvalidStateError');
+        }
+        log('send message to native presentation connection');
+        connection.send(message);
+      };
+
+      channel.close = function () {
+        if (channel.state !== 'connected') {
+          return;
+        }
+        stopListening();
+        connection.close();
+        channel.state = 'closed';
+        if (channel.onstatechange) {
+          channel.onstatechange();
+        }
+      };
+
+      connection.addEventListener('message', messageListener);
+      connection.addEventListener('close', closeListener);
+      connection.addEventListener('terminate', terminateListener);
+      if (connection.state === 'connected') {
+        connectListener();
+      }
+      else {
+        connection.addEventListener('connect', connectListener);
+      }
+    });
+  };
+
+
+  /**
+   * Remote controller that wraps an incoming native presentation connection
+   *
+   * @constructor
+   * @private
+   * @inherits {RemoteController}
+   * @param {PresentationConnection} connection The native connection
+   */
+  var NativeRemoteController = function (connection) {
+    RemoteController.call(this);
+    this.presentationId = connection.id;
+
+    this.createDataChannel = function () {
+      return createNativeDataChannel(connection);
+    };
+
+    this.terminate = function () {
+      log('terminate native presentation');
+      connection.terminate();
+    };
+  };
+
+
+  /**
+   * Represents the displays that the native implementation knows about
+   *
+   * @constructor
+   * @private
+   * @inherits {Display}
+   * @param {String} name A human-friendly name for the displays
+   * @param {Array(String)} urls The URLs that the displays can present
+   * @param {PresentationConnection} connection The native connection, when
+   *  the display is created to re-attach to a running presentation
+   */
+  var NativeDisplay = function (name, urls, connection) {
+    Display.call(this, name);
+
+    var request = null;
+    connection = connection || null;
+
+    this.canPresent = function (url) {
+      return (urls.indexOf(url) !== -1);
+    };
+
+    // Note the native presentation identifier is used as presentation
+    // identifier as the native receiving side gets it too. The native "start"
+    // method must be called synchronously: the browser only shows its picker
+    // while the user's selection in the polyfill's picker is still active.
+    this.navigate = function (url, presentationId) {
+      log('start native presentation request for url', url);
+      request = new nativeImplementation.PresentationRequest(url);
+      return request.start().then(function (nativeConnection) {
+        log('native presentation started', nativeConnection.id);
+        connection = nativeConnection;
+        return connection.id;
+      }, function (err) {
+        log('info', 'native presentation request failed', err);
+        throw new _DOMException('OperationError', err.message);
+      });
+    };
+
+    this.createDataChannel = function () {
+      if (!connection) {
+        return Promise.reject(new _DOMException('OperationError',
+          'No native presentation connection'));
+      }
+      if ((connection.state === 'connected') ||
+          (connection.state === 'connecting')) {
+        return createNativeDataChannel(connection);
+      }
+
+      // The native connection needs to be re-connected
+      log('reconnect native presentation connection', connection.id);
+      request = request ||
+        new nativeImplementation.PresentationRequest(connection.url);
+      return request.reconnect(connection.id).then(function (nativeConnection) {
+        connection = nativeConnection;
+        return createNativeDataChannel(connection);
+      });
+    };
+
+    this.getReconnectData = function () {
+      return connection ? { url: connection.url } : null;
+    };
+
+    this.terminate = function () {
+      if (!connection) {
+        return;
+      }
+      log('terminate native presentation');
+      connection.terminate();
+    };
+  };
+
+
+  /**
+   * Presentation API mechanism that passes presentation requests through to
+   * the native implementation of the Presentation API
+   *
+   * @constructor
+   * @inherits {PresentationMechanism}
+   */
+  var NativePresentationMechanism = function () {
+    PresentationMechanism.call(this);
+    this.name = 'native presentation mechanism';
+    this.id = 'native';
+
+    this.capabilities = {
+      messaging: true,
+      reconnect: true,
+      terminate: true,
+      binary: true,
+      multipleControllers: true,
+      launchConfirmation: true
+    };
+
+    var that = this;
+
+    /**
+     * Native availability objects, indexed by URL, kept so that the native
+     * implementation can monitor availability in the background
+     */
+    var availabilities = {};
+
+    /**
+     * Tell whether the native implementation knows about a display that can
+     * present the given URL
+     *
+     * @function
+     * @private
+     * @param {String} url
+     * @return {Promise<boolean>}
+     */
+    var isAvailable = function (url) {
+      if (availabilities[url]) {
+        return Promise.resolve(availabilities[url].value);
+      }
+      var request = new nativeImplementation.PresentationRequest(url);
+      return request.getAvailability().then(function (availability) {
+        availabilities[url] = availability;
+        return availability.value;
+      }, function (err) {
+        // Availability monitoring may not be supported, the native picker
+        // will tell whether a display can present the URL
+        return (err.name === 'NotSupportedError');
+      });
+    };
+
+    this.getAvailableDisplays = function (urls, options) {
+      if (!nativeImplementation) {
+        return Promise.resolve([]);
+      }
+      return Promise.all(urls.map(isAvailable)).then(function (results) {
+        var availableUrls = urls.filter(function (url, idx) {
+          return results[idx];
+        });
+        if (availableUrls.length === 0) {
+          return [];
+        }
+        return [new NativeDisplay('Displays of your browser', availableUrls)];
+      });
+    };
+
+    // Drop native availability objects so that the native implementation
+    // may stop monitoring availability in the background
+    this.suspend = function () {
+      availabilities = {};
+    };
+
+    this.reconnectDisplay = function (data, url, presentationId) {
+      if (!nativeImplementation) {
+        return Promise.reject(new _DOMException('NotFoundError'));
+      }
+      var request = new nativeImplementation.PresentationRequest(data.url);
+      return request.reconnect(presentationId).then(function (connection) {
+        return new NativeDisplay('Displays of your browser', [url], connection);
+      });
+    };
+
+    this.monitorIncomingControllers = function () {
+      var receiver = nativeImplementation &&
+        nativeImplementation.presentation.receiver;
+      if (!receiver) {
+        log('code is not running in a native receiving browsing context');
+        return;
+      }
+
+      log('code is running in a native receiving browsing context');
+      var addConnection = function (connection) {
+        if (that.onincomingcontroller) {
+          that.onincomingcontroller(new NativeRemoteController(connection));
+        }
+      };
+      receiver.connectionList.then(function (list) {
+        list.connections.forEach(addConnection);
+        list.addEventListener('connectionavailable', function (event) {
+          addConnection(event.connection);
+        });
+      });
+    };
+  };
+  NativePresentationMechanism.prototype = new PresentationMechanism();
+
+
+
+
+  // Register the presentation mechanism
+  registerPresentationMechanism(new NativePresentationMechanism());
+})();
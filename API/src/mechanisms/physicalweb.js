@@ -12,7 +12,8 @@
  * Since a browser cannot broadcast the URL itself, the presentation mechanism
  * goes through a Node.js server that must run on localhost:3000 to have the
  * URL broadcasted. Ideally, that part would be natively supported by Web
- * browsers.
+ * browsers. The URL of the server may be changed through the "proxyUrl"
+ * setting of the "physicalweb" mechanism.
  *
  * To run the Node.js server from the root folder of the Presentation API
  * polyfill repository:
@@ -97,6 +98,7 @@
    */
   var PhysicalWebDisplay = function (name) {
     Display.call(this, name);
+    var that = this;
 
     /**
      * "Navigate" the "display" to the given URL, thus creating a receiving
@@ -115,7 +117,7 @@
     this.navigate = function (url) {
       return new Promise(function (resolve, reject) {
         var xhr = new XMLHttpRequest();
-        xhr.open('POST', 'http://localhost:3000/api/beacon');
+        xhr.open('POST', that.mechanism.proxyUrl + '/api/beacon');
         xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
         xhr.onload = function () {
           resolve();
@@ -151,7 +153,7 @@
      */
     this.terminate = function () {
       var xhr = new XMLHttpRequest();
-      xhr.open('POST', 'http://localhost:3000/api/beacon');
+      xhr.open('POST', that.mechanism.proxyUrl + '/api/beacon');
       xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
       xhr.send('action=stop');
     };
@@ -165,10 +167,40 @@
    * The mechanism relies on the presence of a local backend server running
    * on port 3000. The mechanism sends a "status" command to that server to
    * detect whether it is up and running and only report a display if it is.
+   * The command is sent again when the URL of the server changes.
    */
   var PhysicalWebPresentationMechanism = function () {
     PresentationMechanism.call(this);
     this.name = 'Physical Web presentation mechanism';
+    this.id = 'physicalweb';
+
+    /**
+     * Base URL of the local backend server
+     *
+     * @type {String}
+     */
+    this.proxyUrl = 'http://localhost:3000';
+
+    /**
+     * Maximum time to wait for the local backend server to answer the
+     * "status" command, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.proxyTimeout = 500;
+
+    // Broadcasting the URL is merely an invitation, all that can be done
+    // afterwards is to stop broadcasting it
+    this.capabilities = {
+      messaging: false,
+      reconnect: false,
+      terminate: true,
+      binary: false,
+      multipleControllers: false,
+      launchConfirmation: false
+    };
+
+    var that = this;
 
     var enable = function () {
       log('info', 'Physical Web backend detected, enable mechanism');
@@ -189,36 +221,52 @@
       }
     };
     var promiseResolve = null;
-    var pending = true;
+    var pending = false;
     var enabled = false;
+    var probedUrl = null;
     var xhr = new XMLHttpRequest();
-    xhr.timeout = 500;
     xhr.onload = enable;
     xhr.onerror = disable;
     xhr.ontimeout = disable;
-    xhr.open('POST', 'http://localhost:3000/api/beacon');
-    xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
-    xhr.send('action=status');
+    xhr.onabort = disable;
+    var sendStatusCommand = function () {
+      pending = true;
+      probedUrl = that.proxyUrl;
+      xhr.open('POST', probedUrl + '/api/beacon');
+      xhr.timeout = that.proxyTimeout;
+      xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
+      xhr.send('action=status');
+    };
+
+    // Abort the probe in progress, if any. The backend is probed again when
+    // displays are requested once the mechanism is enabled again.
+    this.suspend = function () {
+      if (pending) {
+        xhr.abort();
+      }
+      enabled = false;
+    };
+
+    this.release = this.suspend;
+
+    // Probe the backend. Its absence is not an error, it may be started
+    // later on.
+    this.initialize = function () {
+      return that.getAvailableDisplays().then(function () {});
+    };
 
     // TODO: can the backend return the list of beacons available by any
     // chance? This could be used to populate the list instead of providing
     // a generic class of displays
-    this.getAvailableDisplays = function (url, options) {
-      options = options || {};
+    this.getAvailableDisplays = function (urls, options) {
       return new Promise(function (resolve, reject) {
-        if (!options.isChannelOptional) {
-          resolve([]);
-          return;
-        }
-        if (enabled) {
+        if (enabled && (probedUrl === that.proxyUrl)) {
           resolve([new PhysicalWebDisplay('Physical Web beacon')]);
           return;
         }
         promiseResolve = resolve;
         if (!pending) {
-          xhr.open('POST', 'http://localhost:3000/api/beacon');
-          xhr.setRequestHeader('Content-type', 'application/x-www-form-urlencoded');
-          xhr.send('action=status');
+          sendStatusCommand();
         }
       });
     };
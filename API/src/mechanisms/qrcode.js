@@ -73,6 +73,13 @@
   };
 
 
+  /**
+   * Functions that remove the QR code overlays currently shown, called when
+   * the mechanism gets suspended
+   */
+  var overlayRemovers = [];
+
+
   /**
    * Represents a QR code "display". In practice, this represents the
    * possibility to have the URL represented as a QR code.
@@ -112,10 +119,15 @@
         closeButton.style.height = '2em';
         closeButton.style.marginTop = '1em';
         closeButton.style['font-size'] = 'larger';
-        closeButton.addEventListener('click', function (event) {
-          event.preventDefault();
+        var removeOverlay = function () {
+          overlayRemovers.splice(overlayRemovers.indexOf(removeOverlay), 1);
           document.body.removeChild(container);
           resolve();
+        };
+
+        closeButton.addEventListener('click', function (event) {
+          event.preventDefault();
+          removeOverlay();
           return false;
         });
 
@@ -139,6 +151,7 @@
         container.appendChild(modal);
 
         document.body.appendChild(container);
+        overlayRemovers.push(removeOverlay);
         var code = new QRCode('presentation-api-polyfill-qrcode', {
           text: toAbsolute(url),
           width: 200,
@@ -177,14 +190,32 @@
   var QRCodePresentationMechanism = function () {
     PresentationMechanism.call(this);
     this.name = 'QR code presentation mechanism';
+    this.id = 'qrcode';
+
+    // Nothing is known about the receiving side once the QR code is shown
+    this.capabilities = {
+      messaging: false,
+      reconnect: false,
+      terminate: false,
+      binary: false,
+      multipleControllers: false,
+      launchConfirmation: false
+    };
 
     var that = this;
 
-    this.getAvailableDisplays = function (url, options) {
-      options = options || {};
+    // Remove QR code overlays that may still be shown
+    this.suspend = function () {
+      overlayRemovers.slice().forEach(function (removeOverlay) {
+        removeOverlay();
+      });
+    };
+
+    this.release = this.suspend;
+
+    this.getAvailableDisplays = function (urls, options) {
       return new Promise(function (resolve, reject) {
-        if (options.isChannelOptional &&
-            (typeof QRCode !== 'undefined')) {
+        if (typeof QRCode !== 'undefined') {
           resolve([new QRCodeDisplay('QR code')]);
         }
         else {
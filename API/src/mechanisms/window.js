@@ -18,10 +18,49 @@
  *
  * http://webscreens.github.io/demo/#binaries
  *
+ * When the browser supports the Window Management API and the user granted
+ * the "window-management" permission, the mechanism rather reports one
+ * display per screen attached to the computer, named after the screen.
+ * Presenting to such a display opens the window in fullscreen mode on that
+ * screen. Should the browser ignore the request, the receiving window
+ * switches to fullscreen mode itself, at the first user interaction if the
+ * browser does not allow it right away.
+ *
  * The user will likely have to authorize the calling app to open pop-up
  * windows for this mechanism to work properly.
  *
- * Messaging between the window relies on "postMessage" primitives.
+ * Messaging between the window relies on "postMessage" primitives. All
+ * messages are wrapped in an envelope that identifies the protocol, its
+ * version, the presentation and the type of message, so that they cannot be
+ * confused with other messages that the windows may exchange. Application
+ * payloads are sent in "message" messages, separated from control messages.
+ * Messages are posted to the origin of the other window, and messages from
+ * other origins are ignored.
+ *
+ * Windows only exchange handshake messages over their global "message"
+ * event. The controlling window then transfers a MessagePort to the
+ * receiving window in its "channel" message, and each presentation
+ * connection uses its own port from then on. Ports support transferable
+ * objects.
+ *
+ * Both sides tell each other when they close the communication channel or
+ * terminate the presentation with "controllerclose", "controllerterminate",
+ * "receiverclose" and "receiverterminate" messages.
+ *
+ * When the controlling side reconnects to a presentation, e.g. after a
+ * reload, it looks for the receiving window by name and sends it a
+ * "reconnect" message. The receiving window answers with "reconnected" and
+ * treats the controlling window as a new incoming controller. The page of
+ * the receiving window is not reloaded in the process. Reconnection fails if
+ * the window cannot be found or does not answer: the presentation is never
+ * loaded again in that case.
+ *
+ * Windows tell each other when they unload, e.g. on reload, with
+ * "controllershutdown" and "receivershutdown" messages. Windows may also
+ * disappear without notice. Both sides check whether the other window was
+ * closed and exchange "heartbeat" messages while the connection is open. The
+ * connection is closed with a "wentaway" reason when the other window is
+ * gone.
  */
 (function () {
   // Retrieve classes that the core of the Presentation API polyfill exposes
@@ -36,6 +75,291 @@
   var registerPresentationMechanism = ns.registerPresentationMechanism;
 
 
+  /**
+   * Namespace and version of the protocol that controlling and receiving
+   * windows use to talk to each other.
+   *
+   * Messages are objects with the following properties:
+   * - "namespace": the protocol namespace
+   * - "version": the protocol version
+   * - "type": the message type, one of "ispresentation", "presentation",
+   * "reconnect", "reconnected", "channel", "channelready", "message",
+   * "heartbeat", "controllerclose", "controllerterminate",
+   * "controllershutdown", "receiverclose", "receiverterminate" and
+   * "receivershutdown"
+   * - "presentationId": the presentation identifier, null in the
+   * "ispresentation" message that the receiving window sends before it knows
+   * about the presentation
+   * - "data": the application payload of "message" messages, and the
+   * presentation options of "presentation" messages. The only option is
+   * "fullscreen", set when the receiving window should switch to fullscreen
+   * mode
+   */
+  var protocolNamespace = 'org.w3c.webscreens.presentationapi.polyfill';
+  var protocolVersion = 1;
+
+
+  /**
+   * Compute the origin of the given URL, to be used as target origin of
+   * messages posted to the window that loads the URL.
+   *
+   * Opaque origins (e.g. "file:" or "data:" URLs) cannot be targeted, the
+   * function returns "*" in that case.
+   *
+   * @function
+   * @private
+   * @param {String} url The URL, possibly relative to the current document
+   * @return {String} The origin of the URL
+   */
+  var getOrigin = function (url) {
+    var origin = new URL(url, window.location.href).origin;
+    if (!origin || (origin === 'null')) {
+      log('warn', 'cannot restrict messages to the origin of', url);
+      return '*';
+    }
+    return origin;
+  };
+
+
+  /**
+   * Create a protocol message
+   *
+   * @function
+   * @private
+   * @param {String} type The message type
+   * @param {String} presentationId The presentation identifier
+   * @param {*} data The application payload, for "message" messages, or
+   *   the presentation options, for "presentation" messages
+   * @return {Object} The protocol message
+   */
+  var createProtocolMessage = function (type, presentationId, data) {
+    var message = {
+      namespace: protocolNamespace,
+      version: protocolVersion,
+      type: type,
+      presentationId: presentationId || null
+    };
+    if ((type === 'message') || (type === 'presentation')) {
+      message.data = data;
+    }
+    return message;
+  };
+
+
+  /**
+   * Post a message to the given window
+   *
+   * @function
+   * @private
+   * @param {Window} target The window to post the message to
+   * @param {String} targetOrigin The expected origin of the window
+   * @param {String} type The message type
+   * @param {String} presentationId The presentation identifier
+   * @param {Object} data The presentation options, for "presentation"
+   *   messages
+   * @param {Array} transfer Optional list of objects to transfer
+   */
+  var postProtocolMessage = function (target, targetOrigin, type,
+      presentationId, data, transfer) {
+    target.postMessage(createProtocolMessage(type, presentationId, data),
+      targetOrigin, transfer || []);
+  };
+
+
+  /**
+   * Post a message to the given message port
+   *
+   * @function
+   * @private
+   * @param {MessagePort} port The port of the presentation connection
+   * @param {String} type The message type
+   * @param {String} presentationId The presentation identifier
+   * @param {*} data The application payload, for "message" messages
+   * @param {Array} transfer Optional list of objects to transfer
+   */
+  var postPortMessage = function (port, type, presentationId, data,
+      transfer) {
+    port.postMessage(createProtocolMessage(type, presentationId, data),
+      transfer || []);
+  };
+
+
+  /**
+   * Compute the features of a window that covers the available area of the
+   * given screen. The "fullscreen" feature requests fullscreen mode on that
+   * screen, which browsers honor when the "window-management" permission is
+   * granted, without any user interaction in the new window. The receiving
+   * window falls back to "requestFullscreen" otherwise.
+   *
+   * @function
+   * @private
+   * @param {ScreenDetailed} screenDetailed The screen, from the Window
+   *   Management API
+   * @return {String} The window features to pass to "window.open", an empty
+   *   string when no screen is given
+   */
+  var getWindowFeatures = function (screenDetailed) {
+    if (!screenDetailed) {
+      return '';
+    }
+    return [
+      'popup',
+      'left=' + screenDetailed.availLeft,
+      'top=' + screenDetailed.availTop,
+      'width=' + screenDetailed.availWidth,
+      'height=' + screenDetailed.availHeight,
+      'fullscreen'
+    ].join(',');
+  };
+
+
+  /**
+   * Switch the receiving window to fullscreen mode, unless the "fullscreen"
+   * window feature already did. Browsers usually require a user gesture to
+   * do that, in which case the request is made again at the first user
+   * interaction with the window.
+   *
+   * @function
+   * @private
+   */
+  var requestFullscreen = function () {
+    var element = document.documentElement;
+    if (!element || !element.requestFullscreen || document.fullscreenElement) {
+      return;
+    }
+
+    // Older browsers do not return a promise
+    var enterFullscreen = function () {
+      return new Promise(function (resolve, reject) {
+        resolve(element.requestFullscreen());
+      });
+    };
+
+    var gestureListener = function () {
+      window.removeEventListener('click', gestureListener, true);
+      window.removeEventListener('keydown', gestureListener, true);
+      if (document.fullscreenElement) {
+        return;
+      }
+      log('request fullscreen mode on user gesture');
+      enterFullscreen().catch(function (err) {
+        log('warn', 'could not switch to fullscreen mode', err);
+      });
+    };
+
+    log('request fullscreen mode');
+    enterFullscreen().catch(function () {
+      log('info', 'fullscreen mode needs a user gesture, waiting for one');
+      window.addEventListener('click', gestureListener, true);
+      window.addEventListener('keydown', gestureListener, true);
+    });
+  };
+
+
+  /**
+   * Tell whether the given window is a blank window, meaning that
+   * "window.open" created it rather than returning an existing window.
+   *
+   * @function
+   * @private
+   * @param {Window} win The window to check
+   * @return {boolean} true if the window is blank
+   */
+  var isBlankWindow = function (win) {
+    try {
+      return (win.location.href === 'about:blank');
+    }
+    catch (err) {
+      // Cross-origin window, which means that it loaded some page
+      return false;
+    }
+  };
+
+
+  /**
+   * Monitor the liveness of the window at the other end of a message port.
+   *
+   * The function sends "heartbeat" messages on the port at regular
+   * intervals, and calls the given callback when the other window was
+   * closed or did not send any message for too long.
+   *
+   * @function
+   * @private
+   * @param {MessagePort} port The port of the presentation connection
+   * @param {String} presentationId The presentation identifier
+   * @param {Window} remoteWindow The window at the other end of the port
+   * @param {WindowPresentationMechanism} mechanism The mechanism, whose
+   *   "heartbeatInterval" and "heartbeatTimeout" settings apply
+   * @param {function} onwentaway The function to call when the other window
+   *   is gone
+   * @return {function} The function to call to stop monitoring
+   */
+  var monitorLiveness = function (port, presentationId, remoteWindow,
+      mechanism, onwentaway) {
+    var lastSeen = Date.now();
+    var activityListener = function () {
+      lastSeen = Date.now();
+    };
+
+    var stop = function () {
+      clearInterval(interval);
+      port.removeEventListener('message', activityListener);
+    };
+
+    var interval = setInterval(function () {
+      var closed = !remoteWindow || remoteWindow.closed;
+      if (closed || (Date.now() - lastSeen > mechanism.heartbeatTimeout)) {
+        log('info', closed ? 'other window was closed' :
+          'other window stopped sending heartbeats');
+        stop();
+        onwentaway();
+        return;
+      }
+      postPortMessage(port, 'heartbeat', presentationId);
+    }, mechanism.heartbeatInterval);
+
+    port.addEventListener('message', activityListener);
+    return stop;
+  };
+
+
+  /**
+   * Extract the protocol message that a "message" event carries, provided
+   * it comes from the expected window, origin and presentation.
+   *
+   * @function
+   * @private
+   * @param {MessageEvent} event The event to check
+   * @param {Window} source The expected source window, null to accept any
+   * @param {String} origin The expected origin, "*" or null to accept any
+   * @param {String} presentationId The expected presentation identifier,
+   *   null to accept any
+   * @return {Object} The protocol message, null if the event is to be
+   *   ignored
+   */
+  var readProtocolMessage = function (event, source, origin, presentationId) {
+    var message = event.data;
+    if ((source && (event.source !== source)) ||
+        !message || (typeof message !== 'object') ||
+        (message.namespace !== protocolNamespace)) {
+      return null;
+    }
+    if (origin && (origin !== '*') && (event.origin !== origin)) {
+      log('warn', 'ignore message from unexpected origin', event.origin);
+      return null;
+    }
+    if (message.version !== protocolVersion) {
+      log('warn', 'ignore message with unsupported protocol version',
+        message.version);
+      return null;
+    }
+    if (presentationId && (message.presentationId !== presentationId)) {
+      return null;
+    }
+    return message;
+  };
+
+
   /**
    * Remote window controller
    *
@@ -43,48 +367,136 @@
    * @private
    * @inherits {RemoteController}
    * @param {Window} source Reference to the controlling window
+   * @param {String} origin The origin of the controlling window
+   * @param {String} presentationId The presentation identifier that the
+   * controlling window sent
+   * @param {WindowPresentationMechanism} mechanism The mechanism that
+   * detected the controller
    */
-  var WindowRemoteController = function (source) {
+  var WindowRemoteController = function (source, origin, presentationId,
+      mechanism) {
     RemoteController.call(this);
+    this.presentationId = presentationId;
+
+    /**
+     * The message port of the current data channel, if any
+     */
+    var port = null;
 
     this.createDataChannel = function () {
       return new Promise(function (resolve, reject) {
         var channel = new DataChannel();
+        channel.supportsBinary = true;
+        var channelPort = null;
+        var stopMonitoring = null;
 
         var initMessageListener = function (event) {
-          if ((event.source === source) &&
-              (event.data === 'channel')) {
-            log('received message to start data channel');
-            channel.state = 'connected';
-            window.removeEventListener('message', initMessageListener);
-            window.addEventListener('message', messageListener);
-            source.postMessage('channelready', '*');
-            resolve(channel);
+          var message = readProtocolMessage(event, source, origin,
+            presentationId);
+          if (!message || (message.type !== 'channel')) {
+            return;
+          }
+          if (!event.ports || !event.ports[0]) {
+            log('warn', 'received "channel" message without message port');
+            return;
           }
+          log('received message to start data channel');
+          window.removeEventListener('message', initMessageListener);
+          channelPort = event.ports[0];
+          port = channelPort;
+          channelPort.onmessage = messageListener;
+          window.addEventListener('unload', unloadListener, false);
+          channel.state = 'connected';
+          postPortMessage(channelPort, 'channelready', presentationId);
+          stopMonitoring = monitorLiveness(channelPort, presentationId, source,
+            mechanism, wentAway);
+          resolve(channel);
         };
         window.addEventListener('message', initMessageListener);
 
+        // Tell the controlling window that the receiving window goes away
+        var unloadListener = function () {
+          log('receiving window is being closed');
+          postPortMessage(channelPort, 'receivershutdown', presentationId);
+        };
+
+        var stopListening = function () {
+          stopMonitoring();
+          channelPort.onmessage = null;
+          channelPort.close();
+          window.removeEventListener('unload', unloadListener, false);
+          if (port === channelPort) {
+            port = null;
+          }
+        };
+
+        var wentAway = function () {
+          log('info', 'controlling window went away');
+          stopListening();
+          channel.state = 'closed';
+          channel.closeReason = 'wentaway';
+          channel.closeMessage = 'Controlling window is gone';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        };
+
         var messageListener = function (event) {
-          if (event.source === source) {
-            if (channel.onmessage) {
-              channel.onmessage(event);
+          var message = readProtocolMessage(event, null, null,
+            presentationId);
+          if (!message) {
+            return;
+          }
+          if ((message.type === 'controllerclose') ||
+              (message.type === 'controllerterminate') ||
+              (message.type === 'controllershutdown')) {
+            log('received "' + message.type +
+              '" message from controlling window');
+            stopListening();
+            if (message.type === 'controllershutdown') {
+              channel.state = 'closed';
+              channel.closeReason = 'wentaway';
+              channel.closeMessage = 'Controlling window was closed';
+            }
+            else if (message.type === 'controllerclose') {
+              channel.state = 'closed';
+              channel.closeReason = 'closed';
+              channel.closeMessage = 'Controlling side closed the connection';
+            }
+            else {
+              channel.state = 'terminated';
+            }
+            if (channel.onstatechange) {
+              channel.onstatechange();
             }
+            if (message.type === 'controllerterminate') {
+              setTimeout(function () {
+                log('close receiving window');
+                window.close();
+              }, 0);
+            }
+          }
+          else if ((message.type === 'message') && channel.onmessage) {
+            channel.onmessage({ data: message.data });
           }
         };
 
-        channel.send = function (message) {
+        channel.send = function (message, transfer) {
           if (channel.state !== 'connected') {
             throw new _DOMException('InvalidStateError');
           }
-          log('send message to receiving window', message);
-          source.postMessage(message, '*');
+          log('send message to controlling window', message);
+          postPortMessage(channelPort, 'message', presentationId, message,
+            transfer);
         };
 
         channel.close = function () {
           if (channel.state !== 'connected') {
             return;
           }
-          window.removeEventListener('message', messageListener);
+          log('send "receiverclose" message to controlling window');
+          postPortMessage(channelPort, 'receiverclose', presentationId);
+          stopListening();
           channel.state = 'closed';
           if (channel.onstatechange) {
             channel.onstatechange();
@@ -92,6 +504,20 @@
         };
       });
     };
+
+    this.terminate = function () {
+      if (port) {
+        log('send "receiverterminate" message to controlling window');
+        postPortMessage(port, 'receiverterminate', presentationId);
+      }
+
+      // Close the receiving window once all controlling windows have been
+      // told about the termination
+      setTimeout(function () {
+        log('close receiving window');
+        window.close();
+      }, 0);
+    };
   };
 
 
@@ -100,33 +526,46 @@
    *
    * @constructor
    * @private
-   * @param {String} name Human-friendly name for that display
+   * @param {String} name Human-friendly name for that display, also used as
+   *   the name of the receiving window
+   * @param {ScreenDetailed} screenDetailed The screen on which the window
+   *   should be opened, if known
+   * @param {WindowPresentationMechanism} mechanism The mechanism that
+   *   reports the display
    */
-  var WindowDisplay = function (name) {
+  var WindowDisplay = function (name, screenDetailed, mechanism) {
     Display.call(this, name);
 
     var receivingWindow = null;
+    var receivingOrigin = null;
+    var receivingPresentationId = null;
+    var port = null;
     var openPromise = null;
     var openPromiseResolve = null;
     var openPromiseReject = null;
     var reconnectionNeeded = false;
-    var that = this;
 
-    this.navigate = function (url) {
+    this.navigate = function (url, presentationId) {
       return new Promise(function (resolve, reject) {
-        receivingWindow = window.open(url, name);
+        receivingOrigin = getOrigin(url);
+        receivingPresentationId = presentationId;
+        receivingWindow = window.open(url, name,
+          getWindowFeatures(screenDetailed));
         if (!receivingWindow) {
           log('could not open receiving window');
           reject(new _DOMException('OperationError'));
           return;
         }
         var isPresentationListener = function (event) {
-          if ((event.source === receivingWindow) &&
-              (event.data === 'ispresentation')) {
+          var message = readProtocolMessage(event, receivingWindow,
+            receivingOrigin);
+          if (message && (message.type === 'ispresentation')) {
             log('received "is this a presentation connection?" message ' +
               'from receiving window');
             log('send "presentation" message to receiving window');
-            receivingWindow.postMessage('presentation', '*');
+            postProtocolMessage(receivingWindow, receivingOrigin,
+              'presentation', presentationId,
+              { fullscreen: !!screenDetailed });
             window.removeEventListener('message', isPresentationListener);
             resolve();
           }
@@ -135,56 +574,183 @@
       });
     };
 
+    /**
+     * Re-run the handshake with the receiving window, which should then
+     * report a new incoming controller.
+     *
+     * @function
+     * @private
+     * @return {Promise} The promise that the receiving window answered. The
+     *   promise is rejected with a "NotFoundError" if it did not answer in
+     *   time.
+     */
+    var reconnectReceivingWindow = function () {
+      return new Promise(function (resolve, reject) {
+        var timeout = setTimeout(function () {
+          window.removeEventListener('message', reconnectedListener);
+          reject(new _DOMException('NotFoundError',
+            'Receiving window did not answer'));
+        }, mechanism.handshakeTimeout);
+
+        var reconnectedListener = function (event) {
+          var message = readProtocolMessage(event, receivingWindow,
+            receivingOrigin, receivingPresentationId);
+          if (message && (message.type === 'reconnected')) {
+            log('received "reconnected" message from receiving window');
+            clearTimeout(timeout);
+            window.removeEventListener('message', reconnectedListener);
+            resolve();
+          }
+        };
+        window.addEventListener('message', reconnectedListener);
+
+        log('send "reconnect" message to receiving window');
+        postProtocolMessage(receivingWindow, receivingOrigin, 'reconnect',
+          receivingPresentationId);
+      });
+    };
+
+    // Reach the receiving window that may already be open with the same
+    // name, without reloading it. Note "window.open" creates a blank window
+    // if there is none, that window is closed right away since reconnecting
+    // must not start a new presentation.
+    this.attach = function (url, presentationId) {
+      receivingOrigin = getOrigin(url);
+      receivingPresentationId = presentationId;
+      receivingWindow = window.open('', name);
+      if (!receivingWindow) {
+        log('could not open receiving window');
+        return Promise.reject(new _DOMException('OperationError'));
+      }
+      if (isBlankWindow(receivingWindow)) {
+        log('info', 'no receiving window to reconnect to');
+        receivingWindow.close();
+        return Promise.reject(new _DOMException('NotFoundError',
+          'Receiving window not found'));
+      }
+      return reconnectReceivingWindow();
+    };
+
+    // The handshake needs to run again when the controlling side reconnects
+    // to the presentation after the connection was closed
     this.createDataChannel = function () {
+      if (!reconnectionNeeded) {
+        reconnectionNeeded = true;
+        return openChannel();
+      }
+      return reconnectReceivingWindow().then(openChannel);
+    };
+
+    var openChannel = function () {
       return new Promise(function (resolve, reject) {
         var channel = new DataChannel();
         channel.state = 'connected';
+        channel.supportsBinary = true;
 
-        var readyMessageListener = function (event) {
-          if ((event.source === receivingWindow) &&
-              (event.data === 'channelready')) {
-            log('received "channel ready" message from receiving window');
-            channel.state = 'connected';
-            window.removeEventListener('message', readyMessageListener);
-            window.addEventListener('message', messageListener);
-            resolve(channel);
+        var messageChannel = new MessageChannel();
+        var channelPort = messageChannel.port1;
+        var stopMonitoring = null;
+
+        // Tell the receiving window that the controlling window goes away,
+        // so that it does not wait for the heartbeat timeout after a reload
+        var pagehideListener = function () {
+          log('controlling window is being closed');
+          postPortMessage(channelPort, 'controllershutdown',
+            receivingPresentationId);
+        };
+
+        var stopListening = function () {
+          if (stopMonitoring) {
+            stopMonitoring();
+          }
+          channelPort.onmessage = null;
+          channelPort.close();
+          window.removeEventListener('pagehide', pagehideListener, false);
+          if (port === channelPort) {
+            port = null;
           }
         };
 
         var messageListener = function (event) {
-          if ((event.source === receivingWindow) &&
-              (event.data === 'receivershutdown')) {
-            log('received shut down message from receiving side', 'disconnect');
-            channel.state = 'terminated';
+          var message = readProtocolMessage(event, null, null,
+            receivingPresentationId);
+          if (!message) {
+            return;
+          }
+          if (message.type === 'channelready') {
+            log('received "channel ready" message from receiving window');
+            channel.state = 'connected';
+            stopMonitoring = monitorLiveness(channelPort,
+              receivingPresentationId, receivingWindow, mechanism, wentAway);
+            resolve(channel);
+          }
+          else if ((message.type === 'receivershutdown') ||
+              (message.type === 'receiverclose') ||
+              (message.type === 'receiverterminate')) {
+            log('received "' + message.type + '" message from receiving window');
+            stopListening();
+            if (message.type === 'receivershutdown') {
+              channel.state = 'closed';
+              channel.closeReason = 'wentaway';
+              channel.closeMessage = 'Receiving window was closed';
+            }
+            else if (message.type === 'receiverclose') {
+              channel.state = 'closed';
+              channel.closeReason = 'closed';
+              channel.closeMessage = 'Receiving side closed the connection';
+            }
+            else {
+              channel.state = 'terminated';
+            }
             if (channel.onstatechange) {
               channel.onstatechange();
             }
           }
-          else {
-            log('received message from receiving window', event.data);
-            if (that.onmessage) {
-              that.onmessage(event);
+          else if (message.type === 'message') {
+            log('received message from receiving window', message.data);
+            if (channel.onmessage) {
+              channel.onmessage({ data: message.data });
             }
           }
         };
 
+        var wentAway = function () {
+          log('info', 'receiving window went away');
+          stopListening();
+          channel.state = 'closed';
+          channel.closeReason = 'wentaway';
+          channel.closeMessage = 'Receiving window is gone';
+          if (channel.onstatechange) {
+            channel.onstatechange();
+          }
+        };
+
         log('tell receiving window to create data channel');
-        receivingWindow.postMessage('channel', '*');
-        window.addEventListener('message', readyMessageListener);
+        channelPort.onmessage = messageListener;
+        port = channelPort;
+        window.addEventListener('pagehide', pagehideListener, false);
+        postProtocolMessage(receivingWindow, receivingOrigin, 'channel',
+          receivingPresentationId, null, [messageChannel.port2]);
 
-        channel.send = function (message) {
+        channel.send = function (message, transfer) {
           if (channel.state !== 'connected') {
             throw new _DOMException('InvalidStateError');
           }
           log('send message to receiving window', message);
-          receivingWindow.postMessage(message, '*');
+          postPortMessage(channelPort, 'message', receivingPresentationId,
+            message, transfer);
         };
 
         channel.close = function () {
           if (channel.state !== 'connected') {
             return;
           }
-          window.removeEventListener('messsage', messageListener);
+          if (!receivingWindow.closed) {
+            log('send "controllerclose" message to receiving window');
+            postPortMessage(channelPort, 'controllerclose',
+              receivingPresentationId);
+          }
+          stopListening();
           channel.state = 'closed';
           if (channel.onstatechange) {
             channel.onstatechange();
@@ -193,9 +759,24 @@
       });
     };
 
+    this.getReconnectData = function () {
+      return { name: name };
+    };
+
+    // The receiving window closes itself once it has notified other
+    // controlling windows that the presentation was terminated. The window
+    // is closed from here if that does not happen in a timely manner.
     this.terminate = function () {
-      log('close presentation window');
-      receivingWindow.close();
+      if (port) {
+        log('send "controllerterminate" message to receiving window');
+        postPortMessage(port, 'controllerterminate', receivingPresentationId);
+      }
+      setTimeout(function () {
+        if (!receivingWindow.closed) {
+          log('close presentation window');
+          receivingWindow.close();
+        }
+      }, mechanism.terminateTimeout);
     };
   };
 
@@ -208,14 +789,148 @@
   var WindowPresentationMechanism = function () {
     PresentationMechanism.call(this);
     this.name = 'window presentation mechanism';
+    this.id = 'window';
+
+    this.capabilities = {
+      messaging: true,
+      reconnect: true,
+      terminate: true,
+      binary: true,
+      multipleControllers: true,
+      launchConfirmation: true
+    };
+
+    /**
+     * Additional origins of controlling windows that the receiving window
+     * accepts presentation requests from.
+     *
+     * By default, the receiving window only accepts the first presentation
+     * request from its opener window, and subsequent ones from the origin of
+     * that window.
+     *
+     * @type {Array(String)}
+     */
+    this.allowedOrigins = null;
+
+    /**
+     * Time given to the receiving window to close itself when the
+     * controlling side terminates the presentation, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.terminateTimeout = 1000;
+
+    /**
+     * Time given to an existing receiving window to answer a "reconnect"
+     * handshake message, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.handshakeTimeout = 1000;
+
+    /**
+     * Interval between two liveness checks, and between two "heartbeat"
+     * messages, in milliseconds
+     *
+     * @type {Number}
+     */
+    this.heartbeatInterval = 1000;
+
+    /**
+     * Time after which the other window is considered gone when it did not
+     * send anything, in milliseconds. Browsers throttle timers of background
+     * pages down to once per minute, hence the large value. Closed windows
+     * are detected much sooner.
+     *
+     * @type {Number}
+     */
+    this.heartbeatTimeout = 70000;
 
     var controllingWindows = [];
+    var presentationIds = [];
+    var openerOrigin = null;
+    var messageEventListener = null;
+    var screenDetailsPromise = null;
     var that = this;
 
+    /**
+     * Retrieve the list of screens attached to the computer through the
+     * Window Management API.
+     *
+     * The permission is not requested here, since availability monitoring
+     * would prompt the user out of the blue. Applications may request it
+     * with "window.getScreenDetails()" in response to a user gesture.
+     *
+     * @function
+     * @private
+     * @return {Promise<Array(ScreenDetailed)>} The promise to get the list of
+     *   screens, empty when the API is not available or not allowed
+     */
+    var getScreens = function () {
+      if (!window.getScreenDetails || !navigator.permissions) {
+        return Promise.resolve([]);
+      }
+      if (!screenDetailsPromise) {
+        screenDetailsPromise = navigator.permissions
+          .query({ name: 'window-management' })
+          .then(function (status) {
+            if (status.state !== 'granted') {
+              log('window management permission not granted');
+              screenDetailsPromise = null;
+              return null;
+            }
+            return window.getScreenDetails();
+          })
+          .catch(function (err) {
+            log('info', 'could not retrieve screen details', err);
+            screenDetailsPromise = null;
+            return null;
+          });
+      }
+      return screenDetailsPromise.then(function (screenDetails) {
+        return screenDetails ? screenDetails.screens : [];
+      });
+    };
+
+    /**
+     * Compute the name of the display that represents the given screen.
+     * Screens that have the same label get numbered.
+     *
+     * @function
+     * @private
+     * @param {Array(ScreenDetailed)} screens The list of screens
+     * @param {Number} idx The index of the screen in the list
+     * @return {String} The name of the display
+     */
+    var getScreenName = function (screens, idx) {
+      var label = screens[idx].label || ('Screen ' + (idx + 1));
+      var duplicate = screens.some(function (other, otherIdx) {
+        return (otherIdx !== idx) && (other.label === screens[idx].label);
+      });
+      return (duplicate && screens[idx].label) ?
+        (label + ' (' + (idx + 1) + ')') :
+        label;
+    };
+
     this.getAvailableDisplays = function () {
-      return new Promise(function (resolve, reject) {
-        var display = new WindowDisplay('A beautiful window on your screen');
-        resolve([display]);
+      return getScreens().then(function (screens) {
+        if (screens.length === 0) {
+          return [new WindowDisplay('A beautiful window on your screen', null,
+            that)];
+        }
+        return screens.map(function (screenDetailed, idx) {
+          return new WindowDisplay(getScreenName(screens, idx), screenDetailed,
+            that);
+        });
+      });
+    };
+
+    // The receiving window is found by name. The presentation record is
+    // dropped if the window is gone or does not answer.
+    this.reconnectDisplay = function (data, url, presentationId) {
+      var display = new WindowDisplay(data.name, null, that);
+      return display.attach(url, presentationId).then(function () {
+        return display;
       });
     };
 
@@ -226,36 +941,98 @@
         return;
       }
 
-      var messageEventListener = function (event) {
-        // Note that the event source window is not checked to allow multiple
-        // controlling windows
-        if (event.data === 'presentation') {
+      /**
+       * Tell whether the receiving window accepts a presentation request
+       * from the given event. The first request must come from the opener
+       * window, whose origin is then pinned. Other windows may connect
+       * afterwards provided they have the same origin or an origin listed
+       * in the "allowedOrigins" setting.
+       */
+      var isAllowedController = function (event) {
+        if (that.allowedOrigins &&
+            (that.allowedOrigins.indexOf(event.origin) !== -1)) {
+          return true;
+        }
+        if (openerOrigin) {
+          return (event.origin === openerOrigin);
+        }
+        if (event.source === window.opener) {
+          openerOrigin = event.origin;
+          return true;
+        }
+        return false;
+      };
+
+      messageEventListener = function (event) {
+        // Note that the event source window is not checked against the
+        // opener once its origin is known, to allow multiple controlling
+        // windows. The origin of the controlling window is recorded to check
+        // subsequent messages.
+        var message = readProtocolMessage(event);
+        if (!message || !message.presentationId ||
+            ((message.type !== 'presentation') &&
+              (message.type !== 'reconnect'))) {
+          return;
+        }
+        if (!isAllowedController(event)) {
+          log('warn', 'ignore presentation from origin', event.origin);
+          return;
+        }
+        if (!that.onincomingcontroller) {
+          return;
+        }
+
+        // A controlling window that reconnects may be one that was already
+        // connected before it got reloaded
+        if (message.type === 'reconnect') {
+          if (presentationIds.indexOf(message.presentationId) === -1) {
+            log('warn', 'ignore reconnection to unknown presentation',
+              message.presentationId);
+            return;
+          }
+          log('received "reconnect" message from some window');
+        }
+        else if (controllingWindows.some(function (win) {
+          return (win === event.source);
+        })) {
+          return;
+        }
+        else {
           log('received "presentation" message from some window');
           log('code is running in a receiving window');
-          if (that.onincomingcontroller &&
-              !controllingWindows.some(function (win) {
-                return (win === event.source);
-              })) {
-            controllingWindows.push(event.source);
-            var controller = new WindowRemoteController(event.source);
-            if (that.onincomingcontroller) {
-              that.onincomingcontroller(controller);
-            }
+          controllingWindows.push(event.source);
+          presentationIds.push(message.presentationId);
+          if (message.data && message.data.fullscreen) {
+            requestFullscreen();
           }
         }
+
+        var controller = new WindowRemoteController(event.source,
+          event.origin, message.presentationId, that);
+        that.onincomingcontroller(controller);
+        if (message.type === 'reconnect') {
+          postProtocolMessage(event.source, event.origin, 'reconnected',
+            message.presentationId);
+        }
       };
 
+      // The receiving window does not know the origin of its opener yet.
+      // The message does not contain anything sensitive.
       window.addEventListener('message', messageEventListener, false);
       log('send "ispresentation" message to opener window');
-      window.opener.postMessage('ispresentation', '*');
-      window.addEventListener('unload', function () {
-        log('receiving window is being closed');
-        controllingWindows.forEach(function (win) {
-          if (win) {
-            win.postMessage('receivershutdown', '*');
-          }
-        });
-      }, false);
+      postProtocolMessage(window.opener, '*', 'ispresentation');
+    };
+
+    // Drop screen details and stop listening to incoming controllers.
+    // Connections that are already established keep their own message
+    // ports, and controllers are still told when the receiving window goes
+    // away.
+    this.release = function () {
+      screenDetailsPromise = null;
+      if (messageEventListener) {
+        window.removeEventListener('message', messageEventListener, false);
+        messageEventListener = null;
+      }
     };
   };
   WindowPresentationMechanism.prototype = new PresentationMechanism();